@@ -0,0 +1,365 @@
+/**
+ * Stub Twitter v2 and Reddit APIs for offline development and tests.
+ *
+ * Serves the fixtures in ./fixtures under /twitter/2 and /reddit, in the
+ * response shapes of the real APIs. Fixture items carry an age in minutes
+ * rather than a date, so stubbed content is always recent.
+ *
+ * Set SOURCE_API_MOCK_URL to the server's URL (e.g. http://localhost:4001) and
+ * the Twitter and Reddit services send every request here with placeholder
+ * credentials. Run it with `npm run mock-sources`, or call
+ * startSourceApiServer(0) from a test suite and read the port off the server.
+ */
+const express = require('express');
+const twitterFixtures = require('./fixtures/twitter.json');
+const redditFixtures = require('./fixtures/reddit.json');
+const logger = require('../utils/logger');
+
+// Port used when MOCK_SOURCE_API_PORT is not set
+const DEFAULT_PORT = 4001;
+
+// Requests allowed per Twitter endpoint in each window; lower it to exercise rate limiting
+const TWITTER_RATE_LIMIT = parseInt(process.env.MOCK_TWITTER_RATE_LIMIT) || 900;
+const TWITTER_RATE_LIMIT_WINDOW_MS = 15 * 60 * 1000;
+
+/**
+ * Get the time a fixture item was created
+ * @private
+ */
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+/**
+ * Stub Twitter v2 routes
+ * @private
+ */
+const createTwitterRouter = () => {
+  const router = express.Router();
+  const windows = new Map();
+
+  const usersById = new Map(twitterFixtures.users.map(user => [user.id, user]));
+
+  // Count requests per endpoint and send the rate limit headers the real API sends
+  const rateLimit = (endpoint) => (req, res, next) => {
+    let window = windows.get(endpoint);
+
+    if (!window || window.resetAt <= Date.now()) {
+      window = { remaining: TWITTER_RATE_LIMIT, resetAt: Date.now() + TWITTER_RATE_LIMIT_WINDOW_MS };
+      windows.set(endpoint, window);
+    }
+
+    const exhausted = window.remaining === 0;
+    window.remaining = Math.max(0, window.remaining - 1);
+
+    res.set({
+      'x-rate-limit-limit': TWITTER_RATE_LIMIT,
+      'x-rate-limit-remaining': window.remaining,
+      'x-rate-limit-reset': Math.ceil(window.resetAt / 1000)
+    });
+
+    if (exhausted) {
+      return res.status(429).json({ title: 'Too Many Requests', detail: 'Too Many Requests', type: 'about:blank', status: 429 });
+    }
+
+    next();
+  };
+
+  const toTweet = (tweet) => ({
+    id: tweet.id,
+    author_id: tweet.author_id,
+    text: tweet.text,
+    created_at: minutesAgo(tweet.ageMinutes).toISOString(),
+    public_metrics: tweet.public_metrics,
+    possibly_sensitive: false,
+    entities: {
+      hashtags: (tweet.hashtags || []).map(tag => ({ tag })),
+      urls: (tweet.urls || []).map((url, index) => ({ url: `https://t.co/mock${tweet.id}${index}`, expanded_url: url }))
+    },
+    ...(tweet.media_keys && { attachments: { media_keys: tweet.media_keys } })
+  });
+
+  // Newest first, with the authors and media expansions
+  const toTweetsResponse = (tweets, maxResults) => {
+    const page = [...tweets]
+      .sort((a, b) => a.ageMinutes - b.ageMinutes)
+      .slice(0, parseInt(maxResults) || 10);
+
+    if (page.length === 0) {
+      return { meta: { result_count: 0 } };
+    }
+
+    const mediaKeys = new Set(page.flatMap(tweet => tweet.media_keys || []));
+
+    return {
+      data: page.map(toTweet),
+      includes: {
+        users: [...new Set(page.map(tweet => tweet.author_id))].map(id => usersById.get(id)),
+        media: twitterFixtures.media.filter(media => mediaKeys.has(media.media_key))
+      },
+      meta: {
+        result_count: page.length,
+        newest_id: page[0].id,
+        oldest_id: page[page.length - 1].id
+      }
+    };
+  };
+
+  // Reject page sizes outside what the real endpoint accepts
+  const maxResults = (min, max) => (req, res, next) => {
+    const value = req.query.max_results === undefined ? min : parseInt(req.query.max_results);
+
+    if (!(value >= min && value <= max)) {
+      return res.status(400).json({
+        errors: [{ parameters: { max_results: [req.query.max_results] }, message: `The \`max_results\` query parameter value [${req.query.max_results}] is not between ${min} and ${max}` }],
+        title: 'Invalid Request',
+        detail: 'One or more parameters to your request was invalid.',
+        type: 'https://api.twitter.com/2/problems/invalid-request'
+      });
+    }
+
+    next();
+  };
+
+  router.get('/users/by', rateLimit('users/by'), (req, res) => {
+    const usernames = (req.query.usernames || '').split(',').filter(Boolean);
+    const found = [];
+    const errors = [];
+
+    usernames.forEach(username => {
+      const user = twitterFixtures.users.find(u => u.username.toLowerCase() === username.toLowerCase());
+
+      if (user) {
+        found.push(user);
+      } else {
+        errors.push({
+          value: username,
+          detail: `Could not find user with usernames: [${username}].`,
+          title: 'Not Found Error',
+          resource_type: 'user',
+          parameter: 'usernames',
+          type: 'https://api.twitter.com/2/problems/resource-not-found'
+        });
+      }
+    });
+
+    res.json({
+      ...(found.length > 0 && { data: found }),
+      ...(errors.length > 0 && { errors })
+    });
+  });
+
+  router.get('/users/:id/tweets', rateLimit('users/:id/tweets'), maxResults(5, 100), (req, res) => {
+    const tweets = twitterFixtures.tweets.filter(tweet => tweet.author_id === req.params.id);
+    res.json(toTweetsResponse(tweets, req.query.max_results));
+  });
+
+  router.get('/tweets/search/recent', rateLimit('tweets/search/recent'), maxResults(10, 100), (req, res) => {
+    const query = (req.query.query || '').toLowerCase();
+    const hashtags = (query.match(/#\w+/g) || []).map(tag => tag.slice(1));
+
+    const tweets = twitterFixtures.tweets.filter(tweet => hashtags.length > 0
+      ? hashtags.every(tag => (tweet.hashtags || []).includes(tag))
+      : tweet.text.toLowerCase().includes(query));
+
+    res.json(toTweetsResponse(tweets, req.query.max_results));
+  });
+
+  router.get('/tweets', rateLimit('tweets'), (req, res) => {
+    const ids = (req.query.ids || '').split(',');
+    const tweets = twitterFixtures.tweets.filter(tweet => ids.includes(tweet.id));
+    res.json(toTweetsResponse(tweets, ids.length));
+  });
+
+  return router;
+};
+
+/**
+ * Stub Reddit routes
+ * @private
+ */
+const createRedditRouter = () => {
+  const router = express.Router();
+
+  const findSubreddit = (name) =>
+    redditFixtures.subreddits.find(sub => sub.display_name.toLowerCase() === name.toLowerCase());
+
+  const toListing = (kind, items) => ({
+    kind: 'Listing',
+    data: {
+      after: null,
+      before: null,
+      dist: items.length,
+      children: items.map(data => ({ kind, data }))
+    }
+  });
+
+  const toPost = (post) => {
+    const permalink = `/r/${post.subreddit}/comments/${post.id}/${post.title.toLowerCase().replace(/\W+/g, '_').slice(0, 40)}/`;
+
+    return {
+      id: post.id,
+      name: `t3_${post.id}`,
+      subreddit: post.subreddit,
+      subreddit_name_prefixed: `r/${post.subreddit}`,
+      author: post.author,
+      title: post.title,
+      selftext: post.selftext || '',
+      selftext_html: null,
+      is_self: Boolean(post.is_self),
+      is_video: Boolean(post.is_video),
+      post_hint: post.post_hint,
+      url: post.url || `https://www.reddit.com${permalink}`,
+      domain: post.domain,
+      link_flair_text: post.link_flair_text || null,
+      ups: post.ups,
+      score: post.ups,
+      upvote_ratio: post.upvote_ratio,
+      num_comments: post.num_comments,
+      over_18: false,
+      created_utc: Math.floor(minutesAgo(post.ageMinutes).getTime() / 1000),
+      permalink,
+      media: post.video_url ? { reddit_video: { fallback_url: post.video_url } } : null
+    };
+  };
+
+  const toComment = (post, comment) => ({
+    id: comment.id,
+    name: `t1_${comment.id}`,
+    author: comment.author,
+    body: comment.body,
+    score: comment.score,
+    ups: comment.score,
+    created_utc: Math.floor(minutesAgo(comment.ageMinutes).getTime() / 1000),
+    parent_id: `t3_${post.id}`,
+    link_id: `t3_${post.id}`,
+    subreddit: post.subreddit,
+    permalink: `/r/${post.subreddit}/comments/${post.id}/_/${comment.id}/`,
+    depth: 0,
+    replies: ''
+  });
+
+  const toSubreddit = (sub) => ({
+    ...sub,
+    name: `t5_${sub.display_name.toLowerCase()}`,
+    url: `/r/${sub.display_name}/`,
+    created_utc: Math.floor(minutesAgo(sub.ageDays * 24 * 60).getTime() / 1000),
+    banner_img: '',
+    icon_img: ''
+  });
+
+  const sortPosts = (posts, sort) => {
+    switch (sort) {
+      case 'new':
+        return [...posts].sort((a, b) => a.ageMinutes - b.ageMinutes);
+      case 'top':
+        return [...posts].sort((a, b) => b.ups - a.ups);
+      default:
+        return posts;
+    }
+  };
+
+  const searchPosts = (posts, query = '') => posts.filter(post =>
+    `${post.title} ${post.selftext || ''}`.toLowerCase().includes(query.toLowerCase())
+  );
+
+  const notFound = (res) => res.status(404).json({ message: 'Not Found', error: 404 });
+
+  // Any credentials get a token
+  router.post('/api/v1/access_token', (req, res) => {
+    res.json({ access_token: 'mock-access-token', token_type: 'bearer', expires_in: 3600, scope: '*' });
+  });
+
+  router.get('/r/:subreddit/:sort(hot|new|top|rising|controversial)', (req, res) => {
+    const { subreddit, sort } = req.params;
+
+    if (subreddit !== 'all' && !findSubreddit(subreddit)) {
+      return notFound(res);
+    }
+
+    const posts = redditFixtures.posts.filter(post =>
+      subreddit === 'all' || post.subreddit.toLowerCase() === subreddit.toLowerCase());
+
+    res.json(toListing('t3', sortPosts(posts, sort).slice(0, parseInt(req.query.limit) || 25).map(toPost)));
+  });
+
+  router.get('/r/:subreddit/about', (req, res) => {
+    const sub = findSubreddit(req.params.subreddit);
+    return sub ? res.json({ kind: 't5', data: toSubreddit(sub) }) : notFound(res);
+  });
+
+  router.get('/r/:subreddit/search', (req, res) => {
+    const posts = redditFixtures.posts.filter(post => post.subreddit.toLowerCase() === req.params.subreddit.toLowerCase());
+    res.json(toListing('t3', searchPosts(posts, req.query.q).slice(0, parseInt(req.query.limit) || 25).map(toPost)));
+  });
+
+  router.get('/search', (req, res) => {
+    res.json(toListing('t3', searchPosts(redditFixtures.posts, req.query.q).slice(0, parseInt(req.query.limit) || 25).map(toPost)));
+  });
+
+  router.get('/subreddits/popular', (req, res) => {
+    res.json(toListing('t5', redditFixtures.subreddits.map(toSubreddit)));
+  });
+
+  // A post followed by its comments, like the real comments page
+  router.get('/comments/:id', (req, res) => {
+    const post = redditFixtures.posts.find(p => p.id === req.params.id);
+
+    if (!post) {
+      return notFound(res);
+    }
+
+    const comments = [...(redditFixtures.comments[post.id] || [])];
+    if (req.query.sort === 'top') {
+      comments.sort((a, b) => b.score - a.score);
+    } else if (req.query.sort === 'new') {
+      comments.sort((a, b) => a.ageMinutes - b.ageMinutes);
+    }
+
+    res.json([
+      toListing('t3', [toPost(post)]),
+      toListing('t1', comments.slice(0, parseInt(req.query.limit) || comments.length).map(comment => toComment(post, comment)))
+    ]);
+  });
+
+  return router;
+};
+
+/**
+ * Create the stub API app
+ * @returns {Object} Express app
+ */
+const createSourceApiApp = () => {
+  const app = express();
+
+  app.use('/twitter/2', createTwitterRouter());
+  app.use('/reddit', createRedditRouter());
+
+  return app;
+};
+
+/**
+ * Start the stub API server
+ * @param {number} port - Port to listen on, 0 for any free port
+ * @returns {Promise} Resolves with the listening http.Server
+ */
+const startSourceApiServer = (port = parseInt(process.env.MOCK_SOURCE_API_PORT) || DEFAULT_PORT) => {
+  return new Promise((resolve, reject) => {
+    const server = createSourceApiApp().listen(port, () => {
+      logger.info(`Source API stub listening on port ${server.address().port}`);
+      resolve(server);
+    });
+
+    server.on('error', reject);
+  });
+};
+
+if (require.main === module) {
+  startSourceApiServer().catch(error => {
+    logger.error('Error starting source API stub:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  createSourceApiApp,
+  startSourceApiServer
+};
@@ -1,9 +1,33 @@
 const mongoose = require('mongoose');
+const SourceRegistry = require('../services/sources');
+const ContentEngagementSnapshot = require('./contentEngagementSnapshot.model');
+const logger = require('../utils/logger');
+const ModerationPipeline = require('../services/moderation');
+const TopicService = require('../services/topic.service');
+const { canonicalizeUrl, simhash, getHashBands, isNearDuplicate } = require('../utils/dedupe');
+const { scoreSentiment } = require('../utils/sentiment');
+
+// How quickly the trending score of content decays with age
+const TRENDING_GRAVITY = 1.8;
+
+// Stored trending scores below this have decayed out of the trending sort and are left as they are
+const TRENDING_REFRESH_FLOOR = 0.01;
+
+// Copies of a story are only looked for among content created this close together
+const STORY_WINDOW_DAYS = 3;
+
+// Shortest interval velocity is measured over, so quick refreshes don't spike it
+const MIN_VELOCITY_HOURS = 0.25;
+
+// Normalized kinds of content, whatever the source calls them
+const MEDIA_KINDS = ['text', 'image', 'video', 'link'];
+const VIDEO_MEDIA_TYPES = ['video', 'animated_gif', 'gif'];
+const IMAGE_MEDIA_TYPES = ['image', 'photo'];
 
 const contentSchema = new mongoose.Schema({
   source: {
     type: String,
-    enum: ['twitter', 'reddit', 'linkedin'],
+    enum: SourceRegistry.getSourceNames(),
     required: true
   },
   sourceId: {
@@ -22,9 +46,19 @@ const contentSchema = new mongoose.Schema({
   },
   contentType: {
     type: String,
-    enum: ['post', 'tweet', 'article', 'comment', 'other'],
+    enum: ['post', 'tweet', 'article', 'video', 'image', 'text', 'link', 'comment', 'other'],
     required: true
   },
+  // Source-independent kind of content, derived from contentType and media
+  mediaKind: {
+    type: String,
+    enum: MEDIA_KINDS,
+    default: 'text'
+  },
+  hasMedia: {
+    type: Boolean,
+    default: false
+  },
   title: {
     type: String
   },
@@ -46,6 +80,10 @@ const contentSchema = new mongoose.Schema({
     enum: ['positive', 'neutral', 'negative', 'unknown'],
     default: 'unknown'
   },
+  // Lexicon score behind the sentiment label, from about -5 to 5
+  sentimentScore: {
+    type: Number
+  },
   engagement: {
     likes: {
       type: Number,
@@ -68,6 +106,39 @@ const contentSchema = new mongoose.Schema({
     type: Date,
     required: true
   },
+  // Engagement gained per hour since the previous snapshot
+  engagementVelocity: {
+    type: Number,
+    default: 0
+  },
+  // Engagement relative to age, refreshed whenever engagement metrics change
+  trendingScore: {
+    type: Number,
+    default: 0
+  },
+  // Canonical form of the link the content points at, from metadata.linkUrl
+  canonicalUrl: {
+    type: String
+  },
+  // SimHash of the title and text, with its bands for candidate lookups
+  textHash: {
+    type: String
+  },
+  textHashBands: [String],
+  // ID of the first content seen for the story this content belongs to
+  storyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Content'
+  },
+  // Content this item replies to, e.g. the post a comment was left on.
+  // Sources give the parent's source ID, which is resolved once both are stored
+  parentSourceId: {
+    type: String
+  },
+  parentContent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Content'
+  },
   metadata: {
     type: mongoose.Schema.Types.Mixed
   },
@@ -78,6 +149,35 @@ const contentSchema = new mongoose.Schema({
   inappropriateReason: {
     type: String
   },
+  // Result of automated screening at ingest and of the admin review that followed
+  moderation: {
+    status: {
+      type: String,
+      enum: ['clean', 'pending', 'flagged', 'approved', 'removed'],
+      default: 'clean'
+    },
+    confidence: {
+      type: Number,
+      default: 0
+    },
+    flags: [{
+      _id: false,
+      rule: String,
+      reason: String,
+      confidence: Number,
+      detail: String
+    }],
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: {
+      type: Date
+    },
+    notes: {
+      type: String
+    }
+  },
   cacheExpiration: {
     type: Date,
     required: true
@@ -105,8 +205,38 @@ contentSchema.index({ sourceId: 1, source: 1 }, { unique: true });
 contentSchema.index({ source: 1, contentCreatedAt: -1 });
 contentSchema.index({ categories: 1 });
 contentSchema.index({ tags: 1 });
+contentSchema.index({ mediaKind: 1, contentCreatedAt: -1 });
+contentSchema.index({ hasMedia: 1 });
 contentSchema.index({ cacheExpiration: 1 });
 contentSchema.index({ isInappropriate: 1 });
+contentSchema.index({ 'moderation.status': 1, 'moderation.confidence': -1 });
+contentSchema.index({ trendingScore: -1 });
+contentSchema.index({ source: 1, sentiment: 1 });
+contentSchema.index({ canonicalUrl: 1 }, { sparse: true });
+contentSchema.index({ textHashBands: 1 });
+contentSchema.index({ storyId: 1 });
+contentSchema.index({ parentContent: 1, 'engagement.likes': -1 });
+
+// Weighted full-text index used by content search
+contentSchema.index(
+  {
+    title: 'text',
+    text: 'text',
+    sourceName: 'text',
+    sourceUsername: 'text',
+    categories: 'text'
+  },
+  {
+    name: 'content_text_search',
+    weights: {
+      title: 10,
+      text: 5,
+      sourceName: 3,
+      sourceUsername: 3,
+      categories: 2
+    }
+  }
+);
 
 // Virtual for determining if content is fresh or needs to be refreshed
 contentSchema.virtual('isExpired').get(function() {
@@ -122,13 +252,348 @@ contentSchema.statics.findExpiredContent = function(limit = 100) {
   .limit(limit);
 };
 
-// Method to update engagement metrics
-contentSchema.methods.updateEngagementMetrics = function(likes, comments, shares) {
+// Static method to score content by engagement relative to its age
+contentSchema.statics.calculateTrendingScore = function(totalEngagement, contentCreatedAt) {
+  const ageHours = Math.max(0, (Date.now() - new Date(contentCreatedAt)) / (60 * 60 * 1000));
+  return (totalEngagement || 0) / Math.pow(ageHours + 2, TRENDING_GRAVITY);
+};
+
+// Static method to decay the stored trending scores of a source's content, which
+// are otherwise only recomputed when the content is fetched again
+contentSchema.statics.refreshTrendingScores = async function(source) {
+  const ageHours = {
+    $max: [0, { $divide: [{ $subtract: ['$$NOW', '$contentCreatedAt'] }, 60 * 60 * 1000] }]
+  };
+  
+  const result = await this.updateMany(
+    { source, trendingScore: { $gte: TRENDING_REFRESH_FLOOR } },
+    [{
+      $set: {
+        trendingScore: {
+          $divide: [
+            { $ifNull: ['$engagement.totalEngagement', 0] },
+            { $pow: [{ $add: [ageHours, 2] }, TRENDING_GRAVITY] }
+          ]
+        }
+      }
+    }]
+  );
+  
+  return { fetched: result.matchedCount, saved: result.modifiedCount, updated: result.modifiedCount };
+};
+
+// Static method to get engagement per hour at a point in time, since the previous
+// snapshot or since creation when there is none
+contentSchema.statics.calculateEngagementVelocity = function(totalEngagement, contentCreatedAt, previous = null, at = new Date()) {
+  const from = previous ? previous.capturedAt : contentCreatedAt;
+  const gained = previous ? totalEngagement - previous.totalEngagement : totalEngagement;
+  const hours = Math.max(MIN_VELOCITY_HOURS, (new Date(at) - new Date(from)) / (60 * 60 * 1000));
+  
+  return Math.round((Math.max(0, gained) / hours) * 100) / 100;
+};
+
+// Build a query matching content by source and source ID
+const getKeysQuery = (keys) => {
+  const idsBySource = keys.reduce((groups, key) => {
+    (groups[key.source] = groups[key.source] || []).push(key.sourceId);
+    return groups;
+  }, {});
+  
+  return {
+    $or: Object.entries(idsBySource).map(([source, sourceIds]) => ({
+      source,
+      sourceId: { $in: sourceIds }
+    }))
+  };
+};
+
+// Keep the trending score in sync with engagement on save
+contentSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('engagement')) {
+    this.trendingScore = this.constructor.calculateTrendingScore(
+      this.engagement.totalEngagement,
+      this.contentCreatedAt
+    );
+  }
+  if (this.isNew) {
+    this.setStoryKeys();
+    this.setSentiment();
+    this.setMediaKind();
+  }
+  next();
+});
+
+// Static method to insert new content and refresh existing content in one bulk write
+contentSchema.statics.bulkUpsert = async function(items) {
+  const result = { inserted: 0, updated: 0, failed: 0 };
+  const operations = [];
+  
+  // Every source goes through the same topic extraction
+  const taggedItems = await TopicService.tagContent(items, await this.estimatedDocumentCount());
+  
+  for (const item of taggedItems) {
+    // Screen and validate up front, since bulk writes skip schema validation.
+    // Only inserts use the screening result, so admin reviews are never undone
+    const doc = new this({ ...item, ...ModerationPipeline.screen(item) });
+    doc.setStoryKeys();
+    doc.setSentiment();
+    doc.setMediaKind();
+    const validationError = doc.validateSync();
+    
+    if (validationError) {
+      logger.error(`Invalid ${item.source} content ${item.sourceId}:`, validationError);
+      result.failed++;
+      continue;
+    }
+    
+    const {
+      engagement,
+      cacheExpiration,
+      trendingScore,
+      mediaKind,
+      hasMedia,
+      categories,
+      createdAt,
+      updatedAt,
+      ...insertFields
+    } = doc.toObject();
+    
+    const score = this.calculateTrendingScore(engagement.totalEngagement, doc.contentCreatedAt);
+    
+    operations.push({
+      updateOne: {
+        filter: { sourceId: doc.sourceId, source: doc.source },
+        update: {
+          // Existing content only gets fresh engagement metrics, cache expiration,
+          // and the media kind and topic categories, which may have been derived
+          // differently when older documents were stored
+          $set: { engagement, cacheExpiration, trendingScore: score, mediaKind, hasMedia, categories },
+          $setOnInsert: insertFields
+        },
+        upsert: true
+      }
+    });
+  }
+  
+  if (operations.length === 0) {
+    return result;
+  }
+  
+  let bulkResult;
+  
+  try {
+    bulkResult = await this.bulkWrite(operations, { ordered: false });
+  } catch (error) {
+    // Unordered writes keep going after a failure and report the partial result
+    if (!error.result) {
+      throw error;
+    }
+    
+    logger.error('Error upserting content:', error);
+    bulkResult = error.result;
+    result.failed += error.writeErrors ? error.writeErrors.length : 1;
+  }
+  
+  result.inserted += bulkResult.upsertedCount || 0;
+  result.updated += bulkResult.matchedCount || 0;
+  
+  const keys = operations.map(op => op.updateOne.filter);
+  
+  // Only new documents count towards corpus term frequencies
+  const insertedItems = Object.keys(bulkResult.upsertedIds || {})
+    .map(index => operations[index].updateOne.update.$setOnInsert);
+  
+  try {
+    await TopicService.recordDocuments(insertedItems);
+  } catch (error) {
+    // The content is stored; keywords are only ranked on slightly stale frequencies
+    logger.error('Error recording corpus terms for new content:', error);
+  }
+  
+  await this.recordEngagementSnapshots(keys);
+  await this.linkParents(keys);
+  await this.assignStories(keys);
+  
+  return result;
+};
+
+// Static method to append the current engagement of content to its history
+contentSchema.statics.recordEngagementSnapshots = async function(keys) {
+  try {
+    // Look up the written documents per source by their source IDs
+    const contents = await this.find(getKeysQuery(keys)).select('source engagement contentCreatedAt');
+    
+    if (contents.length > 0) {
+      const previous = await ContentEngagementSnapshot.getLatestForContent(contents.map(content => content._id));
+      
+      await ContentEngagementSnapshot.recordForContent(contents);
+      
+      await this.bulkWrite(contents.map(content => ({
+        updateOne: {
+          filter: { _id: content._id },
+          update: {
+            $set: {
+              engagementVelocity: this.calculateEngagementVelocity(
+                content.engagement?.totalEngagement || 0,
+                content.contentCreatedAt,
+                previous.get(content._id.toString())
+              )
+            }
+          }
+        }
+      })), { ordered: false });
+    }
+  } catch (error) {
+    // Missing a snapshot should not fail the refresh
+    logger.error('Error recording engagement snapshots:', error);
+  }
+};
+
+// Static method to point newly written replies at their stored parent content
+contentSchema.statics.linkParents = async function(keys) {
+  try {
+    const replies = await this.find({
+      ...getKeysQuery(keys),
+      parentSourceId: { $exists: true },
+      parentContent: { $exists: false }
+    })
+    .select('source parentSourceId')
+    .lean();
+    
+    if (replies.length === 0) {
+      return;
+    }
+    
+    const parents = await this.find(getKeysQuery(replies.map(reply => ({
+      source: reply.source,
+      sourceId: reply.parentSourceId
+    }))))
+    .select('source sourceId')
+    .lean();
+    
+    const parentIds = new Map(parents.map(parent => [`${parent.source}:${parent.sourceId}`, parent._id]));
+    
+    // Replies whose parent isn't stored yet are linked on a later write
+    const operations = replies
+      .filter(reply => parentIds.has(`${reply.source}:${reply.parentSourceId}`))
+      .map(reply => ({
+        updateOne: {
+          filter: { _id: reply._id },
+          update: { $set: { parentContent: parentIds.get(`${reply.source}:${reply.parentSourceId}`) } }
+        }
+      }));
+    
+    if (operations.length > 0) {
+      await this.bulkWrite(operations, { ordered: false });
+    }
+  } catch (error) {
+    // Unlinked replies are only missing from their parent's discussion
+    logger.error('Error linking content to parents:', error);
+  }
+};
+
+// Static method to group newly written content with earlier copies of the same story
+contentSchema.statics.assignStories = async function(keys) {
+  try {
+    // Oldest first, so copies within one batch join the earliest story
+    // Replies are shown under their parent rather than as stories of their own
+    const contents = await this.find({
+      ...getKeysQuery(keys),
+      contentType: { $ne: 'comment' },
+      storyId: { $exists: false }
+    })
+    .sort({ contentCreatedAt: 1 })
+    .select('canonicalUrl textHash textHashBands contentCreatedAt');
+    
+    for (const content of contents) {
+      const storyId = await this.findStoryId(content);
+      await this.updateOne({ _id: content._id }, { $set: { storyId } });
+    }
+  } catch (error) {
+    // Ungrouped content still shows up in the feed on its own
+    logger.error('Error assigning content stories:', error);
+  }
+};
+
+// Static method to find the story of the earliest copy of content, or start a new one
+contentSchema.statics.findStoryId = async function(content) {
+  const conditions = [];
+  
+  if (content.canonicalUrl) {
+    conditions.push({ canonicalUrl: content.canonicalUrl });
+  }
+  if (content.textHashBands && content.textHashBands.length > 0) {
+    conditions.push({ textHashBands: { $in: content.textHashBands } });
+  }
+  
+  if (conditions.length === 0) {
+    return content._id;
+  }
+  
+  const windowMs = STORY_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+  const createdAt = new Date(content.contentCreatedAt).getTime();
+  
+  const candidates = await this.find({
+    _id: { $ne: content._id },
+    storyId: { $exists: true },
+    contentCreatedAt: {
+      $gte: new Date(createdAt - windowMs),
+      $lte: new Date(createdAt + windowMs)
+    },
+    $or: conditions
+  })
+  .sort({ contentCreatedAt: 1 })
+  .limit(50)
+  .select('storyId canonicalUrl textHash')
+  .lean();
+  
+  // A shared link is stronger evidence than similar wording
+  const match = candidates.find(candidate => content.canonicalUrl && candidate.canonicalUrl === content.canonicalUrl)
+    || candidates.find(candidate => isNearDuplicate(candidate.textHash, content.textHash));
+  
+  return match ? match.storyId : content._id;
+};
+
+// Method to compute the canonical link and text hash used to group copies of a story
+contentSchema.methods.setStoryKeys = function() {
+  this.canonicalUrl = canonicalizeUrl(this.metadata?.linkUrl) || undefined;
+  this.textHash = simhash([this.title, this.text].filter(Boolean).join(' ')) || undefined;
+  this.textHashBands = getHashBands(this.textHash);
+};
+
+// Method to score the sentiment of the title and text
+contentSchema.methods.setSentiment = function() {
+  const { score, sentiment } = scoreSentiment([this.title, this.text].filter(Boolean).join('\n'));
+  this.sentiment = sentiment;
+  this.sentimentScore = score;
+};
+
+// Method to derive the normalized media kind from the source content type and media
+contentSchema.methods.setMediaKind = function() {
+  const mediaTypes = (this.mediaTypes || []).map(type => type.toLowerCase());
+  
+  this.hasMedia = (this.mediaUrls || []).length > 0;
+  
+  if (this.contentType === 'video' || mediaTypes.some(type => VIDEO_MEDIA_TYPES.includes(type))) {
+    this.mediaKind = 'video';
+  } else if (this.contentType === 'image' || mediaTypes.some(type => IMAGE_MEDIA_TYPES.includes(type))) {
+    this.mediaKind = 'image';
+  } else if (this.contentType === 'link' || this.metadata?.linkUrl) {
+    this.mediaKind = 'link';
+  } else {
+    this.mediaKind = 'text';
+  }
+};
+
+// Method to update engagement metrics and append them to the engagement history
+contentSchema.methods.updateEngagementMetrics = async function(likes, comments, shares) {
   this.engagement.likes = likes || this.engagement.likes;
   this.engagement.comments = comments || this.engagement.comments;
   this.engagement.shares = shares || this.engagement.shares;
   this.engagement.totalEngagement = this.engagement.likes + this.engagement.comments + this.engagement.shares;
-  return this.save();
+  await this.save();
+  await ContentEngagementSnapshot.recordForContent([this]);
+  return this;
 };
 
 // Method to refresh cache expiration
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// Engagement history is kept for 90 days
+const SNAPSHOT_RETENTION_SECONDS = 90 * 24 * 60 * 60;
+
+const contentEngagementSnapshotSchema = new mongoose.Schema({
+  content: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Content',
+    required: true
+  },
+  source: {
+    type: String,
+    required: true
+  },
+  likes: {
+    type: Number,
+    default: 0
+  },
+  comments: {
+    type: Number,
+    default: 0
+  },
+  shares: {
+    type: Number,
+    default: 0
+  },
+  totalEngagement: {
+    type: Number,
+    default: 0
+  },
+  capturedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Create indexes for efficient queries
+contentEngagementSnapshotSchema.index({ content: 1, capturedAt: 1 });
+contentEngagementSnapshotSchema.index({ capturedAt: 1 }, { expireAfterSeconds: SNAPSHOT_RETENTION_SECONDS });
+
+// Static method to record the current engagement of content documents
+contentEngagementSnapshotSchema.statics.recordForContent = function(contents) {
+  const capturedAt = new Date();
+  
+  return this.insertMany(contents.map(content => ({
+    content: content._id,
+    source: content.source,
+    likes: content.engagement?.likes || 0,
+    comments: content.engagement?.comments || 0,
+    shares: content.engagement?.shares || 0,
+    totalEngagement: content.engagement?.totalEngagement || 0,
+    capturedAt
+  })));
+};
+
+// Static method to get the most recent snapshot of each content item
+contentEngagementSnapshotSchema.statics.getLatestForContent = async function(contentIds) {
+  const snapshots = await this.aggregate([
+    { $match: { content: { $in: contentIds } } },
+    { $sort: { capturedAt: -1 } },
+    { $group: { _id: '$content', totalEngagement: { $first: '$totalEngagement' }, capturedAt: { $first: '$capturedAt' } } }
+  ]);
+  
+  return new Map(snapshots.map(snapshot => [snapshot._id.toString(), snapshot]));
+};
+
+// Static method to check whether snapshots taken at a date are still kept
+contentEngagementSnapshotSchema.statics.isRetained = function(date) {
+  return new Date(date) > new Date(Date.now() - SNAPSHOT_RETENTION_SECONDS * 1000);
+};
+
+// Static method to get the engagement series for a content item
+contentEngagementSnapshotSchema.statics.getSeries = function(contentId, limit = 500) {
+  return this.find({ content: contentId })
+    .sort({ capturedAt: -1 })
+    .limit(limit)
+    .lean()
+    .then(snapshots => snapshots.reverse());
+};
+
+const ContentEngagementSnapshot = mongoose.model('ContentEngagementSnapshot', contentEngagementSnapshotSchema);
+
+module.exports = ContentEngagementSnapshot;
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// Hide or "not interested" feedback a user gave on a feed item
+const contentFeedbackSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  content: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Content',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['hide', 'not_interested'],
+    required: true
+  },
+  // Copied from the content so signals outlive expired content
+  source: {
+    type: String
+  },
+  sourceUsername: {
+    type: String
+  },
+  categories: [String]
+}, { timestamps: true });
+
+// One feedback entry per user and content
+contentFeedbackSchema.index({ user: 1, content: 1 }, { unique: true });
+contentFeedbackSchema.index({ user: 1, action: 1, createdAt: -1 });
+
+// Static method to get the IDs of content a user dismissed
+contentFeedbackSchema.statics.getDismissedContentIds = async function(userId) {
+  const feedback = await this.find({ user: userId }).select('content').lean();
+  return feedback.map(entry => entry.content);
+};
+
+// Static method to get the accounts and categories a user is not interested in
+contentFeedbackSchema.statics.getNegativeSignals = async function(userId, since) {
+  const feedback = await this.find({
+    user: userId,
+    action: 'not_interested',
+    createdAt: { $gte: since }
+  })
+  .select('source sourceUsername categories')
+  .lean();
+
+  const accounts = new Map();
+  const categories = new Map();
+
+  feedback.forEach(entry => {
+    if (entry.sourceUsername) {
+      const key = `${entry.source}:${entry.sourceUsername.toLowerCase()}`;
+      accounts.set(key, { source: entry.source, sourceUsername: entry.sourceUsername, count: (accounts.get(key)?.count || 0) + 1 });
+    }
+
+    (entry.categories || []).forEach(category => {
+      categories.set(category, (categories.get(category) || 0) + 1);
+    });
+  });
+
+  return {
+    accounts: [...accounts.values()],
+    categories: Array.from(categories, ([category, count]) => ({ category, count }))
+  };
+};
+
+const ContentFeedback = mongoose.model('ContentFeedback', contentFeedbackSchema);
+
+module.exports = ContentFeedback;
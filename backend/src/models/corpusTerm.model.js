@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// Document frequency of terms across ingested content, used for TF-IDF keywords
+const corpusTermSchema = new mongoose.Schema({
+  term: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  documentCount: {
+    type: Number,
+    default: 0
+  }
+}, { timestamps: true });
+
+// Static method to get the document counts of terms
+corpusTermSchema.statics.getDocumentCounts = async function(terms) {
+  const counts = new Map();
+
+  if (terms.length === 0) {
+    return counts;
+  }
+
+  const records = await this.find({ term: { $in: terms } }).select('term documentCount').lean();
+  records.forEach(record => counts.set(record.term, record.documentCount));
+
+  return counts;
+};
+
+// Static method to count each term once per new document
+corpusTermSchema.statics.recordDocuments = function(termLists) {
+  const increments = new Map();
+
+  termLists.forEach(terms => {
+    new Set(terms).forEach(term => increments.set(term, (increments.get(term) || 0) + 1));
+  });
+
+  if (increments.size === 0) {
+    return Promise.resolve();
+  }
+
+  return this.bulkWrite(
+    Array.from(increments, ([term, count]) => ({
+      updateOne: {
+        filter: { term },
+        update: { $inc: { documentCount: count } },
+        upsert: true
+      }
+    })),
+    { ordered: false }
+  );
+};
+
+const CorpusTerm = mongoose.model('CorpusTerm', corpusTermSchema);
+
+module.exports = CorpusTerm;
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const SourceRegistry = require('../services/sources');
+
+// Ingestion history is kept for 30 days
+const RUN_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+const ingestionRunSchema = new mongoose.Schema({
+  job: {
+    type: String,
+    enum: ['refresh', 'expired', 'sentiment', 'trending'],
+    required: true
+  },
+  source: {
+    type: String,
+    enum: SourceRegistry.getSourceNames(),
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    default: 'schedule'
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed', 'skipped'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: {
+    type: Date
+  },
+  durationMs: {
+    type: Number
+  },
+  fetched: {
+    type: Number,
+    default: 0
+  },
+  saved: {
+    type: Number,
+    default: 0
+  },
+  inserted: {
+    type: Number,
+    default: 0
+  },
+  updated: {
+    type: Number,
+    default: 0
+  },
+  failed: {
+    type: Number,
+    default: 0
+  },
+  // Named failures because mongoose reserves the `errors` path
+  failures: [{
+    message: String,
+    occurredAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, { timestamps: true });
+
+// Create indexes for efficient queries
+ingestionRunSchema.index({ startedAt: -1 });
+ingestionRunSchema.index({ source: 1, job: 1, startedAt: -1 });
+ingestionRunSchema.index({ createdAt: 1 }, { expireAfterSeconds: RUN_RETENTION_SECONDS });
+
+// Static method to find runs with pagination
+ingestionRunSchema.statics.findWithPagination = function(query = {}, options = {}) {
+  const {
+    page = 1,
+    limit = 20
+  } = options;
+  
+  return this.find(query)
+    .sort({ startedAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit);
+};
+
+// Method to mark the run as completed
+ingestionRunSchema.methods.complete = function(results = {}) {
+  this.status = 'completed';
+  this.fetched = results.fetched || 0;
+  this.saved = results.saved || 0;
+  this.inserted = results.inserted || 0;
+  this.updated = results.updated || 0;
+  this.failed = results.failed || 0;
+  this.finishedAt = new Date();
+  this.durationMs = this.finishedAt - this.startedAt;
+  return this.save();
+};
+
+// Method to mark the run as failed
+ingestionRunSchema.methods.fail = function(error) {
+  this.status = 'failed';
+  this.failures.push({ message: error.message });
+  this.finishedAt = new Date();
+  this.durationMs = this.finishedAt - this.startedAt;
+  return this.save();
+};
+
+const IngestionRun = mongoose.model('IngestionRun', ingestionRunSchema);
+
+module.exports = IngestionRun;
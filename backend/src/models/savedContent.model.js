@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { normalizeSort, applyCursor } = require('../utils/cursor');
 
 const savedContentSchema = new mongoose.Schema({
   user: {
@@ -49,7 +50,8 @@ savedContentSchema.statics.findByUserWithPagination = function(userId, options =
     tags,
     page = 1,
     limit = 20,
-    sort = '-savedAt'
+    sort = '-savedAt',
+    after = null
   } = options;
   
   const query = { user: userId };
@@ -62,9 +64,12 @@ savedContentSchema.statics.findByUserWithPagination = function(userId, options =
     query.tags = { $in: Array.isArray(tags) ? tags : [tags] };
   }
   
-  return this.find(query)
-    .sort(sort)
-    .skip((page - 1) * limit)
+  const sortObj = normalizeSort(sort);
+  
+  // Continue after the cursor if provided, otherwise fall back to page offsets
+  return this.find(applyCursor(query, sortObj, after))
+    .sort(sortObj)
+    .skip(after ? 0 : (page - 1) * limit)
     .limit(limit)
     .populate({
       path: 'content',
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const SourceRegistry = require('../services/sources');
+
+const sourceWatchlistSchema = new mongoose.Schema({
+  source: {
+    type: String,
+    enum: SourceRegistry.getSourceNames(),
+    required: true
+  },
+  type: {
+    type: String,
+    enum: SourceRegistry.getWatchlistTypes(),
+    required: true
+  },
+  value: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  fetchCount: {
+    type: Number,
+    min: 1,
+    max: 100
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  notes: {
+    type: String,
+    maxlength: 500
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastFetchedAt: {
+    type: Date
+  }
+}, { timestamps: true });
+
+// Normalize the watched value before validation
+sourceWatchlistSchema.pre('validate', function(next) {
+  if (this.value) {
+    this.value = SourceRegistry.normalizeWatchlistValue(this.value);
+  }
+  next();
+});
+
+// An account, hashtag or subreddit can only be watched once per source
+sourceWatchlistSchema.index({ source: 1, type: 1, value: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+sourceWatchlistSchema.index({ source: 1, isActive: 1 });
+
+// Static method to get the active entries for a source
+sourceWatchlistSchema.statics.getActiveEntries = function(source) {
+  return this.find({ source, isActive: true }).sort({ type: 1, value: 1 });
+};
+
+// Static method to record that entries were fetched
+sourceWatchlistSchema.statics.markFetched = function(entryIds) {
+  return this.updateMany(
+    { _id: { $in: entryIds } },
+    { $set: { lastFetchedAt: new Date() } }
+  );
+};
+
+const SourceWatchlist = mongoose.model('SourceWatchlist', sourceWatchlistSchema);
+
+module.exports = SourceWatchlist;
@@ -1,158 +1,216 @@
-const express = require('express');
-const { body, validationResult } = require('express-validator');
-const NotificationService = require('../services/notification.service');
-const { authenticate } = require('../middleware/auth.middleware');
-const router = express.Router();
+const mongoose = require('mongoose');
+const bcrypt = require('bcrypt');
+const SourceRegistry = require('../services/sources');
+const { getUnsafePatternReason } = require('../utils/helpers');
 
-// Apply authentication middleware to all notification routes
-router.use(authenticate);
-
-/**
- * @route GET /api/notifications
- * @desc Get user notifications
- * @access Private
- */
-router.get('/', async (req, res, next) => {
-  try {
-    const userId = req.user._id;
-    const { page, limit, read, type } = req.query;
-    
-    const notifications = await NotificationService.getUserNotifications(userId, {
-      page: parseInt(page) || 1,
-      limit: parseInt(limit) || 20,
-      read: read === 'true' ? true : (read === 'false' ? false : undefined),
-      type
-    });
-    
-    res.status(200).json({
-      success: true,
-      notifications: notifications.notifications,
-      pagination: notifications.pagination
-    });
-  } catch (error) {
-    next(error);
+// Account, hashtag or subreddit a user follows on a content source
+const followSchema = new mongoose.Schema({
+  source: {
+    type: String,
+    enum: SourceRegistry.getSourceNames(),
+    required: true
+  },
+  type: {
+    type: String,
+    enum: SourceRegistry.getWatchlistTypes(),
+    required: true
+  },
+  value: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  followedAt: {
+    type: Date,
+    default: Date.now
   }
 });
 
-/**
- * @route GET /api/notifications/unread-count
- * @desc Get unread notification count
- * @access Private
- */
-router.get('/unread-count', async (req, res, next) => {
-  try {
-    const userId = req.user._id;
-    
-    const result = await NotificationService.getUnreadCount(userId);
-    
-    res.status(200).json({
-      success: true,
-      count: result.count
-    });
-  } catch (error) {
-    next(error);
+// Normalize the followed value before validation
+followSchema.pre('validate', function(next) {
+  if (this.value) {
+    this.value = SourceRegistry.normalizeWatchlistValue(this.value);
   }
+  next();
 });
 
-/**
- * @route PUT /api/notifications/:id/read
- * @desc Mark notification as read
- * @access Private
- */
-router.put('/:id/read', async (req, res, next) => {
-  try {
-    const userId = req.user._id;
-    const { id } = req.params;
-    
-    const notification = await NotificationService.markAsRead(id, userId);
-    
-    res.status(200).json({
-      success: true,
-      message: 'Notification marked as read',
-      notification
-    });
-  } catch (error) {
-    next(error);
+// Keyword, pattern, account, subreddit or domain a user never wants to see
+const muteSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['keyword', 'regex', 'account', 'subreddit', 'domain'],
+    required: true
+  },
+  value: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  // Limits an account mute to one source; any source when unset
+  source: {
+    type: String,
+    enum: SourceRegistry.getSourceNames()
+  },
+  expiresAt: {
+    type: Date
+  },
+  mutedAt: {
+    type: Date,
+    default: Date.now
   }
 });
 
-/**
- * @route PUT /api/notifications/read-all
- * @desc Mark all notifications as read
- * @access Private
- */
-router.put('/read-all', async (req, res, next) => {
-  try {
-    const userId = req.user._id;
-    
-    const result = await NotificationService.markAllAsRead(userId);
-    
-    res.status(200).json({
-      success: true,
-      message: `${result.count} notifications marked as read`
-    });
-  } catch (error) {
-    next(error);
+// Normalize the muted value and reject patterns that do not compile or could backtrack for too long
+muteSchema.pre('validate', function(next) {
+  if (!this.value) {
+    return next();
+  }
+  
+  if (this.type === 'domain') {
+    this.value = this.value.trim().toLowerCase().replace(/^[a-z]+:\/\//, '').replace(/^www\./, '').split(/[/?#:]/)[0];
+  } else if (this.type === 'account' || this.type === 'subreddit') {
+    this.value = SourceRegistry.normalizeWatchlistValue(this.value);
+  } else if (this.type === 'regex') {
+    const reason = getUnsafePatternReason(this.value);
+    if (reason) {
+      this.invalidate('value', reason);
+    }
   }
+  next();
 });
 
-/**
- * @route DELETE /api/notifications/:id
- * @desc Delete a notification
- * @access Private
- */
-router.delete('/:id', async (req, res, next) => {
+const userSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true
+  },
+  password: {
+    type: String,
+    required: true
+  },
+  firstName: {
+    type: String,
+    trim: true
+  },
+  lastName: {
+    type: String,
+    trim: true
+  },
+  profileImage: {
+    type: String
+  },
+  bio: {
+    type: String,
+    maxlength: 500
+  },
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
+  isEmailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerificationToken: String,
+  emailVerificationExpires: Date,
+  passwordResetToken: String,
+  passwordResetExpires: Date,
+  lastLogin: Date,
+  preferences: {
+    // One toggle per registered content source
+    contentSources: SourceRegistry.list().reduce((toggles, adapter) => {
+      toggles[adapter.name] = { type: Boolean, default: adapter.enabledByDefault };
+      return toggles;
+    }, {}),
+    contentCategories: [String],
+    emailNotifications: {
+      system: { type: Boolean, default: true },
+      credits: { type: Boolean, default: true },
+      content: { type: Boolean, default: true }
+    },
+    pushNotifications: {
+      system: { type: Boolean, default: true },
+      credits: { type: Boolean, default: true },
+      content: { type: Boolean, default: true }
+    }
+  },
+  follows: [followSchema],
+  mutes: [muteSchema],
+  accountStatus: {
+    type: String,
+    enum: ['active', 'suspended', 'deactivated'],
+    default: 'active'
+  },
+  profileCompletionPercentage: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { timestamps: true });
+
+// Pre-save hook to hash password
+userSchema.pre('save', async function(next) {
+  // Only hash the password if it has been modified (or is new)
+  if (!this.isModified('password')) return next();
+  
   try {
-    const userId = req.user._id;
-    const { id } = req.params;
-    
-    const result = await NotificationService.deleteNotification(id, userId);
-    
-    res.status(200).json({
-      success: true,
-      message: result.message
-    });
+    // Generate a salt
+    const salt = await bcrypt.genSalt(10);
+    // Hash the password along with the new salt
+    this.password = await bcrypt.hash(this.password, salt);
+    return next();
   } catch (error) {
-    next(error);
+    return next(error);
   }
 });
 
-/**
- * @route PUT /api/notifications/preferences
- * @desc Update notification preferences
- * @access Private
- */
-router.put(
-  '/preferences',
-  [
-    body('emailNotifications').optional().isObject().withMessage('Email notifications must be an object'),
-    body('pushNotifications').optional().isObject().withMessage('Push notifications must be an object')
-  ],
-  async (req, res, next) => {
-    try {
-      // Check for validation errors
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({
-          success: false,
-          errors: errors.array()
-        });
-      }
-      
-      const userId = req.user._id;
-      const preferences = req.body;
-      
-      const result = await NotificationService.updatePreferences(userId, preferences);
-      
-      res.status(200).json({
-        success: true,
-        message: 'Notification preferences updated successfully',
-        preferences: result.preferences
-      });
-    } catch (error) {
-      next(error);
-    }
-  }
-);
+// Method to compare password
+userSchema.methods.comparePassword = async function(candidatePassword) {
+  return bcrypt.compare(candidatePassword, this.password);
+};
+
+// Method to calculate profile completion percentage
+userSchema.methods.calculateProfileCompletion = function() {
+  const requiredFields = ['firstName', 'lastName', 'profileImage', 'bio'];
+  let completedFields = 0;
+  
+  requiredFields.forEach(field => {
+    if (this[field]) completedFields++;
+  });
+  
+  this.profileCompletionPercentage = Math.round((completedFields / requiredFields.length) * 100);
+  return this.profileCompletionPercentage;
+};
+
+// Method to get mutes that have not expired
+userSchema.methods.getActiveMutes = function() {
+  const now = new Date();
+  return (this.mutes || []).filter(mute => !mute.expiresAt || mute.expiresAt > now);
+};
+
+// Static method to get every account, hashtag and subreddit followed on a source
+userSchema.statics.getFollowedEntries = function(source) {
+  return this.aggregate([
+    { $match: { accountStatus: 'active', 'follows.source': source } },
+    { $unwind: '$follows' },
+    { $match: { 'follows.source': source } },
+    { $group: { _id: { type: '$follows.type', value: { $toLower: '$follows.value' } } } },
+    { $project: { _id: 0, type: '$_id.type', value: '$_id.value' } }
+  ]);
+};
+
+const User = mongoose.model('User', userSchema);
 
-module.exports = router;
\ No newline at end of file
+module.exports = User;
\ No newline at end of file
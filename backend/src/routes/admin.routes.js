@@ -3,6 +3,11 @@ const { body, query, validationResult } = require('express-validator');
 const UserService = require('../services/user.service');
 const CreditService = require('../services/credit.service');
 const NotificationService = require('../services/notification.service');
+const WatchlistService = require('../services/watchlist.service');
+const IngestionService = require('../services/ingestion.service');
+const ModerationService = require('../services/moderation.service');
+const SourceRegistry = require('../services/sources');
+const logger = require('../utils/logger');
 const { authenticate, authorizeAdmin } = require('../middleware/auth.middleware');
 const router = express.Router();
 
@@ -299,7 +304,8 @@ router.put(
           report.content,
           {
             isInappropriate: true,
-            inappropriateReason: report.reason
+            inappropriateReason: report.reason,
+            'moderation.status': 'removed'
           }
         );
       }
@@ -346,6 +352,19 @@ router.get('/analytics', async (req, res, next) => {
       { $project: { source: '$_id', count: 1, _id: 0 } }
     ]);
     
+    // Sentiment breakdown per source, e.g. { source: 'reddit', positive: 12, neutral: 30, ... }
+    const sentimentCounts = await Content.aggregate([
+      { $group: { _id: { source: '$source', sentiment: '$sentiment' }, count: { $sum: 1 } } }
+    ]);
+    
+    const sentimentBySource = Object.values(sentimentCounts.reduce((groups, { _id, count }) => {
+      if (!groups[_id.source]) {
+        groups[_id.source] = { source: _id.source, positive: 0, neutral: 0, negative: 0, unknown: 0 };
+      }
+      groups[_id.source][_id.sentiment || 'unknown'] += count;
+      return groups;
+    }, {}));
+    
     // Credit stats
     const totalCreditsEarned = await CreditTransaction.aggregate([
       { $match: { type: 'earn' } },
@@ -371,7 +390,8 @@ router.get('/analytics', async (req, res, next) => {
         },
         content: {
           total: totalContent,
-          bySource: contentBySource
+          bySource: contentBySource,
+          sentimentBySource
         },
         credits: {
           totalEarned: totalCreditsEarned[0]?.total || 0,
@@ -435,6 +455,286 @@ router.post(
   }
 );
 
+/**
+ * @route GET /api/admin/watchlists
+ * @desc Get source watchlist entries
+ * @access Private (Admin only)
+ */
+router.get('/watchlists', async (req, res, next) => {
+  try {
+    const { page, limit, source, type, isActive, search } = req.query;
+    
+    const result = await WatchlistService.getWatchlists({
+      page: parseInt(page) || 1,
+      limit: parseInt(limit) || 50,
+      source,
+      type,
+      isActive: isActive === 'true' ? true : (isActive === 'false' ? false : undefined),
+      search
+    });
+    
+    res.status(200).json({
+      success: true,
+      watchlists: result.entries,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/admin/watchlists
+ * @desc Add an account, hashtag or subreddit to a source watchlist
+ * @access Private (Admin only)
+ */
+router.post(
+  '/watchlists',
+  [
+    body('source').isIn(SourceRegistry.getSourceNames()).withMessage('Invalid source'),
+    body('type').isIn(SourceRegistry.getWatchlistTypes()).withMessage('Invalid watchlist type'),
+    body('value').notEmpty().trim().withMessage('Value is required'),
+    body('fetchCount').optional().isInt({ min: 1, max: 100 }).withMessage('Fetch count must be between 1 and 100'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+    body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+  ],
+  async (req, res, next) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+      
+      const adminId = req.user._id;
+      
+      const entry = await WatchlistService.createEntry(req.body, adminId);
+      
+      res.status(201).json({
+        success: true,
+        message: 'Watchlist entry created successfully',
+        watchlist: entry
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route PUT /api/admin/watchlists/:id
+ * @desc Update a watchlist entry
+ * @access Private (Admin only)
+ */
+router.put(
+  '/watchlists/:id',
+  [
+    body('value').optional().notEmpty().trim().withMessage('Value cannot be empty'),
+    body('fetchCount').optional().isInt({ min: 1, max: 100 }).withMessage('Fetch count must be between 1 and 100'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+    body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+  ],
+  async (req, res, next) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+      
+      const { id } = req.params;
+      const adminId = req.user._id;
+      
+      const entry = await WatchlistService.updateEntry(id, req.body, adminId);
+      
+      res.status(200).json({
+        success: true,
+        message: 'Watchlist entry updated successfully',
+        watchlist: entry
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route DELETE /api/admin/watchlists/:id
+ * @desc Remove a watchlist entry
+ * @access Private (Admin only)
+ */
+router.delete('/watchlists/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const result = await WatchlistService.deleteEntry(id);
+    
+    res.status(200).json({
+      success: true,
+      message: result.message
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/admin/ingestion-runs
+ * @desc Get recent content ingestion runs
+ * @access Private (Admin only)
+ */
+router.get('/ingestion-runs', async (req, res, next) => {
+  try {
+    const { page, limit, source, job, status } = req.query;
+    
+    const result = await IngestionService.getRecentRuns({
+      page: parseInt(page) || 1,
+      limit: parseInt(limit) || 20,
+      source,
+      job,
+      status
+    });
+    
+    res.status(200).json({
+      success: true,
+      runs: result.runs,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/admin/sources/twitter/rate-limits
+ * @desc Get the remaining Twitter API budget per endpoint
+ * @access Private (Admin only)
+ */
+router.get('/sources/twitter/rate-limits', async (req, res, next) => {
+  try {
+    const TwitterService = require('../services/twitter.service');
+    const status = await TwitterService.getRateLimitStatus();
+
+    res.status(200).json({
+      success: true,
+      ...status
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/admin/jobs/sentiment-backfill
+ * @desc Score the sentiment of stored content in the background
+ * @access Private (Admin only)
+ */
+router.post(
+  '/jobs/sentiment-backfill',
+  [
+    body('sources').optional().isArray().withMessage('Sources must be an array'),
+    body('sources.*').optional().isIn(SourceRegistry.getSourceNames()).withMessage('Invalid source'),
+    body('force').optional().isBoolean().withMessage('force must be a boolean')
+  ],
+  async (req, res, next) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+      
+      const { sources, force } = req.body;
+      
+      // Backfills can take a while; progress is recorded as ingestion runs
+      IngestionService.runSentimentBackfill(sources, 'manual', { force: force === true })
+        .catch(error => logger.error('Error running sentiment backfill:', error));
+      
+      res.status(202).json({
+        success: true,
+        message: 'Sentiment backfill started, see /api/admin/ingestion-runs?job=sentiment for progress'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route GET /api/admin/moderation
+ * @desc Get content held by automated screening
+ * @access Private (Admin only)
+ */
+router.get('/moderation', async (req, res, next) => {
+  try {
+    const { page, limit, status, source, reason } = req.query;
+    
+    const result = await ModerationService.getQueue({
+      page: parseInt(page) || 1,
+      limit: parseInt(limit) || 20,
+      status: status || 'pending',
+      source,
+      reason
+    });
+    
+    res.status(200).json({
+      success: true,
+      items: result.items,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route PUT /api/admin/moderation/:id
+ * @desc Approve or remove screened content
+ * @access Private (Admin only)
+ */
+router.put(
+  '/moderation/:id',
+  [
+    body('action').isIn(['approve', 'remove']).withMessage('Invalid action'),
+    body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+  ],
+  async (req, res, next) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+      
+      const { id } = req.params;
+      const { action, notes } = req.body;
+      const adminId = req.user._id;
+      
+      const content = await ModerationService.reviewContent(id, action, adminId, notes);
+      
+      res.status(200).json({
+        success: true,
+        message: `Content ${action === 'approve' ? 'approved' : 'removed'}`,
+        content
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * @route GET /api/admin/search/users
  * @desc Search users
@@ -1,6 +1,7 @@
 const express = require('express');
 const { body, query, validationResult } = require('express-validator');
 const FeedService = require('../services/feed.service');
+const IngestionService = require('../services/ingestion.service');
 const { authenticate, authorizeVerifiedEmail } = require('../middleware/auth.middleware');
 const router = express.Router();
 
@@ -9,36 +10,65 @@ router.use(authenticate);
 
 /**
  * @route GET /api/feed
- * @desc Get personalized feed for a user
+ * @desc Get the feed for a user (sortBy=personalized ranks it for them, debug=true adds ranking score breakdowns)
  * @access Private
  */
-router.get('/', async (req, res, next) => {
-  try {
-    const userId = req.user._id;
-    const { page, limit, sources, categories, sortBy, refresh } = req.query;
-    
-    // Parse array parameters
-    const parsedSources = sources ? (Array.isArray(sources) ? sources : sources.split(',')) : null;
-    const parsedCategories = categories ? (Array.isArray(categories) ? categories : categories.split(',')) : null;
-    
-    const feed = await FeedService.getUserFeed(userId, {
-      page: parseInt(page) || 1,
-      limit: parseInt(limit) || 20,
-      sources: parsedSources,
-      categories: parsedCategories,
-      sortBy: sortBy || 'recent',
-      isRefresh: refresh === 'true'
-    });
-    
-    res.status(200).json({
-      success: true,
-      feed: feed.items,
-      pagination: feed.pagination
-    });
-  } catch (error) {
-    next(error);
+router.get(
+  '/',
+  [
+    query('from').optional().isISO8601().withMessage('From must be an ISO 8601 date'),
+    query('to').optional().isISO8601().withMessage('To must be an ISO 8601 date'),
+    query('hasMedia').optional().isBoolean().withMessage('hasMedia must be true or false')
+  ],
+  async (req, res, next) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+      
+      const userId = req.user._id;
+      const { page, limit, after, sources, categories, sentiment, contentTypes, from, to, hasMedia, sortBy, refresh, following, debug } = req.query;
+      
+      // Parse array parameters
+      const parsedSources = sources ? (Array.isArray(sources) ? sources : sources.split(',')) : null;
+      const parsedCategories = categories ? (Array.isArray(categories) ? categories : categories.split(',')) : null;
+      const parsedSentiment = sentiment ? (Array.isArray(sentiment) ? sentiment : sentiment.split(',')) : null;
+      const parsedContentTypes = contentTypes ? (Array.isArray(contentTypes) ? contentTypes : contentTypes.split(',')) : null;
+      
+      const feed = await FeedService.getUserFeed(userId, {
+        page: parseInt(page) || 1,
+        limit: parseInt(limit) || 20,
+        after,
+        sources: parsedSources,
+        categories: parsedCategories,
+        sentiment: parsedSentiment,
+        contentTypes: parsedContentTypes,
+        from,
+        to,
+        hasMedia: hasMedia === undefined ? null : hasMedia === 'true',
+        sortBy: sortBy || 'recent',
+        isRefresh: refresh === 'true',
+        followingOnly: following === 'true',
+        debug: debug === 'true'
+      });
+      
+      res.status(200).json({
+        success: true,
+        feed: feed.items,
+        hidden: feed.hidden,
+        unavailableSources: feed.unavailableSources,
+        pagination: feed.pagination
+      });
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
 
 /**
  * @route GET /api/feed/sources
@@ -107,6 +137,52 @@ router.get('/content/:id', async (req, res, next) => {
   }
 });
 
+/**
+ * @route GET /api/feed/content/:id/engagement-history
+ * @desc Get engagement history and velocity for content
+ * @access Private
+ */
+router.get('/content/:id/engagement-history', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { limit } = req.query;
+    
+    const history = await FeedService.getEngagementHistory(id, {
+      limit: Math.min(parseInt(limit) || 500, 1000)
+    });
+    
+    res.status(200).json({
+      success: true,
+      history
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/feed/content/:id/comments
+ * @desc Get the top comments stored for content
+ * @access Private
+ */
+router.get('/content/:id/comments', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { limit } = req.query;
+
+    const discussion = await FeedService.getContentComments(id, {
+      limit: Math.min(parseInt(limit) || 5, 20)
+    });
+
+    res.status(200).json({
+      success: true,
+      ...discussion
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @route POST /api/feed/save
  * @desc Save content for a user
@@ -172,6 +248,101 @@ router.delete('/save/:contentId', async (req, res, next) => {
   }
 });
 
+/**
+ * @route POST /api/feed/hide
+ * @desc Hide content from the user's feed
+ * @access Private
+ */
+router.post(
+  '/hide',
+  [
+    body('contentId').notEmpty().withMessage('Content ID is required')
+  ],
+  async (req, res, next) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+      
+      const userId = req.user._id;
+      const { contentId } = req.body;
+      
+      const result = await FeedService.dismissContent(userId, contentId, 'hide');
+      
+      res.status(200).json({
+        success: true,
+        message: result.message,
+        feedback: result.feedback
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route POST /api/feed/not-interested
+ * @desc Mark content as not interesting so similar content ranks lower
+ * @access Private
+ */
+router.post(
+  '/not-interested',
+  [
+    body('contentId').notEmpty().withMessage('Content ID is required')
+  ],
+  async (req, res, next) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+      
+      const userId = req.user._id;
+      const { contentId } = req.body;
+      
+      const result = await FeedService.dismissContent(userId, contentId, 'not_interested');
+      
+      res.status(200).json({
+        success: true,
+        message: result.message,
+        feedback: result.feedback
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route DELETE /api/feed/feedback/:contentId
+ * @desc Undo hiding content or marking it as not interesting
+ * @access Private
+ */
+router.delete('/feedback/:contentId', async (req, res, next) => {
+  try {
+    const userId = req.user._id;
+    const { contentId } = req.params;
+    
+    const result = await FeedService.undoDismissContent(userId, contentId);
+    
+    res.status(200).json({
+      success: true,
+      message: result.message
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @route POST /api/feed/report
  * @desc Report content
@@ -270,38 +441,64 @@ router.post(
  * @desc Search content
  * @access Private
  */
-router.get('/search', async (req, res, next) => {
-  try {
-    const { q, page, limit, sources, categories, sortBy } = req.query;
-    
-    if (!q) {
-      return res.status(400).json({
-        success: false,
-        message: 'Search query is required'
+router.get(
+  '/search',
+  [
+    query('from').optional().isISO8601().withMessage('From must be an ISO 8601 date'),
+    query('to').optional().isISO8601().withMessage('To must be an ISO 8601 date'),
+    query('hasMedia').optional().isBoolean().withMessage('hasMedia must be true or false')
+  ],
+  async (req, res, next) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+      
+      const { q, page, limit, sources, categories, sentiment, contentTypes, from, to, hasMedia, sortBy } = req.query;
+      
+      if (!q) {
+        return res.status(400).json({
+          success: false,
+          message: 'Search query is required'
+        });
+      }
+      
+      // Parse array parameters
+      const parsedSources = sources ? (Array.isArray(sources) ? sources : sources.split(',')) : null;
+      const parsedCategories = categories ? (Array.isArray(categories) ? categories : categories.split(',')) : null;
+      const parsedSentiment = sentiment ? (Array.isArray(sentiment) ? sentiment : sentiment.split(',')) : null;
+      const parsedContentTypes = contentTypes ? (Array.isArray(contentTypes) ? contentTypes : contentTypes.split(',')) : null;
+      
+      const results = await FeedService.searchContent(q, {
+        page: parseInt(page) || 1,
+        limit: parseInt(limit) || 20,
+        sources: parsedSources,
+        categories: parsedCategories,
+        sentiment: parsedSentiment,
+        contentTypes: parsedContentTypes,
+        from,
+        to,
+        hasMedia: hasMedia === undefined ? null : hasMedia === 'true',
+        userId: req.user._id,
+        sortBy: sortBy || 'relevance'
       });
+      
+      res.status(200).json({
+        success: true,
+        results: results.items,
+        hidden: results.hidden,
+        pagination: results.pagination
+      });
+    } catch (error) {
+      next(error);
     }
-    
-    // Parse array parameters
-    const parsedSources = sources ? (Array.isArray(sources) ? sources : sources.split(',')) : null;
-    const parsedCategories = categories ? (Array.isArray(categories) ? categories : categories.split(',')) : null;
-    
-    const results = await FeedService.searchContent(q, {
-      page: parseInt(page) || 1,
-      limit: parseInt(limit) || 20,
-      sources: parsedSources,
-      categories: parsedCategories,
-      sortBy: sortBy || 'relevance'
-    });
-    
-    res.status(200).json({
-      success: true,
-      results: results.items,
-      pagination: results.pagination
-    });
-  } catch (error) {
-    next(error);
   }
-});
+);
 
 /**
  * @route POST /api/feed/refresh
@@ -312,10 +509,10 @@ router.post('/refresh', async (req, res, next) => {
   try {
     const { sources } = req.body;
     
-    // Parse sources if provided
-    const parsedSources = sources ? (Array.isArray(sources) ? sources : [sources]) : ['twitter', 'reddit'];
+    // Parse sources if provided, otherwise refresh every registered source
+    const parsedSources = sources ? (Array.isArray(sources) ? sources : [sources]) : undefined;
     
-    const results = await FeedService.refreshFeedContent(parsedSources);
+    const results = await IngestionService.runRefresh(parsedSources, 'manual');
     
     res.status(200).json({
       success: true,
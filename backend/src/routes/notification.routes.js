@@ -15,11 +15,12 @@ router.use(authenticate);
 router.get('/', async (req, res, next) => {
   try {
     const userId = req.user._id;
-    const { page, limit, read, type } = req.query;
+    const { page, limit, after, read, type } = req.query;
     
     const notifications = await NotificationService.getUserNotifications(userId, {
       page: parseInt(page) || 1,
       limit: parseInt(limit) || 20,
+      after,
       read: read === 'true' ? true : (read === 'false' ? false : undefined),
       type
     });
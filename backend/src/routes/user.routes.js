@@ -2,6 +2,8 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const UserService = require('../services/user.service');
 const CreditService = require('../services/credit.service');
+const SourceRegistry = require('../services/sources');
+const { getUnsafePatternReason } = require('../utils/helpers');
 const { authenticate, authorizeVerifiedEmail } = require('../middleware/auth.middleware');
 const router = express.Router();
 
@@ -137,7 +139,7 @@ router.get('/activity', async (req, res, next) => {
 router.get('/credits', async (req, res, next) => {
   try {
     const userId = req.user._id;
-    const { page, limit, category, type, startDate, endDate } = req.query;
+    const { page, limit, after, category, type, startDate, endDate } = req.query;
     
     // Get credit balance
     const balance = await CreditService.getBalance(userId);
@@ -146,6 +148,7 @@ router.get('/credits', async (req, res, next) => {
     const transactions = await CreditService.getTransactionHistory(userId, {
       page: parseInt(page) || 1,
       limit: parseInt(limit) || 20,
+      after,
       category,
       type,
       startDate,
@@ -178,7 +181,7 @@ router.get('/saved-content', async (req, res, next) => {
     const FeedService = require('../services/feed.service');
     
     const userId = req.user._id;
-    const { page, limit, folder, tags, sort } = req.query;
+    const { page, limit, after, folder, tags, sort } = req.query;
     
     // Parse tags as array if provided
     const parsedTags = tags ? (Array.isArray(tags) ? tags : [tags]) : undefined;
@@ -186,6 +189,7 @@ router.get('/saved-content', async (req, res, next) => {
     const savedContent = await FeedService.getSavedContent(userId, {
       page: parseInt(page) || 1,
       limit: parseInt(limit) || 20,
+      after,
       folder,
       tags: parsedTags,
       sort: sort || '-savedAt'
@@ -224,6 +228,220 @@ router.get('/saved-content/folders', async (req, res, next) => {
   }
 });
 
+/**
+ * @route GET /api/users/follows
+ * @desc Get accounts, hashtags and subreddits the user follows
+ * @access Private
+ */
+router.get('/follows', async (req, res, next) => {
+  try {
+    const userId = req.user._id;
+    
+    const follows = await UserService.getFollows(userId);
+    
+    res.status(200).json({
+      success: true,
+      follows
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/users/follows
+ * @desc Follow an account, hashtag or subreddit
+ * @access Private
+ */
+router.post(
+  '/follows',
+  [
+    body('source').isIn(SourceRegistry.getSourceNames()).withMessage('Invalid source'),
+    body('type').isIn(SourceRegistry.getWatchlistTypes()).withMessage('Invalid follow type'),
+    body('value').notEmpty().trim().withMessage('Value is required')
+  ],
+  async (req, res, next) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+      
+      const userId = req.user._id;
+      const { source, type, value } = req.body;
+      
+      const follow = await UserService.addFollow(userId, { source, type, value });
+      
+      res.status(201).json({
+        success: true,
+        message: `Now following ${follow.value}`,
+        follow
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route DELETE /api/users/follows/:id
+ * @desc Unfollow an account, hashtag or subreddit
+ * @access Private
+ */
+router.delete('/follows/:id', async (req, res, next) => {
+  try {
+    const userId = req.user._id;
+    const { id } = req.params;
+    
+    const result = await UserService.removeFollow(userId, id);
+    
+    res.status(200).json({
+      success: true,
+      message: result.message
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/users/mutes
+ * @desc Get the user's active mutes
+ * @access Private
+ */
+router.get('/mutes', async (req, res, next) => {
+  try {
+    const userId = req.user._id;
+    
+    const mutes = await UserService.getMutes(userId);
+    
+    res.status(200).json({
+      success: true,
+      mutes
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/users/mutes
+ * @desc Mute a keyword, pattern, account, subreddit or domain
+ * @access Private
+ */
+router.post(
+  '/mutes',
+  [
+    body('type').isIn(['keyword', 'regex', 'account', 'subreddit', 'domain']).withMessage('Invalid mute type'),
+    body('value').trim().notEmpty().withMessage('Value is required')
+      .isLength({ max: 200 }).withMessage('Value cannot exceed 200 characters')
+      .custom((value, { req }) => {
+        const reason = req.body.type === 'regex' && getUnsafePatternReason(value);
+        if (reason) {
+          throw new Error(reason);
+        }
+        return true;
+      }),
+    body('source').optional().isIn(SourceRegistry.getSourceNames()).withMessage('Invalid source'),
+    body('expiresAt')
+      .optional({ nullable: true })
+      .isISO8601().withMessage('Expiry must be an ISO 8601 date')
+      .custom(value => new Date(value) > new Date()).withMessage('Expiry must be in the future')
+  ],
+  async (req, res, next) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+      
+      const userId = req.user._id;
+      const { type, value, source, expiresAt } = req.body;
+      
+      const mute = await UserService.addMute(userId, { type, value, source, expiresAt });
+      
+      res.status(201).json({
+        success: true,
+        message: `Muted ${mute.value}`,
+        mute
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route PUT /api/users/mutes/:id
+ * @desc Update the value or expiry of a mute
+ * @access Private
+ */
+router.put(
+  '/mutes/:id',
+  [
+    body('value').optional().trim().notEmpty().withMessage('Value cannot be empty')
+      .isLength({ max: 200 }).withMessage('Value cannot exceed 200 characters'),
+    body('expiresAt')
+      .optional({ nullable: true })
+      .isISO8601().withMessage('Expiry must be an ISO 8601 date')
+      .custom(value => new Date(value) > new Date()).withMessage('Expiry must be in the future')
+  ],
+  async (req, res, next) => {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+      
+      const userId = req.user._id;
+      const { id } = req.params;
+      const { value, expiresAt } = req.body;
+      
+      const mute = await UserService.updateMute(userId, id, { value, expiresAt });
+      
+      res.status(200).json({
+        success: true,
+        mute
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route DELETE /api/users/mutes/:id
+ * @desc Remove a mute
+ * @access Private
+ */
+router.delete('/mutes/:id', async (req, res, next) => {
+  try {
+    const userId = req.user._id;
+    const { id } = req.params;
+    
+    const result = await UserService.removeMute(userId, id);
+    
+    res.status(200).json({
+      success: true,
+      message: result.message
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @route GET /api/users/stats
  * @desc Get user stats
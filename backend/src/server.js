@@ -4,7 +4,6 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const cookieParser = require('cookie-parser');
-const { createClient } = require('redis');
 const dotenv = require('dotenv');
 
 // Load environment variables
@@ -20,6 +19,10 @@ const notificationRoutes = require('./routes/notification.routes');
 // Import error handler
 const errorHandler = require('./middleware/errorHandler');
 const logger = require('./utils/logger');
+const IngestionService = require('./services/ingestion.service');
+const CacheService = require('./services/cache.service');
+const CircuitBreakerService = require('./services/circuitBreaker.service');
+const SourceRegistry = require('./services/sources');
 
 // Initialize Express app
 const app = express();
@@ -36,9 +39,20 @@ app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
 app.use(morgan('combined', { stream: { write: message => logger.info(message.trim()) } }));
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.status(200).json({ status: 'ok', timestamp: new Date().toISOString() });
+// Health check endpoint, including the circuit breaker state of each content source
+app.get('/health', async (req, res, next) => {
+  try {
+    const sources = await CircuitBreakerService.getStatus(SourceRegistry.getSourceNames());
+    const degraded = Object.values(sources).some(source => source.state !== 'closed');
+
+    res.status(200).json({
+      status: degraded ? 'degraded' : 'ok',
+      timestamp: new Date().toISOString(),
+      sources
+    });
+  } catch (error) {
+    next(error);
+  }
 });
 
 // API routes
@@ -51,48 +65,45 @@ app.use('/api/notifications', notificationRoutes);
 // Global error handler
 app.use(errorHandler);
 
-// Connect to MongoDB
-mongoose.connect(process.env.MONGODB_URI, {
-  useNewUrlParser: true,
-  useUnifiedTopology: true,
-})
-  .then(() => {
-    logger.info('Connected to MongoDB');
-    
-    // Initialize Redis connection if configured
-    if (process.env.REDIS_URI) {
-      const redisClient = createClient({
-        url: process.env.REDIS_URI
-      });
-      
-      redisClient.on('error', (err) => logger.error('Redis Client Error', err));
-      
-      redisClient.connect().then(() => {
-        logger.info('Connected to Redis');
-        global.redisClient = redisClient;
-      }).catch(err => {
-        logger.error('Failed to connect to Redis', err);
+// Connect and start listening when run directly; tests import the app without a server
+if (require.main === module) {
+  // Connect to MongoDB
+  mongoose.connect(process.env.MONGODB_URI, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  })
+    .then(async () => {
+      logger.info('Connected to MongoDB');
+
+      // Connect the response cache to Redis if configured
+      await CacheService.connect();
+
+      // Run the ingestion scheduler in-process unless a separate worker handles it
+      if (process.env.RUN_INGESTION_SCHEDULER === 'true') {
+        IngestionService.start();
+      }
+
+      // Start server
+      app.listen(PORT, () => {
+        logger.info(`Server running on port ${PORT}`);
       });
-    }
-    
-    // Start server
-    app.listen(PORT, () => {
-      logger.info(`Server running on port ${PORT}`);
+    })
+    .catch((err) => {
+      logger.error('MongoDB connection error:', err);
+      process.exit(1);
     });
-  })
-  .catch((err) => {
-    logger.error('MongoDB connection error:', err);
+
+  // Handle uncaught exceptions
+  process.on('uncaughtException', (err) => {
+    logger.error('Uncaught Exception:', err);
     process.exit(1);
   });
 
-// Handle uncaught exceptions
-process.on('uncaughtException', (err) => {
-  logger.error('Uncaught Exception:', err);
-  process.exit(1);
-});
+  // Handle unhandled promise rejections
+  process.on('unhandledRejection', (reason, promise) => {
+    logger.error('Unhandled Rejection at:', promise, 'reason:', reason);
+    // Don't exit the process here to allow graceful handling
+  });
+}
 
-// Handle unhandled promise rejections
-process.on('unhandledRejection', (reason, promise) => {
-  logger.error('Unhandled Rejection at:', promise, 'reason:', reason);
-  // Don't exit the process here to allow graceful handling
-});
\ No newline at end of file
+module.exports = app;
@@ -0,0 +1,243 @@
+const { createClient } = require('redis');
+const logger = require('../utils/logger');
+
+// Prefix of every cache key, so several apps can share one Redis
+const CACHE_PREFIX = process.env.CACHE_PREFIX || 'creator-dashboard';
+
+// Most entries kept by the in-memory cache used without Redis
+const CACHE_MAX_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES) || 1000;
+
+// Keys deleted per Redis call when invalidating a namespace
+const INVALIDATE_BATCH_SIZE = 500;
+
+// Attempts at the first Redis connection before falling back to the in-memory cache
+const CONNECT_ATTEMPTS = 5;
+
+/**
+ * Least recently used cache with per-entry expiry, used when Redis is not configured
+ * @private
+ */
+class MemoryCache {
+  constructor(maxEntries) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    // Re-insert so the Map's insertion order tracks recency
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    return entry.value;
+  }
+
+  set(key, value, ttlSeconds) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+
+    // Evict the least recently used entries
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  deleteByPrefix(prefix) {
+    let deleted = 0;
+
+    for (const key of this.entries.keys()) {
+      if (key.startsWith(prefix)) {
+        this.entries.delete(key);
+        deleted++;
+      }
+    }
+
+    return deleted;
+  }
+}
+
+class CacheService {
+  constructor() {
+    this.redis = null;
+    this.memory = new MemoryCache(CACHE_MAX_ENTRIES);
+  }
+
+  /**
+   * Connect to Redis when REDIS_URI is set; the in-memory cache is used otherwise
+   * or while Redis is unavailable
+   * @returns {Promise} Resolves once connected or skipped
+   */
+  async connect() {
+    if (!process.env.REDIS_URI) {
+      logger.info('REDIS_URI not set, using in-memory cache');
+      return;
+    }
+
+    let connected = false;
+
+    try {
+      const client = createClient({
+        url: process.env.REDIS_URI,
+        socket: {
+          // The client retries forever by default, which would hold up startup
+          // while Redis is down; once connected it keeps reconnecting
+          reconnectStrategy: (retries) => (connected || retries < CONNECT_ATTEMPTS
+            ? Math.min(retries * 50, 500)
+            : new Error(`Redis unavailable after ${CONNECT_ATTEMPTS} attempts`))
+        }
+      });
+      client.on('error', (err) => logger.error('Redis Client Error', err));
+
+      await client.connect();
+      connected = true;
+
+      this.redis = client;
+      logger.info('Connected to Redis');
+    } catch (error) {
+      logger.error('Failed to connect to Redis, using in-memory cache', error);
+    }
+  }
+
+  /**
+   * Close the Redis connection
+   * @returns {Promise} Resolves once closed
+   */
+  async disconnect() {
+    if (this.redis) {
+      await this.redis.quit();
+      this.redis = null;
+    }
+  }
+
+  /**
+   * Get a cached value
+   * @param {string} namespace - Key namespace, e.g. "categories" or "feed:<userId>"
+   * @param {string} key - Key within the namespace
+   * @returns {*} Cached value, or null on a miss
+   */
+  async get(namespace, key) {
+    const cacheKey = this.buildKey(namespace, key);
+
+    try {
+      const value = this.isRedisReady()
+        ? await this.redis.get(cacheKey)
+        : this.memory.get(cacheKey);
+
+      return value === null ? null : JSON.parse(value);
+    } catch (error) {
+      // A broken cache should only cost a cache miss
+      logger.error(`Error reading cache key ${cacheKey}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Cache a value
+   * @param {string} namespace - Key namespace
+   * @param {string} key - Key within the namespace
+   * @param {*} value - JSON-serializable value
+   * @param {number} ttlSeconds - Time to live in seconds
+   */
+  async set(namespace, key, value, ttlSeconds) {
+    const cacheKey = this.buildKey(namespace, key);
+
+    try {
+      const serialized = JSON.stringify(value);
+
+      if (this.isRedisReady()) {
+        await this.redis.set(cacheKey, serialized, { EX: ttlSeconds });
+      } else {
+        this.memory.set(cacheKey, serialized, ttlSeconds);
+      }
+    } catch (error) {
+      logger.error(`Error writing cache key ${cacheKey}:`, error);
+    }
+  }
+
+  /**
+   * Get a cached value, computing and caching it on a miss
+   * @param {string} namespace - Key namespace
+   * @param {string} key - Key within the namespace
+   * @param {number} ttlSeconds - Time to live in seconds
+   * @param {Function} compute - Async function producing the value
+   * @returns {*} Cached or computed value
+   */
+  async wrap(namespace, key, ttlSeconds, compute) {
+    const cached = await this.get(namespace, key);
+
+    if (cached !== null) {
+      return cached;
+    }
+
+    const value = await compute();
+    await this.set(namespace, key, value, ttlSeconds);
+
+    // Return the serialized form on a miss too, so hits and misses look the same
+    return JSON.parse(JSON.stringify(value));
+  }
+
+  /**
+   * Remove every key in a namespace, including nested namespaces
+   * ("feed" also clears "feed:<userId>")
+   * @param {string} namespace - Key namespace
+   * @returns {number} Number of keys removed
+   */
+  async invalidate(namespace) {
+    const prefix = `${CACHE_PREFIX}:${namespace}:`;
+
+    try {
+      // Memory entries may exist from before Redis connected
+      let deleted = this.memory.deleteByPrefix(prefix);
+
+      if (this.isRedisReady()) {
+        let batch = [];
+
+        for await (const key of this.redis.scanIterator({ MATCH: `${prefix}*`, COUNT: INVALIDATE_BATCH_SIZE })) {
+          batch.push(key);
+
+          if (batch.length >= INVALIDATE_BATCH_SIZE) {
+            deleted += await this.redis.del(batch);
+            batch = [];
+          }
+        }
+
+        if (batch.length > 0) {
+          deleted += await this.redis.del(batch);
+        }
+      }
+
+      return deleted;
+    } catch (error) {
+      logger.error(`Error invalidating cache namespace ${namespace}:`, error);
+      return 0;
+    }
+  }
+
+  /**
+   * Build the full cache key
+   * @private
+   */
+  buildKey(namespace, key) {
+    return `${CACHE_PREFIX}:${namespace}:${key}`;
+  }
+
+  /**
+   * Check whether Redis can take commands
+   * @private
+   */
+  isRedisReady() {
+    return Boolean(this.redis && this.redis.isReady);
+  }
+}
+
+module.exports = new CacheService();
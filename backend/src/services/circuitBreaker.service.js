@@ -0,0 +1,211 @@
+const CacheService = require('./cache.service');
+const logger = require('../utils/logger');
+
+// Consecutive failures that open a source's breaker
+const FAILURE_THRESHOLD = parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD) || 3;
+
+// Seconds an open breaker waits before letting a trial request through
+const RESET_TIMEOUT_SECONDS = parseInt(process.env.CIRCUIT_RESET_SECONDS) || 300;
+
+// Seconds a source call may take before it counts as failed
+const CALL_TIMEOUT_SECONDS = parseInt(process.env.SOURCE_TIMEOUT_SECONDS) || 300;
+
+// How long breaker states shared with other processes are kept
+const STATE_TTL_SECONDS = 24 * 60 * 60;
+
+/**
+ * Per-source circuit breakers. A breaker is closed while its source works,
+ * opens after repeated failures so calls fail fast, and after a cooldown goes
+ * half-open to let a single trial call decide whether to close again.
+ */
+class CircuitBreakerService {
+  constructor() {
+    this.breakers = new Map();
+  }
+
+  /**
+   * Call a source through its breaker
+   * @param {string} source - Source name
+   * @param {Function} task - Async function calling the source
+   * @returns {*} Result of the task
+   */
+  async execute(source, task) {
+    const breaker = this.getBreaker(source);
+
+    if (breaker.state === 'open') {
+      if (Date.now() < breaker.retryAt.getTime()) {
+        throw this.createOpenError(source, breaker);
+      }
+
+      breaker.state = 'half-open';
+      logger.info(`Circuit for ${source} is half-open, trying a request`);
+    } else if (breaker.state === 'half-open' && breaker.trialInProgress) {
+      throw this.createOpenError(source, breaker);
+    }
+
+    breaker.trialInProgress = breaker.state === 'half-open';
+
+    try {
+      const result = await this.withTimeout(source, task());
+      await this.recordSuccess(source);
+      return result;
+    } catch (error) {
+      // Rate limit deferrals are expected and say nothing about the source's health
+      if (!error.deferred) {
+        await this.recordFailure(source, error);
+      }
+      throw error;
+    } finally {
+      breaker.trialInProgress = false;
+    }
+  }
+
+  /**
+   * Get the breaker state of each source
+   * @param {Array} sources - Source names
+   * @returns {Object} Source name => breaker state
+   */
+  async getStatus(sources) {
+    try {
+      const states = await Promise.all(sources.map(async source => {
+        // Prefer the shared copy, which includes calls made by other processes
+        const shared = await CacheService.get('circuit-breakers', source);
+        const breaker = shared || this.breakers.get(source) || this.createBreaker();
+
+        return [source, {
+          state: breaker.state,
+          failures: breaker.failures,
+          lastError: breaker.lastError,
+          lastFailureAt: breaker.lastFailureAt,
+          lastSuccessAt: breaker.lastSuccessAt,
+          retryAt: breaker.retryAt
+        }];
+      }));
+
+      return Object.fromEntries(states);
+    } catch (error) {
+      logger.error('Error getting circuit breaker status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the sources whose breaker is not closed
+   * @param {Array} sources - Source names
+   * @returns {Array} Source names
+   */
+  async getUnavailableSources(sources) {
+    const status = await this.getStatus(sources);
+    return sources.filter(source => status[source].state !== 'closed');
+  }
+
+  /**
+   * Close a source's breaker after a successful call
+   * @private
+   */
+  async recordSuccess(source) {
+    const breaker = this.getBreaker(source);
+
+    if (breaker.state !== 'closed') {
+      logger.info(`Circuit for ${source} closed`);
+    }
+
+    Object.assign(breaker, {
+      state: 'closed',
+      failures: 0,
+      retryAt: null,
+      lastSuccessAt: new Date()
+    });
+
+    await this.share(source, breaker);
+  }
+
+  /**
+   * Count a failed call, opening the breaker once the threshold is reached
+   * or when a half-open trial fails
+   * @private
+   */
+  async recordFailure(source, error) {
+    const breaker = this.getBreaker(source);
+
+    breaker.failures++;
+    breaker.lastError = error.message;
+    breaker.lastFailureAt = new Date();
+
+    if (breaker.state === 'half-open' || breaker.failures >= FAILURE_THRESHOLD) {
+      breaker.state = 'open';
+      breaker.retryAt = new Date(Date.now() + RESET_TIMEOUT_SECONDS * 1000);
+      logger.warn(`Circuit for ${source} opened after ${breaker.failures} failures, retrying at ${breaker.retryAt.toISOString()}`);
+    }
+
+    await this.share(source, breaker);
+  }
+
+  /**
+   * Get or create a source's breaker
+   * @private
+   */
+  getBreaker(source) {
+    if (!this.breakers.has(source)) {
+      this.breakers.set(source, this.createBreaker());
+    }
+
+    return this.breakers.get(source);
+  }
+
+  /**
+   * Create a closed breaker
+   * @private
+   */
+  createBreaker() {
+    return {
+      state: 'closed',
+      failures: 0,
+      lastError: null,
+      lastFailureAt: null,
+      lastSuccessAt: null,
+      retryAt: null,
+      trialInProgress: false
+    };
+  }
+
+  /**
+   * Share a breaker's state with other processes, e.g. the API reporting on the worker
+   * @private
+   */
+  async share(source, breaker) {
+    const { trialInProgress, ...state } = breaker;
+    await CacheService.set('circuit-breakers', source, state, STATE_TTL_SECONDS);
+  }
+
+  /**
+   * Reject a call that takes longer than the call timeout
+   * @private
+   */
+  withTimeout(source, promise) {
+    let timer;
+
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(
+        () => reject(new Error(`${source} did not respond within ${CALL_TIMEOUT_SECONDS}s`)),
+        CALL_TIMEOUT_SECONDS * 1000
+      );
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * Create the error thrown for calls rejected by an open breaker
+   * @private
+   */
+  createOpenError(source, breaker) {
+    const until = breaker.state === 'open' ? ` until ${breaker.retryAt.toISOString()}` : '';
+    const error = new Error(`${source} is unavailable, circuit ${breaker.state}${until}`);
+    error.statusCode = 503;
+    error.circuitOpen = true;
+    return error;
+  }
+}
+
+module.exports = new CircuitBreakerService();
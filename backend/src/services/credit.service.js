@@ -1,6 +1,7 @@
 const { CreditBalance, CreditTransaction } = require('../models/credit.model');
 const NotificationService = require('./notification.service');
 const logger = require('../utils/logger');
+const { normalizeSort, applyCursor, paginateResults } = require('../utils/cursor');
 
 class CreditService {
   /**
@@ -220,6 +221,7 @@ class CreditService {
       const {
         page = 1,
         limit = 20,
+        after = null,
         startDate,
         endDate,
         category,
@@ -249,11 +251,28 @@ class CreditService {
         query.type = type;
       }
       
-      // Find transactions with pagination
-      const transactions = await CreditTransaction.find(query)
-        .sort({ createdAt: -1 })
-        .skip((page - 1) * limit)
-        .limit(limit);
+      const sort = normalizeSort({ createdAt: -1 });
+      
+      // Find transactions after the cursor if provided, otherwise by page
+      const { items: transactions, hasMore, nextCursor } = paginateResults(
+        await CreditTransaction.find(applyCursor(query, sort, after))
+          .sort(sort)
+          .skip(after ? 0 : (page - 1) * limit)
+          .limit(limit + 1),
+        limit,
+        sort
+      );
+      
+      if (after) {
+        return {
+          transactions,
+          pagination: {
+            limit: parseInt(limit),
+            hasMore,
+            nextCursor
+          }
+        };
+      }
       
       // Get total count for pagination
       const total = await CreditTransaction.countDocuments(query);
@@ -264,7 +283,9 @@ class CreditService {
           page: parseInt(page),
           limit: parseInt(limit),
           total,
-          pages: Math.ceil(total / limit)
+          pages: Math.ceil(total / limit),
+          hasMore,
+          nextCursor
         }
       };
     } catch (error) {
@@ -1,27 +1,93 @@
 const Content = require('../models/content.model');
 const User = require('../models/user.model');
 const SavedContent = require('../models/savedContent.model');
-const TwitterService = require('./twitter.service');
-const RedditService = require('./reddit.service');
+const SourceWatchlist = require('../models/sourceWatchlist.model');
+const ContentEngagementSnapshot = require('../models/contentEngagementSnapshot.model');
+const ContentFeedback = require('../models/contentFeedback.model');
+const SourceRegistry = require('./sources');
 const CreditService = require('./credit.service');
+const RankingService = require('./ranking.service');
+const CacheService = require('./cache.service');
+const CircuitBreakerService = require('./circuitBreaker.service');
 const logger = require('../utils/logger');
+const { escapeRegex, getUnsafePatternReason } = require('../utils/helpers');
+const { parseSearchQuery, buildHighlights } = require('../utils/search');
+const { normalizeSort, applyCursor, paginateResults, decodeCursorSnapshot } = require('../utils/cursor');
+const { getTopics } = require('../utils/topics');
+const crypto = require('crypto');
+
+// Content fields matched by each kind of followed entry
+const FOLLOW_FIELDS = {
+  account: 'sourceUsername',
+  hashtag: 'categories',
+  subreddit: 'metadata.subreddit'
+};
+
+// Followed content newer than this is ranked ahead of the rest of the feed
+const FOLLOW_BOOST_HOURS = 48;
+
+// Popular content is limited to this window so old viral posts don't dominate
+const POPULAR_WINDOW_DAYS = 7;
+
+// "Not interested" feedback older than this no longer affects ranking
+const NOT_INTERESTED_WINDOW_DAYS = 90;
+
+// A category is down-ranked once this many dismissed items carried it
+const NOT_INTERESTED_CATEGORY_THRESHOLD = 2;
+
+// Seconds cached responses live for; feeds are also invalidated on user changes
+const FEED_CACHE_TTL_SECONDS = 60;
+const SOURCES_CACHE_TTL_SECONDS = 300;
+const CATEGORIES_CACHE_TTL_SECONDS = 600;
+
+// Longest a feed request waits for a refresh before serving stored content
+const FEED_REFRESH_WAIT_SECONDS = 10;
 
 class FeedService {
   /**
-   * Get personalized feed for a user
+   * Get personalized feed for a user, cached per user and options
    * @param {string} userId - User ID
    * @param {Object} options - Feed options
    * @returns {Array} Feed items
    */
   async getUserFeed(userId, options = {}) {
+    // Refreshing saves new content, which invalidates every cached feed anyway
+    if (options.isRefresh) {
+      return this.buildUserFeed(userId, options);
+    }
+    
+    return CacheService.wrap(
+      `feed:${userId}`,
+      this.getCacheKey(options),
+      FEED_CACHE_TTL_SECONDS,
+      () => this.buildUserFeed(userId, options)
+    );
+  }
+
+  /**
+   * Build the feed for a user
+   * @param {string} userId - User ID
+   * @param {Object} options - Feed options
+   * @returns {Array} Feed items
+   * @private
+   */
+  async buildUserFeed(userId, options = {}) {
     try {
       const {
         page = 1,
         limit = 20,
+        after = null,
         sources = null,
         categories = null,
+        sentiment = null,
+        contentTypes = null,
+        from = null,
+        to = null,
+        hasMedia = null,
         sortBy = 'recent',
-        isRefresh = false
+        isRefresh = false,
+        followingOnly = false,
+        debug = false
       } = options;
 
       // Get user preferences
@@ -35,16 +101,23 @@ class FeedService {
       const includeSources = sources || this.getEnabledSourcesFromPreferences(user);
       
       // Determine which categories to include
-      const includeCategories = categories || user.preferences?.contentCategories || [];
+      // Categories are stored lowercase
+      const includeCategories = (categories || user.preferences?.contentCategories || [])
+        .map(category => category.toLowerCase());
+
+      // Accounts, hashtags and subreddits the user follows
+      const follows = (user.follows || []).filter(follow => FOLLOW_FIELDS[follow.type]);
 
       // If this is a refresh request, fetch new content
       if (isRefresh) {
-        await this.refreshFeedContent(includeSources);
+        await this.waitForRefresh(includeSources);
       }
 
-      // Build query for fetching content
+      // Build query for fetching content; comments are served with their parent
       const query = {
-        isInappropriate: false
+        isInappropriate: false,
+        contentType: { $ne: 'comment' },
+        $and: []
       };
 
       // Filter by sources
@@ -52,49 +125,185 @@ class FeedService {
         query.source = { $in: includeSources };
       }
 
-      // Filter by categories if specified
+      // Filter by sentiment if specified
+      if (sentiment && sentiment.length > 0) {
+        query.sentiment = { $in: sentiment };
+      }
+
+      // Only show content from followed entries if requested
+      if (followingOnly) {
+        query.$and.push(follows.length > 0
+          ? { $or: follows.map(follow => this.getFollowCondition(follow)) }
+          : { _id: { $in: [] } });
+      }
+
+      // Filter by categories if specified, letting followed content through
       if (includeCategories && includeCategories.length > 0) {
-        query.categories = { $in: includeCategories };
+        query.$and.push({
+          $or: [
+            { categories: { $in: includeCategories } },
+            ...follows.map(follow => this.getFollowCondition(follow))
+          ]
+        });
+      }
+
+      // Filter by content type, date range and media
+      query.$and.push(...this.getContentFilters({ contentTypes, from, to, hasMedia }));
+
+      // Leave out content the user hid or marked as not interested
+      const dismissedIds = await ContentFeedback.getDismissedContentIds(userId);
+      if (dismissedIds.length > 0) {
+        query._id = { $nin: dismissedIds };
+      }
+
+      if (query.$and.length === 0) {
+        delete query.$and;
       }
 
       // Determine sort order
       let sortOptions = {};
       
       switch (sortBy) {
+        case 'trending':
+          sortOptions = { trendingScore: -1 };
+          break;
         case 'popular':
           sortOptions = { 'engagement.totalEngagement': -1 };
+          query.contentCreatedAt = { $gte: this.getPopularCutoff() };
+          break;
+        case 'personalized':
+          sortOptions = { rankingScore: -1 };
           break;
         case 'recent':
         default:
           sortOptions = { contentCreatedAt: -1 };
       }
+      
+      const isPersonalized = sortOptions.rankingScore !== undefined;
 
-      // Fetch content with pagination
-      const feedItems = await Content.find(query)
-        .sort(sortOptions)
-        .skip((page - 1) * limit)
-        .limit(limit);
+      // Personalized scores decay with age, so every page of a feed is scored
+      // at the time its first page was, or the cursor would drift between pages
+      const snapshot = isPersonalized
+        ? { scoredAt: (after && decodeCursorSnapshot(after)?.scoredAt) || new Date() }
+        : null;
 
-      // Get total count for pagination
-      const total = await Content.countDocuments(query);
+      // Leave out muted content, counting how much of the feed it hides
+      const { query: visibleQuery, hidden } = await this.applyMutes(query, user);
+
+      // Flag followed content and rank recent followed content first,
+      // then rank content similar to what the user was not interested in last
+      const boostCutoff = new Date(Date.now() - FOLLOW_BOOST_HOURS * 60 * 60 * 1000);
+      const penaltyExpression = await this.getFeedbackPenaltyExpression(userId);
+      
+      // The personalized score already weighs follows and feedback in
+      const sort = isPersonalized
+        ? normalizeSort(sortOptions)
+        : normalizeSort({ followBoost: -1, feedbackPenalty: 1, ...sortOptions });
+      
+      // Only the most recent content is scored for a personalized feed
+      const candidateStages = isPersonalized ? RankingService.getCandidateStages(snapshot.scoredAt) : [];
+      
+      const pipeline = [
+        { $match: visibleQuery },
+        ...candidateStages,
+        {
+          $addFields: {
+            isFollowed: follows.length > 0
+              ? { $or: follows.map(follow => this.getFollowExpression(follow)) }
+              : { $literal: false }
+          }
+        },
+        {
+          $addFields: {
+            followBoost: {
+              $cond: [{ $and: ['$isFollowed', { $gte: ['$contentCreatedAt', boostCutoff] }] }, 1, 0]
+            },
+            feedbackPenalty: penaltyExpression
+          }
+        },
+        // Score recency, velocity and affinity to what the user saves and shares
+        ...(isPersonalized ? RankingService.getScoreStages(await RankingService.getUserAffinity(userId), snapshot.scoredAt) : []),
+        // Collapse each story to its highest ranked copy
+        {
+          $setWindowFields: {
+            partitionBy: { $ifNull: ['$storyId', '$_id'] },
+            sortBy: sort,
+            output: { storyRank: { $documentNumber: {} } }
+          }
+        },
+        { $match: { storyRank: 1 } },
+        // Spread each subreddit and account across pages
+        ...(isPersonalized ? RankingService.getDiversityStages() : [])
+      ];
+      
+      // Get total count for page-based pagination, counting each story once
+      // without scoring or ranking the content
+      const [count] = after ? [] : await Content.aggregate([
+        { $match: visibleQuery },
+        ...candidateStages,
+        { $group: { _id: { $ifNull: ['$storyId', '$_id'] } } },
+        { $count: 'total' }
+      ]);
+      const total = count ? count.total : 0;
+      
+      // Continue after the cursor if provided, otherwise fall back to page offsets
+      if (after) {
+        pipeline.push({ $match: applyCursor({}, sort, after) });
+      }
+      
+      pipeline.push({ $sort: sort });
+      
+      if (!after) {
+        pipeline.push({ $skip: (page - 1) * limit });
+      }
+      
+      // Fetch one extra item to know whether another page exists
+      pipeline.push({ $limit: limit + 1 });
+      
+      const { items: feedItems, hasMore, nextCursor } = paginateResults(
+        await Content.aggregate(pipeline),
+        limit,
+        sort,
+        snapshot
+      );
 
       // Add flags for already saved content
       const savedContentIds = await this.getUserSavedContentIds(userId);
       
-      const feedWithSavedStatus = feedItems.map(item => {
-        const itemObj = item.toObject();
-        itemObj.isSaved = savedContentIds.includes(item._id.toString());
-        return itemObj;
-      });
+      const feedWithSavedStatus = (await this.attachStories(feedItems)).map(({
+        followBoost,
+        feedbackPenalty,
+        storyRank,
+        diversityRank,
+        rankingScore,
+        scoreBreakdown,
+        ...item
+      }) => ({
+        ...item,
+        isSaved: savedContentIds.includes(item._id.toString()),
+        // Score breakdowns are only returned when debugging the ranking
+        ...(debug && isPersonalized && { rankingScore, scoreBreakdown })
+      }));
+
+      // Sources that are down are served from stored content only
+      const unavailableSources = await CircuitBreakerService.getUnavailableSources(
+        includeSources.filter(source => SourceRegistry.has(source))
+      );
 
       return {
         items: feedWithSavedStatus,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total,
-          pages: Math.ceil(total / limit)
-        }
+        hidden,
+        unavailableSources,
+        pagination: after
+          ? { limit: parseInt(limit), hasMore, nextCursor }
+          : {
+              page: parseInt(page),
+              limit: parseInt(limit),
+              total,
+              pages: Math.ceil(total / limit),
+              hasMore,
+              nextCursor
+            }
       };
     } catch (error) {
       logger.error('Error fetching user feed:', error);
@@ -102,20 +311,95 @@ class FeedService {
     }
   }
 
+  /**
+   * Add the other copies of each item's story, grouped by source
+   * @param {Array} items - Feed items
+   * @returns {Array} Feed items with a story summary, e.g. "also on Reddit (3)"
+   * @private
+   */
+  async attachStories(items) {
+    const storyIds = items.filter(item => item.storyId).map(item => item.storyId);
+    
+    if (storyIds.length === 0) {
+      return items.map(item => ({ ...item, story: null }));
+    }
+    
+    const copies = await Content.find({
+      storyId: { $in: storyIds },
+      isInappropriate: false
+    })
+    .sort({ contentCreatedAt: 1 })
+    .select('storyId source sourceName sourceUsername title url contentCreatedAt')
+    .lean();
+    
+    return items.map(item => {
+      const others = copies.filter(copy =>
+        item.storyId &&
+        copy.storyId.equals(item.storyId) &&
+        !copy._id.equals(item._id)
+      );
+      
+      if (others.length === 0) {
+        return { ...item, story: null };
+      }
+      
+      const alsoOn = Object.values(others.reduce((groups, copy) => {
+        if (!groups[copy.source]) {
+          groups[copy.source] = {
+            source: copy.source,
+            label: SourceRegistry.get(copy.source)?.label || copy.source,
+            count: 0,
+            items: []
+          };
+        }
+        
+        groups[copy.source].count++;
+        
+        // Link to a handful of copies per source
+        if (groups[copy.source].items.length < 5) {
+          const { storyId, source, ...link } = copy;
+          groups[copy.source].items.push(link);
+        }
+        
+        return groups;
+      }, {}));
+      
+      return {
+        ...item,
+        story: {
+          id: item.storyId,
+          size: others.length + 1,
+          alsoOn
+        }
+      };
+    });
+  }
+
   /**
    * Get feed sources with counts
    * @returns {Array} Feed sources
    */
   async getFeedSources() {
     try {
-      // Get count of content from each source
-      const sources = await Content.aggregate([
-        { $group: { _id: '$source', count: { $sum: 1 } } },
-        { $sort: { count: -1 } },
-        { $project: { source: '$_id', count: 1, _id: 0 } }
-      ]);
+      return await CacheService.wrap('sources', 'all', SOURCES_CACHE_TTL_SECONDS, async () => {
+        // Get count of content from each source
+        const counts = await Content.aggregate([
+          { $match: { contentType: { $ne: 'comment' } } },
+          { $group: { _id: '$source', count: { $sum: 1 } } }
+        ]);
+        
+        // Include every registered source, even ones without content yet
+        const sources = SourceRegistry.list().map(adapter => {
+          const sourceCount = counts.find(c => c._id === adapter.name) || { count: 0 };
+          return {
+            source: adapter.name,
+            label: adapter.label,
+            count: sourceCount.count
+          };
+        });
 
-      return sources;
+        return sources.sort((a, b) => b.count - a.count);
+      });
     } catch (error) {
       logger.error('Error fetching feed sources:', error);
       throw error;
@@ -128,16 +412,22 @@ class FeedService {
    */
   async getContentCategories() {
     try {
-      // Get top categories across all content
-      const categories = await Content.aggregate([
-        { $unwind: '$categories' },
-        { $group: { _id: '$categories', count: { $sum: 1 } } },
-        { $sort: { count: -1 } },
-        { $limit: 50 },
-        { $project: { category: '$_id', count: 1, _id: 0 } }
-      ]);
+      return await CacheService.wrap('categories', 'all', CATEGORIES_CACHE_TTL_SECONDS, async () => {
+        // Get top categories across all content
+        const categories = await Content.aggregate([
+          { $match: { contentType: { $ne: 'comment' } } },
+          { $unwind: '$categories' },
+          { $group: { _id: '$categories', count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+          { $limit: 50 },
+          { $project: { category: '$_id', count: 1, _id: 0 } }
+        ]);
 
-      return categories;
+        // Flag canonical taxonomy topics, as opposed to raw source tags
+        const topics = new Set(getTopics());
+
+        return categories.map(category => ({ ...category, isTopic: topics.has(category.category) }));
+      });
     } catch (error) {
       logger.error('Error fetching content categories:', error);
       throw error;
@@ -178,6 +468,7 @@ class FeedService {
         existingSaved.tags = tags;
         existingSaved.notes = notes;
         await existingSaved.save();
+        await CacheService.invalidate(`feed:${userId}`);
 
         return {
           message: 'Content updated in saved items',
@@ -199,6 +490,9 @@ class FeedService {
       // Award credits for saving content
       await CreditService.awardContentInteractionCredits(userId, contentId, 'save');
 
+      // Saved flags and ranking affinity come from saved content
+      await CacheService.invalidate(`feed:${userId}`);
+
       return {
         message: 'Content saved successfully',
         savedContent
@@ -227,6 +521,9 @@ class FeedService {
         throw new Error('Saved content not found');
       }
 
+      // Saved flags and ranking affinity come from saved content
+      await CacheService.invalidate(`feed:${userId}`);
+
       return {
         message: 'Content removed from saved items'
       };
@@ -236,6 +533,78 @@ class FeedService {
     }
   }
 
+  /**
+   * Hide content or mark it as not interesting for a user
+   * @param {string} userId - User ID
+   * @param {string} contentId - Content ID
+   * @param {string} action - hide or not_interested
+   * @returns {Object} Result
+   */
+  async dismissContent(userId, contentId, action) {
+    try {
+      // Check if content exists
+      const content = await Content.findById(contentId);
+      
+      if (!content) {
+        throw new Error('Content not found');
+      }
+
+      // Keep the latest action if the user changes their mind
+      const feedback = await ContentFeedback.findOneAndUpdate(
+        { user: userId, content: contentId },
+        {
+          action,
+          source: content.source,
+          sourceUsername: content.sourceUsername,
+          categories: content.categories
+        },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+      );
+
+      // Dismissed content leaves the cached feed right away
+      await CacheService.invalidate(`feed:${userId}`);
+
+      return {
+        message: action === 'hide'
+          ? 'Content hidden from your feed'
+          : 'You will see less content like this',
+        feedback
+      };
+    } catch (error) {
+      logger.error('Error dismissing content:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Undo hiding content or marking it as not interesting
+   * @param {string} userId - User ID
+   * @param {string} contentId - Content ID
+   * @returns {Object} Result
+   */
+  async undoDismissContent(userId, contentId) {
+    try {
+      const result = await ContentFeedback.findOneAndDelete({
+        user: userId,
+        content: contentId
+      });
+
+      if (!result) {
+        throw new Error('Content feedback not found');
+      }
+
+      // Restored content returns to the cached feed right away
+      await CacheService.invalidate(`feed:${userId}`);
+
+      return {
+        message: 'Content restored to your feed'
+      };
+    } catch (error) {
+      logger.error('Error undoing content feedback:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get user's saved content
    * @param {string} userId - User ID
@@ -244,9 +613,28 @@ class FeedService {
    */
   async getSavedContent(userId, options = {}) {
     try {
-      const savedContent = await SavedContent.findByUserWithPagination(userId, options);
+      const limit = parseInt(options.limit || 20);
+      const sort = normalizeSort(options.sort || '-savedAt');
       
-      // Get total count for pagination
+      // Fetch one extra item to know whether another page exists
+      const { items, hasMore, nextCursor } = paginateResults(
+        await SavedContent.findByUserWithPagination(userId, {
+          ...options,
+          sort,
+          limit: limit + 1
+        }),
+        limit,
+        sort
+      );
+      
+      if (options.after) {
+        return {
+          items,
+          pagination: { limit, hasMore, nextCursor }
+        };
+      }
+      
+      // Get total count for page-based pagination
       const query = { user: userId };
       
       if (options.folder) {
@@ -260,12 +648,14 @@ class FeedService {
       const total = await SavedContent.countDocuments(query);
       
       return {
-        items: savedContent,
+        items,
         pagination: {
           page: parseInt(options.page || 1),
-          limit: parseInt(options.limit || 20),
+          limit,
           total,
-          pages: Math.ceil(total / (options.limit || 20))
+          pages: Math.ceil(total / limit),
+          hasMore,
+          nextCursor
         }
       };
     } catch (error) {
@@ -379,6 +769,9 @@ class FeedService {
       // Award credits for sharing content
       await CreditService.awardContentInteractionCredits(userId, contentId, 'share');
       
+      // Shares shape the user's ranking affinity
+      await CacheService.invalidate(`feed:${userId}`);
+      
       return {
         message: 'Content ready to share',
         shareUrl
@@ -391,72 +784,65 @@ class FeedService {
 
   /**
    * Refresh feed content by fetching new data from sources
-   * @param {Array} sources - Sources to refresh
+   * @param {Array} sources - Sources to refresh (defaults to all registered sources)
    * @returns {Object} Refresh results
    */
-  async refreshFeedContent(sources = ['twitter', 'reddit']) {
+  async refreshFeedContent(sources = SourceRegistry.getSourceNames()) {
     try {
       const results = {
         totalFetched: 0,
         totalSaved: 0,
+        failedSources: [],
         sources: {}
       };
       
-      // Refresh Twitter content
-      if (sources.includes('twitter')) {
-        // Popular Twitter accounts for content creators
-        const twitterHandles = [
-          'MKBHD',
-          'iJustine',
-          'ThioJoe',
-          'UnboxTherapy',
-          'LinusTech',
-          'Google',
-          'Microsoft',
-          'Apple',
-          'TechCrunch',
-          'TheVerge'
-        ];
-        
-        const twitterResult = await TwitterService.fetchAndSaveTweets(
-          twitterHandles,
-          ['tech', 'gadgets', 'programming', 'ai'],
-          { tweetsPerUser: 5, tweetsPerHashtag: 10 }
-        );
-        
-        results.sources.twitter = twitterResult;
-        results.totalFetched += twitterResult.fetched;
-        results.totalSaved += twitterResult.saved;
-      }
-      
-      // Refresh Reddit content
-      if (sources.includes('reddit')) {
-        // Popular subreddits for tech and creator content
-        const subreddits = [
-          'technology',
-          'gadgets',
-          'programming',
-          'webdev',
-          'youtubers',
-          'videos',
-          'apple',
-          'android',
-          'software',
-          'hardware'
-        ];
+      for (const source of sources) {
+        if (!SourceRegistry.has(source)) {
+          logger.warn(`Skipping unknown content source: ${source}`);
+          continue;
+        }
         
-        const redditResult = await RedditService.fetchAndSavePosts(
-          subreddits,
-          { 
-            postsPerSubreddit: 5,
-            includeTrending: true,
-            trendingLimit: 20
+        try {
+          // Fetch the entries admins are watching and the ones users follow
+          const watchlistEntries = await SourceWatchlist.getActiveEntries(source);
+          const followedEntries = await User.getFollowedEntries(source);
+          const config = SourceRegistry.buildConfig(source, [
+            ...watchlistEntries,
+            ...followedEntries
+          ]);
+
+          // Sources have no built-in accounts or subreddits, so an empty
+          // watchlist only fetches what the source finds on its own
+          if (watchlistEntries.length === 0 && followedEntries.length === 0 &&
+              SourceRegistry.get(source).watchlistTypes.length > 0) {
+            logger.warn(`No ${source} watchlist entries or follows, add some with POST /api/admin/watchlists`);
           }
-        );
-        
-        results.sources.reddit = redditResult;
-        results.totalFetched += redditResult.fetched;
-        results.totalSaved += redditResult.saved;
+
+          const sourceResult = await SourceRegistry.fetchAndSave(source, config);
+          
+          if (watchlistEntries.length > 0) {
+            await SourceWatchlist.markFetched(watchlistEntries.map(entry => entry._id));
+          }
+          
+          results.sources[source] = sourceResult;
+          results.totalFetched += sourceResult.fetched;
+          results.totalSaved += sourceResult.saved;
+        } catch (sourceError) {
+          // A failing source is reported without stopping the others
+          if (sourceError.circuitOpen) {
+            logger.warn(`Skipping ${source} refresh: ${sourceError.message}`);
+          } else {
+            logger.error(`Error refreshing ${source} content:`, sourceError);
+          }
+          
+          results.sources[source] = { fetched: 0, saved: 0, failed: 0, error: sourceError.message };
+          results.failedSources.push(source);
+        }
+      }
+      
+      // New content changes every feed, source count and category count
+      if (results.totalSaved > 0) {
+        await Promise.all(['feed', 'sources', 'categories'].map(namespace => CacheService.invalidate(namespace)));
       }
       
       return results;
@@ -466,6 +852,35 @@ class FeedService {
     }
   }
 
+  /**
+   * Refresh sources, waiting at most FEED_REFRESH_WAIT_SECONDS; a slower
+   * refresh finishes in the background
+   * @param {Array} sources - Sources to refresh
+   * @private
+   */
+  async waitForRefresh(sources) {
+    // Required here since the ingestion service depends on this one
+    const IngestionService = require('./ingestion.service');
+    let timer;
+
+    // Refresh through the ingestion service so the runs are recorded, and
+    // skipped while a scheduled run for the same source is in progress
+    const refresh = IngestionService.runRefresh(sources, 'manual');
+
+    const timedOut = await Promise.race([
+      refresh.then(() => false),
+      new Promise(resolve => {
+        timer = setTimeout(() => resolve(true), FEED_REFRESH_WAIT_SECONDS * 1000);
+      })
+    ]).finally(() => clearTimeout(timer));
+
+    if (timedOut) {
+      logger.warn(`Feed refresh still running after ${FEED_REFRESH_WAIT_SECONDS}s, serving stored content`);
+      // Failed runs are logged and recorded by the ingestion service
+      refresh.catch(() => {});
+    }
+  }
+
   /**
    * Get user's saved content IDs
    * @param {string} userId - User ID
@@ -492,26 +907,192 @@ class FeedService {
    * @private
    */
   getEnabledSourcesFromPreferences(user) {
-    const sources = [];
+    const sources = SourceRegistry.getSourceNames().filter(
+      source => user.preferences?.contentSources?.[source]
+    );
+    
+    // Default to the sources enabled for new users if none specified
+    if (sources.length === 0) {
+      return SourceRegistry.getDefaultSourceNames();
+    }
+    
+    return sources;
+  }
+
+  /**
+   * Build a query condition matching content from a followed entry
+   * @param {Object} follow - Followed account, hashtag or subreddit
+   * @returns {Object} Query condition
+   * @private
+   */
+  getFollowCondition(follow) {
+    return {
+      source: follow.source,
+      [FOLLOW_FIELDS[follow.type]]: new RegExp(`^${escapeRegex(follow.value)}$`, 'i')
+    };
+  }
+
+  /**
+   * Build an aggregation expression matching content from a followed entry
+   * @param {Object} follow - Followed account, hashtag or subreddit
+   * @returns {Object} Aggregation expression
+   * @private
+   */
+  getFollowExpression(follow) {
+    const field = `$${FOLLOW_FIELDS[follow.type]}`;
+    const value = follow.value.toLowerCase();
+    
+    // Hashtags are matched against the categories array
+    const matchesValue = follow.type === 'hashtag'
+      ? { $in: [value, { $map: { input: { $ifNull: [field, []] }, as: 'tag', in: { $toLower: '$$tag' } } }] }
+      : { $eq: [{ $toLower: field }, value] };
+    
+    return { $and: [{ $eq: ['$source', follow.source] }, matchesValue] };
+  }
+
+  /**
+   * Build an aggregation expression scoring how similar content is to items
+   * the user marked as not interested: 2 for the same account plus 1 for each
+   * category they repeatedly dismissed
+   * @param {string} userId - User ID
+   * @returns {Object} Aggregation expression
+   * @private
+   */
+  async getFeedbackPenaltyExpression(userId) {
+    const since = new Date(Date.now() - NOT_INTERESTED_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    const { accounts, categories } = await ContentFeedback.getNegativeSignals(userId, since);
+    
+    const dislikedCategories = categories
+      .filter(({ count }) => count >= NOT_INTERESTED_CATEGORY_THRESHOLD)
+      .map(({ category }) => category);
     
-    if (user.preferences?.contentSources?.twitter) {
-      sources.push('twitter');
+    if (accounts.length === 0 && dislikedCategories.length === 0) {
+      return { $literal: 0 };
     }
     
-    if (user.preferences?.contentSources?.reddit) {
-      sources.push('reddit');
+    const accountPenalty = accounts.length > 0
+      ? {
+          $cond: [
+            {
+              $or: accounts.map(account => ({
+                $and: [
+                  { $eq: ['$source', account.source] },
+                  { $eq: [{ $toLower: '$sourceUsername' }, account.sourceUsername.toLowerCase()] }
+                ]
+              }))
+            },
+            2,
+            0
+          ]
+        }
+      : 0;
+    
+    const categoryPenalty = dislikedCategories.length > 0
+      ? { $size: { $setIntersection: [{ $ifNull: ['$categories', []] }, dislikedCategories] } }
+      : 0;
+    
+    return { $add: [accountPenalty, categoryPenalty] };
+  }
+
+  /**
+   * Exclude content matching a user's active mutes
+   * @param {Object} query - Content query
+   * @param {Object} user - User with mutes
+   * @returns {Object} Query without muted content and the number of items it hides
+   * @private
+   */
+  async applyMutes(query, user) {
+    const conditions = (user ? user.getActiveMutes() : []).map(mute => this.getMuteCondition(mute));
+    
+    if (conditions.length === 0) {
+      return { query, hidden: 0 };
     }
     
-    if (user.preferences?.contentSources?.linkedin) {
-      sources.push('linkedin');
+    const hidden = await Content.countDocuments({ ...query, $or: conditions });
+    
+    return { query: { ...query, $nor: conditions }, hidden };
+  }
+
+  /**
+   * Build a query condition matching content hidden by a mute
+   * @param {Object} mute - Muted keyword, pattern, account, subreddit or domain
+   * @returns {Object} Query condition
+   * @private
+   */
+  getMuteCondition(mute) {
+    const value = escapeRegex(mute.value);
+    
+    switch (mute.type) {
+      case 'keyword': {
+        // Whole words or phrases only, so muting "ai" leaves "said" alone
+        const pattern = new RegExp(`(^|\\W)${value}(\\W|$)`, 'i');
+        return { $or: [{ title: pattern }, { text: pattern }, { categories: mute.value.toLowerCase() }] };
+      }
+      case 'regex': {
+        // Patterns saved before they were screened may be unsafe to run
+        if (getUnsafePatternReason(mute.value)) {
+          return { _id: { $in: [] } };
+        }
+        const pattern = new RegExp(mute.value, 'i');
+        return { $or: [{ title: pattern }, { text: pattern }] };
+      }
+      case 'account':
+        return {
+          ...(mute.source && { source: mute.source }),
+          sourceUsername: new RegExp(`^${value}$`, 'i')
+        };
+      case 'subreddit':
+        return { source: 'reddit', 'metadata.subreddit': new RegExp(`^${value}$`, 'i') };
+      case 'domain': {
+        // The domain itself and any of its subdomains
+        const pattern = new RegExp(`^https?://([^/]+\\.)?${value}([/:?#]|$)`, 'i');
+        return { $or: [{ canonicalUrl: pattern }, { url: pattern }] };
+      }
+      default:
+        return { _id: { $in: [] } };
     }
+  }
+
+  /**
+   * Build query conditions for the content type, date range and media filters
+   * @param {Object} filters - Content types, from/to dates and hasMedia flag
+   * @returns {Array} Query conditions
+   * @private
+   */
+  getContentFilters({ contentTypes, from, to, hasMedia }) {
+    const conditions = [];
     
-    // Default to all sources if none specified
-    if (sources.length === 0) {
-      return ['twitter', 'reddit'];
+    // Types match either the normalized media kind or the source content type
+    if (contentTypes && contentTypes.length > 0) {
+      conditions.push({
+        $or: [
+          { mediaKind: { $in: contentTypes } },
+          { contentType: { $in: contentTypes } }
+        ]
+      });
     }
     
-    return sources;
+    if (from || to) {
+      const range = {};
+      if (from) range.$gte = new Date(from);
+      if (to) range.$lte = new Date(to);
+      conditions.push({ contentCreatedAt: range });
+    }
+    
+    if (hasMedia !== null && hasMedia !== undefined) {
+      conditions.push({ hasMedia });
+    }
+    
+    return conditions;
+  }
+
+  /**
+   * Get the oldest creation date included in popular rankings
+   * @returns {Date} Cutoff date
+   * @private
+   */
+  getPopularCutoff() {
+    return new Date(Date.now() - POPULAR_WINDOW_DAYS * 24 * 60 * 60 * 1000);
   }
 
   /**
@@ -526,6 +1107,21 @@ class FeedService {
     return Buffer.from(`${userId}-${contentId}-${timestamp}`).toString('base64');
   }
 
+  /**
+   * Build a cache key from request options, independent of their order
+   * @param {Object} options - Request options
+   * @returns {string} Cache key
+   * @private
+   */
+  getCacheKey(options) {
+    const normalized = Object.keys(options)
+      .sort()
+      .filter(key => options[key] !== undefined && options[key] !== null)
+      .map(key => [key, options[key]]);
+    
+    return crypto.createHash('sha1').update(JSON.stringify(normalized)).digest('hex');
+  }
+
   /**
    * Get content by ID
    * @param {string} contentId - Content ID
@@ -546,6 +1142,116 @@ class FeedService {
     }
   }
 
+  /**
+   * Get the engagement history of a content item
+   * @param {string} contentId - Content ID
+   * @param {Object} options - Query options
+   * @returns {Object} Engagement series with velocity (engagement per hour)
+   */
+  async getEngagementHistory(contentId, options = {}) {
+    try {
+      const { limit = 500 } = options;
+      
+      const content = await Content.findById(contentId).select('contentCreatedAt engagement');
+      
+      if (!content) {
+        throw new Error('Content not found');
+      }
+      
+      // One extra snapshot is fetched to measure the first point of the series against
+      const snapshots = await ContentEngagementSnapshot.getSeries(contentId, limit + 1);
+      const truncated = snapshots.length > limit;
+      let previous = truncated ? snapshots.shift() : null;
+      
+      // Without an earlier snapshot the first point is measured from the content's
+      // creation, unless earlier snapshots may have expired; its velocity is unknown then
+      const measuredFromCreation = !truncated && ContentEngagementSnapshot.isRetained(content.contentCreatedAt);
+      
+      const series = snapshots.map(snapshot => {
+        const point = {
+          capturedAt: snapshot.capturedAt,
+          likes: snapshot.likes,
+          comments: snapshot.comments,
+          shares: snapshot.shares,
+          totalEngagement: snapshot.totalEngagement,
+          velocity: previous || measuredFromCreation
+            ? Content.calculateEngagementVelocity(
+                snapshot.totalEngagement,
+                content.contentCreatedAt,
+                previous,
+                snapshot.capturedAt
+              )
+            : null
+        };
+        
+        previous = snapshot;
+        return point;
+      });
+      
+      return {
+        contentId,
+        series,
+        velocity: {
+          current: series.length > 0 ? series[series.length - 1].velocity : null,
+          average: Content.calculateEngagementVelocity(
+            content.engagement.totalEngagement,
+            content.contentCreatedAt
+          )
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting engagement history:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the top comments stored for a content item
+   * @param {string} contentId - Content ID
+   * @param {Object} options - Query options
+   * @returns {Object} Comments, highest scoring first
+   */
+  async getContentComments(contentId, options = {}) {
+    try {
+      const { limit = 5 } = options;
+
+      const content = await Content.findById(contentId).select('engagement');
+
+      if (!content) {
+        throw new Error('Content not found');
+      }
+
+      const comments = await Content.find({
+        parentContent: content._id,
+        isInappropriate: false
+      })
+      .sort({ 'engagement.likes': -1 })
+      .limit(limit)
+      .select('sourceId sourceUsername sourceName text htmlContent url engagement.likes contentCreatedAt metadata')
+      .lean();
+
+      return {
+        contentId,
+        comments: comments.map(comment => ({
+          id: comment._id,
+          sourceId: comment.sourceId,
+          author: comment.sourceName || comment.sourceUsername,
+          text: comment.text,
+          htmlContent: comment.htmlContent,
+          url: comment.url,
+          score: comment.metadata?.score ?? comment.engagement.likes,
+          isSubmitter: Boolean(comment.metadata?.isSubmitter),
+          contentCreatedAt: comment.contentCreatedAt
+        })),
+        // Comments on the source, including those not stored here
+        totalComments: content.engagement.comments
+      };
+    } catch (error) {
+      logger.error('Error getting content comments:', error);
+      throw error;
+    }
+  }
+
   /**
    * Search content
    * @param {string} query - Search query
@@ -559,19 +1265,20 @@ class FeedService {
         limit = 20,
         sources = null,
         categories = null,
+        sentiment = null,
+        contentTypes = null,
+        from = null,
+        to = null,
+        hasMedia = null,
+        userId = null,
         sortBy = 'relevance'
       } = options;
       
-      // Build search query
+      // Build text search query; MongoDB handles "quoted phrases" and -negated terms
       const searchQuery = {
-        $or: [
-          { title: { $regex: query, $options: 'i' } },
-          { text: { $regex: query, $options: 'i' } },
-          { sourceUsername: { $regex: query, $options: 'i' } },
-          { sourceName: { $regex: query, $options: 'i' } },
-          { categories: { $in: [new RegExp(query, 'i')] } }
-        ],
-        isInappropriate: false
+        $text: { $search: query },
+        isInappropriate: false,
+        contentType: { $ne: 'comment' }
       };
       
       // Filter by sources if specified
@@ -581,7 +1288,18 @@ class FeedService {
       
       // Filter by categories if specified
       if (categories && categories.length > 0) {
-        searchQuery.categories = { $in: categories };
+        searchQuery.categories = { $in: categories.map(category => category.toLowerCase()) };
+      }
+      
+      // Filter by sentiment if specified
+      if (sentiment && sentiment.length > 0) {
+        searchQuery.sentiment = { $in: sentiment };
+      }
+      
+      // Filter by content type, date range and media
+      const contentFilters = this.getContentFilters({ contentTypes, from, to, hasMedia });
+      if (contentFilters.length > 0) {
+        searchQuery.$and = contentFilters;
       }
       
       // Determine sort order
@@ -591,27 +1309,44 @@ class FeedService {
         case 'recent':
           sortOptions = { contentCreatedAt: -1 };
           break;
+        case 'trending':
+          sortOptions = { trendingScore: -1 };
+          break;
         case 'popular':
           sortOptions = { 'engagement.totalEngagement': -1 };
+          searchQuery.contentCreatedAt = { $gte: this.getPopularCutoff() };
           break;
         case 'relevance':
         default:
-          // For relevance sorting, we'd ideally use text search with weights
-          // This is a simplified version
+          // Rank by the weighted text index score
           sortOptions = { score: { $meta: 'textScore' } };
       }
       
+      // Leave out content the searching user muted
+      const user = userId ? await User.findById(userId).select('mutes') : null;
+      const { query: visibleQuery, hidden } = await this.applyMutes(searchQuery, user);
+      
       // Execute search with pagination
-      const results = await Content.find(searchQuery)
+      const results = await Content.find(visibleQuery, { score: { $meta: 'textScore' } })
         .sort(sortOptions)
         .skip((page - 1) * limit)
-        .limit(limit);
+        .limit(limit)
+        .lean();
       
       // Get total count for pagination
-      const total = await Content.countDocuments(searchQuery);
+      const total = await Content.countDocuments(visibleQuery);
+      
+      // Add snippets showing where the query matched
+      const parsedQuery = parseSearchQuery(query);
+      
+      const resultsWithHighlights = results.map(item => ({
+        ...item,
+        highlights: buildHighlights(item, parsedQuery)
+      }));
       
       return {
-        items: results,
+        items: resultsWithHighlights,
+        hidden,
         pagination: {
           page: parseInt(page),
           limit: parseInt(limit),
@@ -0,0 +1,325 @@
+const Content = require('../models/content.model');
+const IngestionRun = require('../models/ingestionRun.model');
+const SourceRegistry = require('./sources');
+const FeedService = require('./feed.service');
+const logger = require('../utils/logger');
+
+// Default scheduler intervals, overridable through the environment
+const DEFAULT_REFRESH_INTERVAL_MINUTES = 30;
+const DEFAULT_EXPIRED_INTERVAL_MINUTES = 60;
+const DEFAULT_TRENDING_INTERVAL_MINUTES = 15;
+
+// Maximum number of expired content items re-fetched per run
+const EXPIRED_BATCH_SIZE = 100;
+
+// Number of content items re-scored per bulk write during a sentiment backfill
+const SENTIMENT_BATCH_SIZE = 500;
+
+class IngestionService {
+  constructor() {
+    this.timers = [];
+    this.activeJobs = new Set();
+  }
+
+  /**
+   * Start the ingestion scheduler
+   */
+  start() {
+    if (this.timers.length > 0) {
+      return;
+    }
+
+    const refreshMinutes = parseInt(process.env.INGESTION_INTERVAL_MINUTES) || DEFAULT_REFRESH_INTERVAL_MINUTES;
+    const expiredMinutes = parseInt(process.env.EXPIRED_CONTENT_INTERVAL_MINUTES) || DEFAULT_EXPIRED_INTERVAL_MINUTES;
+    const trendingMinutes = parseInt(process.env.TRENDING_INTERVAL_MINUTES) || DEFAULT_TRENDING_INTERVAL_MINUTES;
+
+    this.timers.push(
+      setInterval(() => this.runRefresh(), refreshMinutes * 60 * 1000),
+      setInterval(() => this.runExpiredRefresh(), expiredMinutes * 60 * 1000),
+      setInterval(() => this.runTrendingRefresh(), trendingMinutes * 60 * 1000)
+    );
+
+    logger.info(`Ingestion scheduler started (refresh every ${refreshMinutes}m, expired content every ${expiredMinutes}m, trending scores every ${trendingMinutes}m)`);
+
+    // Fetch new content right away instead of waiting for the first interval
+    this.runRefresh();
+  }
+
+  /**
+   * Stop the ingestion scheduler
+   */
+  stop() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+    logger.info('Ingestion scheduler stopped');
+  }
+
+  /**
+   * Fetch new content from sources, recording one run per source
+   * @param {Array} sources - Sources to refresh (defaults to all registered sources)
+   * @param {string} trigger - What started the run ('schedule' or 'manual')
+   * @returns {Object} Refresh results
+   */
+  async runRefresh(sources = SourceRegistry.getSourceNames(), trigger = 'schedule') {
+    const results = {
+      totalFetched: 0,
+      totalSaved: 0,
+      sources: {}
+    };
+
+    for (const source of sources) {
+      if (!SourceRegistry.has(source)) {
+        logger.warn(`Skipping unknown content source: ${source}`);
+        continue;
+      }
+
+      const run = await this.recordRun('refresh', source, trigger, async () => {
+        const refreshResult = await FeedService.refreshFeedContent([source]);
+        const sourceResult = refreshResult.sources[source];
+
+        // Fail the run so the outage shows up in the run history
+        if (sourceResult.error) {
+          throw new Error(sourceResult.error);
+        }
+
+        return sourceResult;
+      });
+
+      if (run) {
+        results.sources[source] = {
+          runId: run._id,
+          status: run.status,
+          fetched: run.fetched,
+          saved: run.saved,
+          failed: run.failed
+        };
+        results.totalFetched += run.fetched;
+        results.totalSaved += run.saved;
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Re-fetch content whose cache has expired, recording one run per source
+   * @param {string} trigger - What started the run ('schedule' or 'manual')
+   * @returns {Array} Recorded runs
+   */
+  async runExpiredRefresh(trigger = 'schedule') {
+    try {
+      const startedAt = new Date();
+      const expiredContent = await Content.findExpiredContent(EXPIRED_BATCH_SIZE);
+      const runs = [];
+
+      // Group expired content by source
+      const contentBySource = expiredContent.reduce((groups, item) => {
+        (groups[item.source] = groups[item.source] || []).push(item);
+        return groups;
+      }, {});
+
+      for (const [source, items] of Object.entries(contentBySource)) {
+        const run = await this.recordRun('expired', source, trigger, async () => {
+          const result = await SourceRegistry.refetchAndSave(source, items);
+
+          // Content the source no longer returns (deleted or private) waits a day before the next attempt
+          await Content.updateMany(
+            {
+              _id: { $in: items.map(item => item._id) },
+              cacheExpiration: { $lt: startedAt }
+            },
+            { $set: { cacheExpiration: new Date(Date.now() + 24 * 60 * 60 * 1000) } }
+          );
+
+          return result;
+        });
+
+        if (run) {
+          runs.push(run);
+        }
+      }
+
+      return runs;
+    } catch (error) {
+      logger.error('Error refreshing expired content:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Decay the trending scores of stored content, recording one run per source
+   * @param {Array} sources - Sources to refresh (defaults to all registered sources)
+   * @param {string} trigger - What started the run ('schedule' or 'manual')
+   * @returns {Array} Recorded runs
+   */
+  async runTrendingRefresh(sources = SourceRegistry.getSourceNames(), trigger = 'schedule') {
+    const runs = [];
+
+    for (const source of sources) {
+      const run = await this.recordRun('trending', source, trigger, () => Content.refreshTrendingScores(source));
+
+      if (run) {
+        runs.push(run);
+      }
+    }
+
+    return runs;
+  }
+
+  /**
+   * Score the sentiment of stored content, recording one run per source
+   * @param {Array} sources - Sources to backfill (defaults to all registered sources)
+   * @param {string} trigger - What started the run ('schedule' or 'manual')
+   * @param {Object} options - Backfill options; force re-scores content that already has a sentiment
+   * @returns {Array} Recorded runs
+   */
+  async runSentimentBackfill(sources = SourceRegistry.getSourceNames(), trigger = 'manual', options = {}) {
+    const runs = [];
+
+    for (const source of sources) {
+      if (!SourceRegistry.has(source)) {
+        logger.warn(`Skipping unknown content source: ${source}`);
+        continue;
+      }
+
+      const run = await this.recordRun('sentiment', source, trigger, () => this.backfillSentiment(source, options));
+
+      if (run) {
+        runs.push(run);
+      }
+    }
+
+    return runs;
+  }
+
+  /**
+   * Re-score the sentiment of a source's content in batches
+   * @param {string} source - Source name
+   * @param {Object} options - Backfill options
+   * @returns {Object} Scored and updated counts
+   * @private
+   */
+  async backfillSentiment(source, options = {}) {
+    const query = options.force ? { source } : { source, sentiment: 'unknown' };
+    const cursor = Content.find(query).select('title text sentiment sentimentScore').cursor();
+    const result = { fetched: 0, saved: 0, updated: 0 };
+    let operations = [];
+
+    const flush = async () => {
+      if (operations.length === 0) return;
+      const bulkResult = await Content.bulkWrite(operations, { ordered: false });
+      result.updated += bulkResult.modifiedCount || 0;
+      operations = [];
+    };
+
+    for await (const content of cursor) {
+      result.fetched++;
+      content.setSentiment();
+
+      operations.push({
+        updateOne: {
+          filter: { _id: content._id },
+          update: { $set: { sentiment: content.sentiment, sentimentScore: content.sentimentScore } }
+        }
+      });
+
+      if (operations.length >= SENTIMENT_BATCH_SIZE) {
+        await flush();
+      }
+    }
+
+    await flush();
+    result.saved = result.updated;
+
+    return result;
+  }
+
+  /**
+   * Run an ingestion job and record it as an IngestionRun
+   * @param {string} job - Job type ('refresh', 'expired', 'sentiment' or 'trending')
+   * @param {string} source - Source name
+   * @param {string} trigger - What started the run
+   * @param {Function} task - Job returning { fetched, saved }
+   * @returns {Object|null} Recorded run, skipped if the job is already running, or null if it could not be recorded
+   * @private
+   */
+  async recordRun(job, source, trigger, task) {
+    const jobKey = `${job}:${source}`;
+
+    // Skip overlapping runs when a job takes longer than its interval, keeping
+    // a record so the run history shows the gap
+    if (this.activeJobs.has(jobKey)) {
+      logger.warn(`Skipping ${job} run for ${source}: previous run still in progress`);
+
+      try {
+        return await IngestionRun.create({ job, source, trigger, status: 'skipped', finishedAt: new Date(), durationMs: 0 });
+      } catch (error) {
+        logger.error(`Error recording skipped ${job} run for ${source}:`, error);
+        return null;
+      }
+    }
+
+    this.activeJobs.add(jobKey);
+
+    try {
+      const run = await IngestionRun.create({ job, source, trigger });
+
+      try {
+        const result = await task();
+        await run.complete(result);
+        logger.info(`Ingestion ${job} run for ${source} completed: ${run.fetched} fetched, ${run.saved} saved`);
+      } catch (error) {
+        logger.error(`Ingestion ${job} run for ${source} failed:`, error);
+        await run.fail(error);
+      }
+
+      return run;
+    } catch (error) {
+      logger.error(`Error recording ingestion ${job} run for ${source}:`, error);
+      return null;
+    } finally {
+      this.activeJobs.delete(jobKey);
+    }
+  }
+
+  /**
+   * Get recent ingestion runs
+   * @param {Object} options - Query options (pagination, filtering)
+   * @returns {Object} Runs with pagination
+   */
+  async getRecentRuns(options = {}) {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        source,
+        job,
+        status
+      } = options;
+
+      const query = {};
+
+      if (source) query.source = source;
+      if (job) query.job = job;
+      if (status) query.status = status;
+
+      const runs = await IngestionRun.findWithPagination(query, { page, limit });
+      const total = await IngestionRun.countDocuments(query);
+
+      return {
+        runs,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting ingestion runs:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new IngestionService();
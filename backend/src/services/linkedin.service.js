@@ -0,0 +1,449 @@
+const Content = require('../models/content.model');
+const logger = require('../utils/logger');
+
+const LINKEDIN_API_URL = 'https://api.linkedin.com/rest';
+
+// LinkedIn versions its REST API by month (YYYYMM)
+const DEFAULT_API_VERSION = '202401';
+
+class LinkedInService {
+  constructor() {
+    this.setupClient();
+  }
+
+  /**
+   * Setup LinkedIn API client
+   */
+  setupClient() {
+    this.accessToken = process.env.LINKEDIN_ACCESS_TOKEN;
+    this.apiVersion = process.env.LINKEDIN_API_VERSION || DEFAULT_API_VERSION;
+
+    // Cache organization lookups, vanity names rarely change
+    this.organizations = new Map();
+
+    if (!this.accessToken) {
+      logger.warn('LinkedIn access token is not configured, LinkedIn content will not be fetched');
+      return;
+    }
+
+    logger.info('LinkedIn API client initialized');
+  }
+
+  /**
+   * Send a request to the LinkedIn REST API
+   * @param {string} path - Resource path, e.g. /posts
+   * @param {Object} params - Query parameters
+   * @returns {Object} Response body
+   * @private
+   */
+  async request(path, params = {}) {
+    if (!this.accessToken) {
+      throw new Error('LinkedIn access token is not configured');
+    }
+
+    // Rest.li 2.0 list parameters such as ids=List(a,b) must keep their
+    // parentheses and commas unencoded, so the query string is built by hand
+    const query = Object.entries(params)
+      .map(([key, value]) => {
+        if (Array.isArray(value)) {
+          return `${key}=List(${value.map(encodeURIComponent).join(',')})`;
+        }
+        return `${key}=${encodeURIComponent(value)}`;
+      })
+      .join('&');
+
+    const response = await fetch(`${LINKEDIN_API_URL}${path}${query ? `?${query}` : ''}`, {
+      headers: {
+        Authorization: `Bearer ${this.accessToken}`,
+        'LinkedIn-Version': this.apiVersion,
+        'X-Restli-Protocol-Version': '2.0.0'
+      }
+    });
+
+    if (!response.ok) {
+      const error = new Error(`LinkedIn API request failed with status ${response.status}`);
+      error.statusCode = response.status;
+      throw error;
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Look up a LinkedIn organization by its vanity name
+   * @param {string} vanityName - Company page name, as in linkedin.com/company/<name>
+   * @returns {Object|null} Organization
+   */
+  async getOrganization(vanityName) {
+    const key = vanityName.toLowerCase();
+
+    if (this.organizations.has(key)) {
+      return this.organizations.get(key);
+    }
+
+    const response = await this.request('/organizations', {
+      q: 'vanityName',
+      vanityName
+    });
+
+    const organization = response.elements?.[0] || null;
+
+    if (organization) {
+      this.organizations.set(key, organization);
+    }
+
+    return organization;
+  }
+
+  /**
+   * Fetch posts from a list of organization pages
+   * @param {Array} vanityNames - List of company page vanity names
+   * @param {number} count - Number of posts to fetch per organization
+   * @returns {Array} Normalized posts
+   */
+  async fetchPostsFromOrganizations(vanityNames, count = 10) {
+    try {
+      const allPosts = [];
+      let succeeded = 0;
+      let lastError = null;
+
+      for (const vanityName of vanityNames) {
+        try {
+          // First, get the organization ID from the vanity name
+          const organization = await this.getOrganization(vanityName);
+
+          if (!organization) {
+            logger.warn(`LinkedIn organization not found: ${vanityName}`);
+            continue;
+          }
+
+          // Fetch posts authored by this organization
+          const posts = await this.request('/posts', {
+            q: 'author',
+            author: `urn:li:organization:${organization.id}`,
+            count,
+            sortBy: 'LAST_MODIFIED'
+          });
+
+          succeeded++;
+
+          if (posts.elements && posts.elements.length > 0) {
+            // Normalize posts and add to collection
+            const normalizedPosts = await this.normalizePosts({
+              posts: posts.elements,
+              organizations: [organization],
+              socialMetadata: await this.fetchSocialMetadata(posts.elements.map(post => post.id)),
+              media: await this.fetchMedia(posts.elements)
+            });
+            allPosts.push(...normalizedPosts);
+          }
+        } catch (organizationError) {
+          logger.error(`Error fetching LinkedIn posts for organization ${vanityName}:`, organizationError);
+          lastError = organizationError;
+          // Continue with other organizations
+          continue;
+        }
+      }
+
+      // Every request failing points at an outage or a missing token rather than bad page names
+      if (lastError && succeeded === 0) {
+        throw lastError;
+      }
+
+      return allPosts;
+    } catch (error) {
+      logger.error('Error fetching LinkedIn posts from organizations:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch posts by URN
+   * @param {Array} postUrns - List of post URNs
+   * @returns {Array} Normalized posts
+   */
+  async fetchPostsByIds(postUrns) {
+    try {
+      const allPosts = [];
+
+      // Keep batch requests well under LinkedIn's URL length limit
+      for (let i = 0; i < postUrns.length; i += 50) {
+        const response = await this.request('/posts', {
+          ids: postUrns.slice(i, i + 50)
+        });
+
+        const posts = Object.values(response.results || {});
+
+        if (posts.length === 0) {
+          continue;
+        }
+
+        // Resolve the authoring organizations of this batch
+        const organizationIds = [...new Set(posts
+          .map(post => post.author)
+          .filter(author => author?.startsWith('urn:li:organization:'))
+          .map(author => author.split(':').pop()))];
+
+        const organizations = organizationIds.length > 0
+          ? Object.values((await this.request('/organizations', { ids: organizationIds })).results || {})
+          : [];
+
+        const normalizedPosts = await this.normalizePosts({
+          posts,
+          organizations,
+          socialMetadata: await this.fetchSocialMetadata(posts.map(post => post.id)),
+          media: await this.fetchMedia(posts)
+        });
+        allPosts.push(...normalizedPosts);
+      }
+
+      return allPosts;
+    } catch (error) {
+      logger.error('Error fetching LinkedIn posts by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch reaction and comment counts for posts
+   * @param {Array} postUrns - List of post URNs
+   * @returns {Object} Social metadata keyed by post URN
+   * @private
+   */
+  async fetchSocialMetadata(postUrns) {
+    if (postUrns.length === 0) {
+      return {};
+    }
+
+    try {
+      const response = await this.request('/socialMetadata', { ids: postUrns });
+      return response.results || {};
+    } catch (error) {
+      // Posts are still useful without engagement counts
+      logger.error('Error fetching LinkedIn social metadata:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Resolve image and video URNs referenced by posts to download URLs
+   * @param {Array} posts - LinkedIn posts
+   * @returns {Object} Image and video details keyed by URN
+   * @private
+   */
+  async fetchMedia(posts) {
+    const urns = posts.flatMap(post => this.getMediaUrns(post));
+    const images = urns.filter(urn => urn.startsWith('urn:li:image:'));
+    const videos = urns.filter(urn => urn.startsWith('urn:li:video:'));
+    const media = {};
+
+    try {
+      if (images.length > 0) {
+        Object.assign(media, (await this.request('/images', { ids: images })).results);
+      }
+
+      if (videos.length > 0) {
+        Object.assign(media, (await this.request('/videos', { ids: videos })).results);
+      }
+    } catch (error) {
+      // Posts are still useful without their media
+      logger.error('Error fetching LinkedIn media:', error);
+    }
+
+    return media;
+  }
+
+  /**
+   * Get the image and video URNs referenced by a post
+   * @param {Object} post - LinkedIn post
+   * @returns {Array} Media URNs
+   * @private
+   */
+  getMediaUrns(post) {
+    const content = post.content || {};
+
+    return [
+      content.media?.id,
+      content.article?.thumbnail,
+      ...(content.multiImage?.images || []).map(image => image.id)
+    ].filter(urn => typeof urn === 'string');
+  }
+
+  /**
+   * Normalize LinkedIn API responses to our content model
+   * @param {Object} payload - Posts with their organizations, social metadata and media
+   * @returns {Array} Normalized content objects
+   */
+  async normalizePosts(payload) {
+    try {
+      const {
+        posts = [],
+        organizations = [],
+        socialMetadata = {},
+        media = {}
+      } = payload;
+
+      const normalizedPosts = [];
+
+      // Helper function to get organization data
+      const getOrganizationData = (authorUrn) => {
+        const organizationId = authorUrn?.split(':').pop();
+        return organizations.find(o => String(o.id) === organizationId) || null;
+      };
+
+      for (const post of posts) {
+        // Skip drafts and deleted posts
+        if (post.lifecycleState && post.lifecycleState !== 'PUBLISHED') {
+          continue;
+        }
+
+        // Get author data
+        const organization = getOrganizationData(post.author);
+
+        if (!organization) {
+          logger.warn(`Organization not found for LinkedIn post ${post.id}`);
+          continue;
+        }
+
+        // Extract media URLs and types
+        const mediaUrls = [];
+        const mediaTypes = [];
+
+        this.getMediaUrns(post).forEach(urn => {
+          const item = media[urn];
+          if (!item) return;
+
+          if (urn.startsWith('urn:li:video:')) {
+            mediaUrls.push(item.downloadUrl || item.thumbnail);
+            mediaTypes.push('video');
+          } else if (item.downloadUrl) {
+            mediaUrls.push(item.downloadUrl);
+            mediaTypes.push('image');
+          }
+        });
+
+        const article = post.content?.article;
+        const { text, hashtags } = this.parseCommentary(post.commentary || '');
+
+        // Reactions of every kind (like, celebrate, insightful...) count as likes
+        const metadata = socialMetadata[post.id] || {};
+        const likes = Object.values(metadata.reactionSummaries || {})
+          .reduce((total, reaction) => total + (reaction.count || 0), 0);
+        const comments = metadata.commentSummary?.count || 0;
+
+        // Create content object
+        const contentObj = {
+          source: 'linkedin',
+          sourceId: post.id,
+          sourceUsername: organization.vanityName,
+          sourceName: organization.localizedName || organization.vanityName,
+          contentType: article ? 'article' : 'post',
+          title: article?.title,
+          text,
+          mediaUrls,
+          mediaTypes,
+          categories: hashtags,
+          url: `https://www.linkedin.com/feed/update/${post.id}/`,
+          engagement: {
+            likes,
+            comments,
+            shares: 0, // LinkedIn doesn't provide reshare counts to third parties
+            totalEngagement: likes + comments
+          },
+          contentCreatedAt: new Date(post.publishedAt || post.createdAt),
+          cacheExpiration: new Date(Date.now() + 24 * 60 * 60 * 1000), // 24 hours
+          metadata: {
+            organizationId: organization.id,
+            linkUrl: article?.source,
+            articleDescription: article?.description
+          }
+        };
+
+        normalizedPosts.push(contentObj);
+      }
+
+      return normalizedPosts;
+    } catch (error) {
+      logger.error('Error normalizing LinkedIn posts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Convert LinkedIn "little text" commentary to plain text
+   * @param {string} commentary - Post commentary, e.g. "Hiring! {hashtag|\#|jobs}"
+   * @returns {Object} Plain text and hashtags
+   * @private
+   */
+  parseCommentary(commentary) {
+    const hashtags = [];
+
+    const text = commentary
+      // Hashtags are written as {hashtag|\#|name}
+      .replace(/\{hashtag\|\\?#\|([^}]+)\}/g, (match, tag) => {
+        hashtags.push(tag);
+        return `#${tag}`;
+      })
+      // Mentions are written as @[Name](urn:li:organization:123)
+      .replace(/@\[([^\]]+)\]\([^)]+\)/g, '$1')
+      // Reserved characters are escaped with a backslash
+      .replace(/\\([\\|{}@[\]()<>#*_~])/g, '$1');
+
+    return { text, hashtags };
+  }
+
+  /**
+   * Save LinkedIn posts to database
+   * @param {Array} posts - Normalized post objects
+   * @returns {Object} Inserted, updated and failed counts
+   */
+  async savePostsToDatabase(posts) {
+    try {
+      const result = await Content.bulkUpsert(posts);
+
+      if (result.failed > 0) {
+        logger.warn(`${result.failed} of ${posts.length} LinkedIn posts could not be saved`);
+      }
+
+      return result;
+    } catch (error) {
+      logger.error('Error saving LinkedIn posts to database:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch and save LinkedIn posts in a single operation
+   * @param {Array} vanityNames - List of company page vanity names
+   * @param {Object} options - Additional options
+   * @returns {Object} Fetching and saving results
+   */
+  async fetchAndSavePosts(vanityNames = [], options = {}) {
+    try {
+      const allPosts = [];
+
+      // Fetch from organizations
+      if (vanityNames && vanityNames.length > 0) {
+        const organizationPosts = await this.fetchPostsFromOrganizations(
+          vanityNames,
+          options.postsPerOrganization || 10
+        );
+        allPosts.push(...organizationPosts);
+      }
+
+      // Save to database
+      const saveResult = await this.savePostsToDatabase(allPosts);
+
+      return {
+        fetched: allPosts.length,
+        saved: saveResult.inserted + saveResult.updated,
+        ...saveResult
+      };
+    } catch (error) {
+      logger.error('Error in fetch and save LinkedIn posts operation:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new LinkedInService();
@@ -0,0 +1,98 @@
+const Content = require('../models/content.model');
+const logger = require('../utils/logger');
+
+class ModerationService {
+  /**
+   * Get content held by automated screening
+   * @param {Object} options - Query options (pagination, filtering)
+   * @returns {Object} Queued content with pagination
+   */
+  async getQueue(options = {}) {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        status = 'pending',
+        source,
+        reason
+      } = options;
+
+      const query = { 'moderation.status': status };
+
+      if (source) query.source = source;
+      if (reason) query['moderation.flags.reason'] = reason;
+
+      // Most likely violations first
+      const items = await Content.find(query)
+        .sort({ 'moderation.confidence': -1, contentCreatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('source sourceId sourceUsername sourceName title text url contentType contentCreatedAt isInappropriate inappropriateReason moderation')
+        .populate({
+          path: 'moderation.reviewedBy',
+          select: 'email firstName lastName'
+        });
+
+      const total = await Content.countDocuments(query);
+
+      return {
+        items,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting moderation queue:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Approve or remove screened content
+   * @param {string} contentId - Content ID
+   * @param {string} action - approve or remove
+   * @param {string} adminId - Admin user ID
+   * @param {string} notes - Review notes
+   * @returns {Object} Updated content
+   */
+  async reviewContent(contentId, action, adminId, notes) {
+    try {
+      const content = await Content.findById(contentId);
+
+      if (!content) {
+        throw new Error('Content not found');
+      }
+
+      if (action === 'approve') {
+        content.isInappropriate = false;
+        content.inappropriateReason = undefined;
+        content.moderation.status = 'approved';
+      } else if (action === 'remove') {
+        // Keep the reason raised by screening, if any
+        const topFlag = [...content.moderation.flags].sort((a, b) => b.confidence - a.confidence)[0];
+
+        content.isInappropriate = true;
+        content.inappropriateReason = content.inappropriateReason || topFlag?.reason || 'inappropriate';
+        content.moderation.status = 'removed';
+      } else {
+        throw new Error('Invalid moderation action');
+      }
+
+      content.moderation.reviewedBy = adminId;
+      content.moderation.reviewedAt = new Date();
+      content.moderation.notes = notes;
+
+      await content.save();
+
+      return content;
+    } catch (error) {
+      logger.error('Error reviewing content:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new ModerationService();
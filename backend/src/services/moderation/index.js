@@ -0,0 +1,139 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../utils/logger');
+
+// Content at or above this confidence is hidden automatically
+const DEFAULT_BLOCK_THRESHOLD = 0.8;
+
+// Content at or above this confidence waits in the admin moderation queue
+const DEFAULT_REVIEW_THRESHOLD = 0.4;
+
+/**
+ * Pipeline of content moderation rules run on every item at ingest.
+ *
+ * Every `*.rule.js` module in this directory is registered on load. A rule
+ * exposes:
+ *
+ *   name         - Identifier stored with each flag
+ *   check(item)  - Inspect a normalized content object and return null, or a
+ *                  flag { reason, confidence, detail } with confidence in 0..1.
+ *                  Reasons use the Report reason vocabulary (spam, offensive...)
+ *
+ * The confidences of all flags are combined as independent signals, so two
+ * weak flags add up to more than either one alone.
+ */
+class ModerationPipeline {
+  constructor() {
+    this.rules = new Map();
+    this.blockThreshold = parseFloat(process.env.MODERATION_BLOCK_THRESHOLD) || DEFAULT_BLOCK_THRESHOLD;
+    this.reviewThreshold = parseFloat(process.env.MODERATION_REVIEW_THRESHOLD) || DEFAULT_REVIEW_THRESHOLD;
+    this.loadRules();
+  }
+
+  /**
+   * Register every rule module found in this directory
+   * @private
+   */
+  loadRules() {
+    const files = fs.readdirSync(__dirname)
+      .filter(file => file.endsWith('.rule.js'))
+      .sort();
+
+    for (const file of files) {
+      try {
+        this.register(require(path.join(__dirname, file)));
+      } catch (error) {
+        logger.error(`Error loading moderation rule ${file}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Register a moderation rule
+   * @param {Object} rule - Moderation rule
+   * @returns {Object} Registered rule
+   */
+  register(rule) {
+    if (!rule || !rule.name) {
+      throw new Error('Moderation rule must have a name');
+    }
+
+    if (typeof rule.check !== 'function') {
+      throw new Error(`Moderation rule ${rule.name} is missing the check hook`);
+    }
+
+    if (this.rules.has(rule.name)) {
+      throw new Error(`Moderation rule ${rule.name} is already registered`);
+    }
+
+    this.rules.set(rule.name, rule);
+    return rule;
+  }
+
+  /**
+   * List all registered rules
+   * @returns {Array} Rules
+   */
+  list() {
+    return Array.from(this.rules.values());
+  }
+
+  /**
+   * Run every rule on a content item
+   * @param {Object} item - Normalized content object
+   * @returns {Object} isInappropriate, inappropriateReason and moderation fields for the item
+   */
+  screen(item) {
+    const flags = [];
+
+    for (const rule of this.rules.values()) {
+      try {
+        const flag = rule.check(item);
+
+        if (flag && flag.confidence > 0) {
+          flags.push({
+            rule: rule.name,
+            reason: flag.reason,
+            confidence: Math.min(1, flag.confidence),
+            detail: flag.detail
+          });
+        }
+      } catch (error) {
+        // A broken rule should not stop ingestion
+        logger.error(`Error running moderation rule ${rule.name}:`, error);
+      }
+    }
+
+    const confidence = this.combineConfidence(flags);
+    const topFlag = flags.reduce((top, flag) => (!top || flag.confidence > top.confidence ? flag : top), null);
+
+    let status = 'clean';
+    if (confidence >= this.blockThreshold) {
+      status = 'flagged';
+    } else if (confidence >= this.reviewThreshold) {
+      status = 'pending';
+    }
+
+    return {
+      isInappropriate: status === 'flagged',
+      inappropriateReason: status === 'flagged' ? topFlag.reason : undefined,
+      moderation: {
+        status,
+        confidence: Math.round(confidence * 1000) / 1000,
+        flags
+      }
+    };
+  }
+
+  /**
+   * Combine flag confidences as independent signals
+   * @param {Array} flags - Flags raised by rules
+   * @returns {number} Combined confidence between 0 and 1
+   * @private
+   */
+  combineConfidence(flags) {
+    return 1 - flags.reduce((clean, flag) => clean * (1 - flag.confidence), 1);
+  }
+}
+
+module.exports = new ModerationPipeline();
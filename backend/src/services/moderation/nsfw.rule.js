@@ -0,0 +1,28 @@
+/**
+ * Flags content the source itself marks as adult or sensitive
+ */
+module.exports = {
+  name: 'nsfw',
+
+  check(item) {
+    // Reddit marks NSFW posts with over_18
+    if (item.metadata?.over18) {
+      return {
+        reason: 'inappropriate',
+        confidence: 0.95,
+        detail: 'Marked NSFW on Reddit'
+      };
+    }
+
+    // Twitter's flag also covers tweets that merely link to sensitive media
+    if (item.metadata?.possiblySensitive) {
+      return {
+        reason: 'inappropriate',
+        confidence: 0.5,
+        detail: 'Marked possibly sensitive on Twitter'
+      };
+    }
+
+    return null;
+  }
+};
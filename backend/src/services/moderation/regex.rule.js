@@ -0,0 +1,83 @@
+const fs = require('fs');
+const logger = require('../../utils/logger');
+
+// Rules applied out of the box, extended by MODERATION_RULES_FILE
+const DEFAULT_RULES = [
+  {
+    name: 'crypto-giveaway',
+    pattern: '\\b(giveaway|airdrop)\\b.*\\b(btc|eth|crypto|usdt|bitcoin|ethereum)\\b',
+    reason: 'spam',
+    confidence: 0.6
+  },
+  {
+    name: 'send-to-receive',
+    pattern: '\\bsend\\s+(me\\s+)?\\d+(\\.\\d+)?\\s*(btc|eth|usdt)\\b.*\\b(get|receive)\\b',
+    reason: 'spam',
+    confidence: 0.9
+  },
+  {
+    name: 'account-phishing',
+    pattern: '\\b(verify|confirm)\\s+your\\s+(account|wallet|password)\\b.*https?://',
+    reason: 'spam',
+    confidence: 0.7
+  },
+  {
+    name: 'adult-only',
+    pattern: '\\b18\\s*\\+\\s*only\\b|\\bnsfw\\b',
+    reason: 'inappropriate',
+    confidence: 0.5
+  }
+];
+
+/**
+ * Load rules from a JSON file of { name, pattern, flags, reason, confidence }
+ * @private
+ */
+const loadRules = () => {
+  const rules = [...DEFAULT_RULES];
+  const file = process.env.MODERATION_RULES_FILE;
+
+  if (file) {
+    try {
+      rules.push(...JSON.parse(fs.readFileSync(file, 'utf8')));
+    } catch (error) {
+      logger.error(`Error loading moderation rules ${file}:`, error);
+    }
+  }
+
+  return rules.reduce((compiled, rule) => {
+    try {
+      compiled.push({ ...rule, regex: new RegExp(rule.pattern, (rule.flags || 'is').replace('g', '')) });
+    } catch (error) {
+      logger.error(`Invalid moderation rule ${rule.name}:`, error);
+    }
+    return compiled;
+  }, []);
+};
+
+const rules = loadRules();
+
+/**
+ * Flags content matching configurable regular expression rules
+ */
+module.exports = {
+  name: 'regex',
+
+  check(item) {
+    const text = [item.title, item.text].filter(Boolean).join('\n');
+    const matched = rules.filter(rule => rule.regex.test(text));
+
+    if (matched.length === 0) {
+      return null;
+    }
+
+    // Report the most confident rule that matched
+    const strongest = matched.reduce((top, rule) => (rule.confidence > top.confidence ? rule : top));
+
+    return {
+      reason: strongest.reason,
+      confidence: strongest.confidence,
+      detail: `Matched ${matched.map(rule => rule.name).join(', ')}`
+    };
+  }
+};
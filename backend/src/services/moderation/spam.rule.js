@@ -0,0 +1,69 @@
+// Phrases common in engagement bait and promotion spam
+const SPAM_PHRASES = [
+  /\bdm\s+me\b/i,
+  /\blink\s+in\s+(my\s+)?bio\b/i,
+  /\bfollow\s+for\s+follow\b|\bf4f\b/i,
+  /\bcheck\s+(out\s+)?my\s+profile\b/i,
+  /\b(make|earn)\s+\$?\d+[k]?\s*(a|per)\s+(day|week)\b/i,
+  /\bwork\s+from\s+home\b.*\$\d+/i
+];
+
+/**
+ * Flags spam using heuristics on links, hashtags, casing and repetition
+ */
+module.exports = {
+  name: 'spam',
+
+  check(item) {
+    const text = [item.title, item.text].filter(Boolean).join('\n');
+    const signals = [];
+    let confidence = 0;
+
+    const links = (text.match(/https?:\/\/\S+/g) || []).length;
+    if (links > 3) {
+      signals.push(`${links} links`);
+      confidence += 0.3;
+    }
+
+    const hashtags = (text.match(/#\w+/g) || []).length;
+    if (hashtags > 8) {
+      signals.push(`${hashtags} hashtags`);
+      confidence += 0.3;
+    }
+
+    // Mostly upper case text, ignoring short posts where it is common
+    const letters = text.replace(/[^a-z]/gi, '');
+    const capitals = letters.replace(/[^A-Z]/g, '');
+    if (letters.length >= 20 && capitals.length / letters.length > 0.7) {
+      signals.push('mostly capitals');
+      confidence += 0.25;
+    }
+
+    if (/(.)\1{5,}/.test(text)) {
+      signals.push('repeated characters');
+      confidence += 0.15;
+    }
+
+    const words = text.toLowerCase().split(/\s+/).filter(Boolean);
+    if (words.length >= 10 && new Set(words).size / words.length < 0.4) {
+      signals.push('repeated words');
+      confidence += 0.3;
+    }
+
+    const phrases = SPAM_PHRASES.filter(phrase => phrase.test(text)).length;
+    if (phrases > 0) {
+      signals.push(`${phrases} spam phrases`);
+      confidence += 0.35 * phrases;
+    }
+
+    if (signals.length === 0) {
+      return null;
+    }
+
+    return {
+      reason: 'spam',
+      confidence: Math.min(0.95, confidence),
+      detail: signals.join(', ')
+    };
+  }
+};
@@ -0,0 +1,66 @@
+const fs = require('fs');
+const { escapeRegex } = require('../../utils/helpers');
+const logger = require('../../utils/logger');
+
+// Terms flagged out of the box, extended by MODERATION_WORDLIST_FILE
+const DEFAULT_TERMS = [
+  'porn',
+  'porno',
+  'xxx',
+  'nudes',
+  'onlyfans',
+  'camgirl',
+  'hentai',
+  'gore',
+  'kys',
+  'kill yourself'
+];
+
+/**
+ * Load the wordlist, one term per line, lines starting with # are comments
+ * @private
+ */
+const loadTerms = () => {
+  const terms = [...DEFAULT_TERMS];
+  const file = process.env.MODERATION_WORDLIST_FILE;
+
+  if (file) {
+    try {
+      fs.readFileSync(file, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+        .forEach(term => terms.push(term));
+    } catch (error) {
+      logger.error(`Error loading moderation wordlist ${file}:`, error);
+    }
+  }
+
+  return [...new Set(terms)];
+};
+
+const terms = loadTerms();
+const pattern = new RegExp(`\\b(${terms.map(escapeRegex).join('|')})\\b`, 'gi');
+
+/**
+ * Flags content containing terms from a local wordlist
+ */
+module.exports = {
+  name: 'wordlist',
+
+  check(item) {
+    const text = [item.title, item.text].filter(Boolean).join('\n');
+    const matches = [...new Set((text.match(pattern) || []).map(match => match.toLowerCase()))];
+
+    if (matches.length === 0) {
+      return null;
+    }
+
+    return {
+      reason: 'offensive',
+      // Each distinct term makes an accidental match less likely
+      confidence: Math.min(0.95, 0.5 + (matches.length - 1) * 0.25),
+      detail: `Matched ${matches.join(', ')}`
+    };
+  }
+};
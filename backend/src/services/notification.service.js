@@ -2,6 +2,7 @@ const Notification = require('../models/notification.model');
 const User = require('../models/user.model');
 const EmailService = require('../utils/email.service');
 const logger = require('../utils/logger');
+const { normalizeSort, applyCursor, paginateResults } = require('../utils/cursor');
 
 class NotificationService {
   /**
@@ -35,19 +36,11 @@ class NotificationService {
       const {
         page = 1,
         limit = 20,
+        after = null,
         read,
         type
       } = options;
 
-      // Find notifications with pagination
-      const notifications = await Notification.findByUserWithPagination(userId, {
-        page,
-        limit,
-        read,
-        type
-      });
-
-      // Get total count for pagination
       const query = { user: userId };
       if (typeof read === 'boolean') {
         query.read = read;
@@ -55,6 +48,31 @@ class NotificationService {
       if (type) {
         query.type = type;
       }
+
+      const sort = normalizeSort({ createdAt: -1 });
+
+      // Find notifications after the cursor if provided, otherwise by page
+      const { items: notifications, hasMore, nextCursor } = paginateResults(
+        await Notification.find(applyCursor(query, sort, after))
+          .sort(sort)
+          .skip(after ? 0 : (page - 1) * limit)
+          .limit(limit + 1),
+        limit,
+        sort
+      );
+
+      if (after) {
+        return {
+          notifications,
+          pagination: {
+            limit: parseInt(limit),
+            hasMore,
+            nextCursor
+          }
+        };
+      }
+
+      // Get total count for pagination
       const total = await Notification.countDocuments(query);
 
       return {
@@ -63,7 +81,9 @@ class NotificationService {
           page: parseInt(page),
           limit: parseInt(limit),
           total,
-          pages: Math.ceil(total / limit)
+          pages: Math.ceil(total / limit),
+          hasMore,
+          nextCursor
         }
       };
     } catch (error) {
@@ -0,0 +1,300 @@
+const mongoose = require('mongoose');
+const Content = require('../models/content.model');
+const SavedContent = require('../models/savedContent.model');
+const { CreditTransaction } = require('../models/credit.model');
+const logger = require('../utils/logger');
+
+// Share of each signal in the personalized score
+const SCORE_WEIGHTS = {
+  recency: 0.35,
+  velocity: 0.25,
+  affinity: 0.3,
+  follow: 0.1
+};
+
+// Recency score halves every this many hours
+const RECENCY_HALF_LIFE_HOURS = 24;
+
+// Engagement per hour at which the velocity score tops out
+const VELOCITY_SATURATION = 1000;
+
+// Saves and shares older than this no longer shape affinity
+const AFFINITY_WINDOW_DAYS = 180;
+
+// Most interactions read per user when building affinity
+const AFFINITY_INTERACTION_LIMIT = 500;
+
+// Categories and accounts kept in a user's affinity profile
+const AFFINITY_PROFILE_SIZE = 50;
+
+// Weight of each kind of interaction towards affinity
+const INTERACTION_WEIGHTS = {
+  save: 1,
+  comment: 1.5,
+  share: 2
+};
+
+// Each further item from the same subreddit or account keeps this share of its score
+const DIVERSITY_DECAY = 0.6;
+
+// Only content this recent is scored; its recency score is below 1% beyond it
+const CANDIDATE_WINDOW_HOURS = 7 * 24;
+
+// Most recent items scored per feed, so scoring cost does not grow with the corpus
+const CANDIDATE_LIMIT = 1000;
+
+class RankingService {
+  /**
+   * Build a user's affinity to categories and source accounts from the content
+   * they saved and interacted with
+   * @param {string} userId - User ID
+   * @returns {Object} Category and account weights between 0 and 1
+   */
+  async getUserAffinity(userId) {
+    try {
+      const since = new Date(Date.now() - AFFINITY_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+      const userObjectId = new mongoose.Types.ObjectId(userId);
+
+      // Saves are read from saved content; interaction credits add shares and
+      // comments, skipping saves so they are not counted twice
+      const [saved, interactions] = await Promise.all([
+        SavedContent.aggregate([
+          { $match: { user: userObjectId, savedAt: { $gte: since } } },
+          { $sort: { savedAt: -1 } },
+          { $limit: AFFINITY_INTERACTION_LIMIT },
+          { $project: { content: 1, interactionType: { $literal: 'save' } } }
+        ]),
+        CreditTransaction.aggregate([
+          {
+            $match: {
+              user: userObjectId,
+              category: 'content_interaction',
+              'metadata.interactionType': { $ne: 'save' },
+              createdAt: { $gte: since }
+            }
+          },
+          { $sort: { createdAt: -1 } },
+          { $limit: AFFINITY_INTERACTION_LIMIT },
+          {
+            $project: {
+              content: { $convert: { input: '$metadata.contentId', to: 'objectId', onError: null, onNull: null } },
+              interactionType: '$metadata.interactionType'
+            }
+          }
+        ])
+      ]);
+
+      const weightsByContent = new Map();
+      [...saved, ...interactions].forEach(({ content, interactionType }) => {
+        if (!content) return;
+        const key = content.toString();
+        weightsByContent.set(key, (weightsByContent.get(key) || 0) + (INTERACTION_WEIGHTS[interactionType] || 1));
+      });
+
+      if (weightsByContent.size === 0) {
+        return { categories: [], accounts: [] };
+      }
+
+      const contents = await Content.find({ _id: { $in: [...weightsByContent.keys()] } })
+        .select('source sourceUsername categories')
+        .lean();
+
+      const categories = new Map();
+      const accounts = new Map();
+
+      contents.forEach(content => {
+        const weight = weightsByContent.get(content._id.toString());
+
+        (content.categories || []).forEach(category => {
+          categories.set(category, (categories.get(category) || 0) + weight);
+        });
+
+        if (content.sourceUsername) {
+          const key = this.getAccountKey(content.source, content.sourceUsername);
+          accounts.set(key, (accounts.get(key) || 0) + weight);
+        }
+      });
+
+      return {
+        categories: this.normalizeWeights(categories),
+        accounts: this.normalizeWeights(accounts)
+      };
+    } catch (error) {
+      logger.error('Error building user affinity:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Aggregation stages narrowing the feed to the most recent content before it
+   * is scored, using the source and contentCreatedAt index
+   * @param {Date} scoredAt - Time the feed is scored at; later content waits for the next feed
+   * @returns {Array} Aggregation stages
+   */
+  getCandidateStages(scoredAt = new Date()) {
+    const since = new Date(scoredAt.getTime() - CANDIDATE_WINDOW_HOURS * 60 * 60 * 1000);
+
+    return [
+      { $match: { contentCreatedAt: { $gte: since, $lte: scoredAt } } },
+      { $sort: { contentCreatedAt: -1, _id: -1 } },
+      { $limit: CANDIDATE_LIMIT }
+    ];
+  }
+
+  /**
+   * Aggregation stages adding a personalized rankingScore and its breakdown.
+   * Expects the isFollowed and feedbackPenalty fields set by the feed pipeline
+   * @param {Object} affinity - Category and account weights from getUserAffinity
+   * @param {Date} scoredAt - Time recency is measured at; pages of one feed share it
+   * @returns {Array} Aggregation stages
+   */
+  getScoreStages(affinity, scoredAt = new Date()) {
+    const ageHours = { $divide: [{ $subtract: [scoredAt, '$contentCreatedAt'] }, 60 * 60 * 1000] };
+
+    return [
+      {
+        $addFields: {
+          scoreBreakdown: {
+            recency: { $pow: [0.5, { $divide: [{ $max: [0, ageHours] }, RECENCY_HALF_LIFE_HOURS] }] },
+            velocity: {
+              $min: [1, {
+                $divide: [
+                  { $ln: { $add: [1, { $max: [0, { $ifNull: ['$engagementVelocity', 0] }] }] } },
+                  Math.log(1 + VELOCITY_SATURATION)
+                ]
+              }]
+            },
+            affinity: {
+              $add: [
+                { $multiply: [0.6, this.getWeightExpression(affinity.categories, { $ifNull: ['$categories', []] })] },
+                { $multiply: [0.4, this.getWeightExpression(affinity.accounts, [this.getAccountKeyExpression()])] }
+              ]
+            },
+            follow: { $cond: ['$isFollowed', 1, 0] },
+            // Not-interested feedback divides the score
+            penalty: { $divide: [1, { $add: [1, { $ifNull: ['$feedbackPenalty', 0] }] }] }
+          }
+        }
+      },
+      {
+        $addFields: {
+          rankingScore: {
+            $multiply: [
+              {
+                $add: Object.entries(SCORE_WEIGHTS).map(([signal, weight]) => ({
+                  $multiply: [weight, `$scoreBreakdown.${signal}`]
+                }))
+              },
+              '$scoreBreakdown.penalty'
+            ]
+          }
+        }
+      }
+    ];
+  }
+
+  /**
+   * Aggregation stages decaying the score of each further item from the same
+   * subreddit or account, so no single one can fill a page
+   * @returns {Array} Aggregation stages
+   */
+  getDiversityStages() {
+    return [
+      {
+        $setWindowFields: {
+          partitionBy: {
+            $cond: [
+              { $and: [{ $eq: ['$source', 'reddit'] }, { $ne: [{ $type: '$metadata.subreddit' }, 'missing'] }] },
+              { $concat: ['reddit:r/', { $toLower: '$metadata.subreddit' }] },
+              this.getAccountKeyExpression()
+            ]
+          },
+          sortBy: { rankingScore: -1, _id: 1 },
+          output: { diversityRank: { $documentNumber: {} } }
+        }
+      },
+      {
+        $addFields: {
+          'scoreBreakdown.diversity': { $pow: [DIVERSITY_DECAY, { $subtract: ['$diversityRank', 1] }] }
+        }
+      },
+      {
+        $addFields: {
+          'scoreBreakdown.base': '$rankingScore',
+          rankingScore: { $multiply: ['$rankingScore', '$scoreBreakdown.diversity'] }
+        }
+      }
+    ];
+  }
+
+  /**
+   * Build the key identifying a source account
+   * @param {string} source - Source name
+   * @param {string} sourceUsername - Account name
+   * @returns {string} Account key
+   * @private
+   */
+  getAccountKey(source, sourceUsername) {
+    return `${source}:${sourceUsername.toLowerCase()}`;
+  }
+
+  /**
+   * Aggregation expression building the account key of a content item
+   * @private
+   */
+  getAccountKeyExpression() {
+    return { $concat: ['$source', ':', { $toLower: { $ifNull: ['$sourceUsername', ''] } }] };
+  }
+
+  /**
+   * Aggregation expression for the highest weight of any of the given keys
+   * @param {Array} weights - Weighted keys
+   * @param {Object|Array} keys - Expression resolving to an array of keys
+   * @returns {Object} Aggregation expression
+   * @private
+   */
+  getWeightExpression(weights, keys) {
+    if (weights.length === 0) {
+      return { $literal: 0 };
+    }
+
+    return {
+      $ifNull: [
+        {
+          $max: {
+            $map: {
+              input: {
+                $filter: {
+                  input: { $literal: weights },
+                  as: 'entry',
+                  cond: { $in: ['$$entry.key', keys] }
+                }
+              },
+              as: 'entry',
+              in: '$$entry.weight'
+            }
+          }
+        },
+        0
+      ]
+    };
+  }
+
+  /**
+   * Keep the heaviest keys, scaled so the heaviest weighs 1
+   * @param {Map} weights - Key => raw weight
+   * @returns {Array} Weighted keys
+   * @private
+   */
+  normalizeWeights(weights) {
+    const top = [...weights]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, AFFINITY_PROFILE_SIZE);
+
+    const max = top.length > 0 ? top[0][1] : 1;
+
+    return top.map(([key, weight]) => ({ key, weight: Math.round((weight / max) * 1000) / 1000 }));
+  }
+}
+
+module.exports = new RankingService();
@@ -0,0 +1,105 @@
+const CacheService = require('./cache.service');
+const logger = require('../utils/logger');
+
+// Budgets are kept this long past their reset, so the admin view shows the last known state
+const BUDGET_RETENTION_SECONDS = 60 * 60;
+
+class RateLimitService {
+  constructor() {
+    // "source:endpoint" => { limit, remaining, reset }
+    this.budgets = new Map();
+  }
+
+  /**
+   * Record the rate limit reported by an API response
+   * @param {string} source - Source name
+   * @param {string} endpoint - Endpoint the limit applies to
+   * @param {Object} rateLimit - Limit, remaining calls and reset time in epoch seconds
+   */
+  async record(source, endpoint, rateLimit) {
+    if (!rateLimit || rateLimit.reset === undefined) {
+      return;
+    }
+
+    const budget = {
+      limit: rateLimit.limit,
+      remaining: rateLimit.remaining,
+      reset: rateLimit.reset,
+      updatedAt: new Date()
+    };
+
+    this.budgets.set(`${source}:${endpoint}`, budget);
+
+    if (budget.remaining === 0) {
+      logger.warn(`${source} rate limit exhausted for ${endpoint} until ${new Date(budget.reset * 1000).toISOString()}`);
+    }
+
+    // Share the budget with other processes, e.g. the API reading what the worker used
+    const ttl = Math.max(1, budget.reset - Math.floor(Date.now() / 1000)) + BUDGET_RETENTION_SECONDS;
+    await CacheService.set(`rate-limits:${source}`, endpoint, budget, ttl);
+  }
+
+  /**
+   * Check whether a request can be made now
+   * @param {string} source - Source name
+   * @param {string} endpoint - Endpoint
+   * @param {number} cost - Number of calls the request takes
+   * @returns {boolean} Whether budget remains, or the window has reset
+   */
+  hasBudget(source, endpoint, cost = 1) {
+    const budget = this.budgets.get(`${source}:${endpoint}`);
+
+    if (!budget || budget.reset * 1000 <= Date.now()) {
+      return true;
+    }
+
+    return budget.remaining >= cost;
+  }
+
+  /**
+   * Get when the current window of an endpoint resets
+   * @param {string} source - Source name
+   * @param {string} endpoint - Endpoint
+   * @returns {Date|null} Reset time, or null when unknown
+   */
+  getResetTime(source, endpoint) {
+    const budget = this.budgets.get(`${source}:${endpoint}`);
+    return budget ? new Date(budget.reset * 1000) : null;
+  }
+
+  /**
+   * Get the remaining budget of a source's endpoints
+   * @param {string} source - Source name
+   * @param {Array} endpoints - Endpoints to report
+   * @returns {Array} Budget per endpoint
+   */
+  async getStatus(source, endpoints) {
+    try {
+      return await Promise.all(endpoints.map(async endpoint => {
+        // Prefer the shared copy, which includes calls made by other processes
+        const budget = await CacheService.get(`rate-limits:${source}`, endpoint) ||
+          this.budgets.get(`${source}:${endpoint}`);
+
+        if (!budget) {
+          return { endpoint, limit: null, remaining: null, resetAt: null, exhausted: false };
+        }
+
+        const expired = budget.reset * 1000 <= Date.now();
+
+        return {
+          endpoint,
+          limit: budget.limit,
+          remaining: expired ? budget.limit : budget.remaining,
+          resetAt: new Date(budget.reset * 1000),
+          exhausted: !expired && budget.remaining === 0,
+          updatedAt: budget.updatedAt
+        };
+      }));
+    } catch (error) {
+      logger.error(`Error getting ${source} rate limit status:`, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new RateLimitService();
@@ -2,6 +2,19 @@ const snoowrap = require('snoowrap');
 const Content = require('../models/content.model');
 const logger = require('../utils/logger');
 
+// Bodies Reddit leaves in place of deleted and removed comments
+const REMOVED_BODIES = ['[deleted]', '[removed]'];
+
+/**
+ * snoowrap client sending every request to the stub API, see src/mocks/sourceApi.js
+ * @private
+ */
+class StubRedditClient extends snoowrap {
+  rawRequest(options) {
+    return super.rawRequest({ ...options, baseUrl: `${process.env.SOURCE_API_MOCK_URL}/reddit` });
+  }
+}
+
 class RedditService {
   constructor() {
     this.setupClient();
@@ -12,22 +25,35 @@ class RedditService {
    */
   setupClient() {
     try {
-      this.client = new snoowrap({
-        userAgent: process.env.REDDIT_USER_AGENT,
-        clientId: process.env.REDDIT_CLIENT_ID,
-        clientSecret: process.env.REDDIT_CLIENT_SECRET,
-        username: process.env.REDDIT_USERNAME,
-        password: process.env.REDDIT_PASSWORD
-      });
+      const mockUrl = process.env.SOURCE_API_MOCK_URL;
+
+      // The stub API accepts any credentials
+      this.client = mockUrl
+        ? new StubRedditClient({
+            userAgent: 'creator-dashboard-mock',
+            clientId: 'mock',
+            clientSecret: 'mock',
+            username: 'mock',
+            password: 'mock'
+          })
+        : new snoowrap({
+            userAgent: process.env.REDDIT_USER_AGENT,
+            clientId: process.env.REDDIT_CLIENT_ID,
+            clientSecret: process.env.REDDIT_CLIENT_SECRET,
+            username: process.env.REDDIT_USERNAME,
+            password: process.env.REDDIT_PASSWORD
+          });
       
       // Configure request delays to avoid rate limiting
       this.client.config({
-        requestDelay: 1000, // 1 second between requests
+        requestDelay: mockUrl ? 0 : 1000, // 1 second between requests
         continueAfterRatelimitError: true,
         retryErrorCodes: [502, 503, 504, 522]
       });
       
-      logger.info('Reddit API client initialized');
+      logger.info(mockUrl
+        ? `Reddit API client initialized against the stub API at ${mockUrl}`
+        : 'Reddit API client initialized');
     } catch (error) {
       logger.error('Error initializing Reddit API client:', error);
       throw new Error('Failed to initialize Reddit API client');
@@ -50,6 +76,8 @@ class RedditService {
       } = options;
       
       const allPosts = [];
+      let succeeded = 0;
+      let lastError = null;
       
       for (const subreddit of subreddits) {
         try {
@@ -87,13 +115,20 @@ class RedditService {
           // Fetch additional post data as needed (e.g., comments)
           const normalizedPosts = await this.normalizePosts(filteredPosts, subreddit);
           allPosts.push(...normalizedPosts);
+          succeeded++;
         } catch (subredditError) {
           logger.error(`Error fetching posts from subreddit ${subreddit}:`, subredditError);
+          lastError = subredditError;
           // Continue with other subreddits
           continue;
         }
       }
       
+      // Every request failing points at an outage or bad credentials rather than bad subreddits
+      if (lastError && succeeded === 0) {
+        throw lastError;
+      }
+      
       return allPosts;
     } catch (error) {
       logger.error('Error fetching subreddit posts:', error);
@@ -132,6 +167,106 @@ class RedditService {
     }
   }
 
+  /**
+   * Fetch posts by ID
+   * @param {Array} postIds - List of Reddit post IDs
+   * @returns {Array} Normalized posts
+   */
+  async fetchPostsByIds(postIds) {
+    try {
+      const posts = [];
+      let lastError = null;
+      
+      for (const postId of postIds) {
+        try {
+          const post = await this.client.getSubmission(postId).fetch();
+          posts.push(post);
+        } catch (postError) {
+          logger.error(`Error fetching Reddit post ${postId}:`, postError);
+          lastError = postError;
+          // Continue with other posts
+          continue;
+        }
+      }
+      
+      if (lastError && posts.length === 0) {
+        throw lastError;
+      }
+      
+      // Normalize posts
+      const normalizedPosts = await this.normalizePosts(posts);
+      
+      return normalizedPosts;
+    } catch (error) {
+      logger.error('Error fetching Reddit posts by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch the top comments of high-engagement posts
+   * @param {Array} posts - Normalized posts
+   * @param {Object} options - Fetch options
+   * @returns {Array} Normalized comments
+   */
+  async fetchTopComments(posts, options = {}) {
+    try {
+      const {
+        limit = 5,
+        minEngagement = 0,
+        maxPosts = 20
+      } = options;
+
+      // Most engaging posts first, so the cap drops the quietest discussions
+      const eligiblePosts = posts
+        .filter(post =>
+          post.contentType !== 'comment' &&
+          post.engagement.comments > 0 &&
+          post.engagement.totalEngagement >= minEngagement
+        )
+        .sort((a, b) => b.engagement.totalEngagement - a.engagement.totalEngagement)
+        .slice(0, maxPosts);
+
+      const comments = [];
+      let lastError = null;
+
+      for (const post of eligiblePosts) {
+        try {
+          // Only top-level comments; replies stay on Reddit
+          const submission = await this.client.oauthRequest({
+            uri: `comments/${post.sourceId}`,
+            qs: { sort: 'top', limit, depth: 1 }
+          });
+
+          const postComments = (submission.comments || [])
+            .filter(comment =>
+              comment.body &&
+              !comment.stickied &&
+              !REMOVED_BODIES.includes(comment.body) &&
+              comment.author?.name !== '[deleted]'
+            )
+            .slice(0, limit);
+
+          comments.push(...this.normalizeComments(postComments, post));
+        } catch (postError) {
+          logger.error(`Error fetching comments for Reddit post ${post.sourceId}:`, postError);
+          lastError = postError;
+          // Continue with other posts
+          continue;
+        }
+      }
+
+      if (lastError && comments.length === 0) {
+        throw lastError;
+      }
+
+      return comments;
+    } catch (error) {
+      logger.error('Error fetching Reddit comments:', error);
+      throw error;
+    }
+  }
+
   /**
    * Search for posts on Reddit
    * @param {string} query - Search query
@@ -244,10 +379,11 @@ class RedditService {
           text: post.selftext || '',
           mediaUrls,
           mediaTypes,
+          // Topics are added by the topic service when content is saved
           categories: [
             post.subreddit.display_name || subredditName || 'reddit',
-            ...this.extractCategories(post)
-          ],
+            post.link_flair_text
+          ].filter(Boolean),
           url: `https://www.reddit.com${post.permalink}`,
           engagement: {
             likes: post.ups || 0,
@@ -261,7 +397,9 @@ class RedditService {
             subreddit: post.subreddit.display_name,
             flair: post.link_flair_text,
             upvoteRatio: post.upvote_ratio,
-            domainUrl: post.domain
+            domainUrl: post.domain,
+            over18: post.over_18 || false,
+            linkUrl: post.is_self ? undefined : post.url
           }
         };
         
@@ -281,78 +419,65 @@ class RedditService {
   }
 
   /**
-   * Extract categories from a Reddit post
-   * @param {Object} post - Reddit post
-   * @returns {Array} Categories
-   * @private
+   * Normalize Reddit comments to our content model, linked to their post
+   * @param {Array} comments - Reddit comments
+   * @param {Object} post - Normalized post the comments belong to
+   * @returns {Array} Normalized content objects
    */
-  extractCategories(post) {
-    const categories = [];
-    
-    // Add flair as category if available
-    if (post.link_flair_text) {
-      categories.push(post.link_flair_text);
-    }
-    
-    // Extract keywords from title
-    const titleWords = post.title
-      .toLowerCase()
-      .replace(/[^\w\s]/g, '')
-      .split(/\s+/)
-      .filter(word => word.length > 3 && !['this', 'that', 'what', 'when', 'where', 'which', 'while', 'with'].includes(word));
-    
-    // Get top 3 most significant words as categories
-    titleWords
-      .sort((a, b) => b.length - a.length)
-      .slice(0, 3)
-      .forEach(word => categories.push(word));
-    
-    return categories;
+  normalizeComments(comments, post) {
+    return comments.map(comment => {
+      const score = Math.max(0, comment.score || 0);
+
+      const contentObj = {
+        source: 'reddit',
+        // Fullname (t1_ prefix), so comment IDs never collide with post IDs
+        sourceId: comment.name,
+        sourceUsername: comment.author.name,
+        sourceName: comment.author.name,
+        contentType: 'comment',
+        text: comment.body,
+        categories: [post.metadata.subreddit].filter(Boolean),
+        url: `https://www.reddit.com${comment.permalink}`,
+        // Post the comment replies to; the stored parent is linked on save
+        parentSourceId: post.sourceId,
+        engagement: {
+          likes: score,
+          comments: 0,
+          shares: 0,
+          totalEngagement: score
+        },
+        contentCreatedAt: new Date(comment.created_utc * 1000),
+        cacheExpiration: new Date(Date.now() + 24 * 60 * 60 * 1000), // 24 hours
+        metadata: {
+          subreddit: post.metadata.subreddit,
+          score: comment.score,
+          isSubmitter: comment.author.name === post.sourceUsername,
+          over18: post.metadata.over18 || false
+        }
+      };
+
+      if (comment.body_html) {
+        contentObj.htmlContent = comment.body_html;
+      }
+
+      return contentObj;
+    });
   }
 
   /**
    * Save Reddit posts to database
    * @param {Array} posts - Normalized post objects
-   * @returns {Array} Saved content documents
+   * @returns {Object} Inserted, updated and failed counts
    */
   async savePostsToDatabase(posts) {
     try {
-      const savedPosts = [];
+      const result = await Content.bulkUpsert(posts);
       
-      for (const post of posts) {
-        try {
-          // Check if post already exists
-          let existingPost = await Content.findOne({
-            source: 'reddit',
-            sourceId: post.sourceId
-          });
-          
-          if (existingPost) {
-            // Update engagement metrics if post exists
-            existingPost = await existingPost.updateEngagementMetrics(
-              post.engagement.likes,
-              post.engagement.comments,
-              post.engagement.shares
-            );
-            
-            // Refresh cache expiration
-            existingPost = await existingPost.refreshCache(24);
-            
-            savedPosts.push(existingPost);
-          } else {
-            // Create new post document
-            const newPost = new Content(post);
-            await newPost.save();
-            savedPosts.push(newPost);
-          }
-        } catch (postError) {
-          logger.error(`Error saving Reddit post ${post.sourceId}:`, postError);
-          // Continue with other posts
-          continue;
-        }
+      if (result.failed > 0) {
+        logger.warn(`${result.failed} of ${posts.length} Reddit posts could not be saved`);
       }
       
-      return savedPosts;
+      return result;
     } catch (error) {
       logger.error('Error saving Reddit posts to database:', error);
       throw error;
@@ -392,11 +517,12 @@ class RedditService {
       }
       
       // Save to database
-      const savedPosts = await this.savePostsToDatabase(allPosts);
+      const saveResult = await this.savePostsToDatabase(allPosts);
       
       return {
         fetched: allPosts.length,
-        saved: savedPosts.length
+        saved: saveResult.inserted + saveResult.updated,
+        ...saveResult
       };
     } catch (error) {
       logger.error('Error in fetch and save Reddit posts operation:', error);
@@ -410,7 +536,7 @@ class RedditService {
    */
   async getTopSubreddits() {
     try {
-      const popularSubreddits = await this.client.getSubreddits('popular').fetchAll({ limit: 25 });
+      const popularSubreddits = await this.client.getPopularSubreddits({ limit: 25 });
       
       return popularSubreddits.map(sub => ({
         name: sub.display_name,
@@ -0,0 +1,374 @@
+const crypto = require('crypto');
+const { XMLParser } = require('fast-xml-parser');
+const Content = require('../models/content.model');
+const logger = require('../utils/logger');
+
+// Give up on feeds that do not respond within this many milliseconds
+const FEED_REQUEST_TIMEOUT_MS = 15000;
+
+class RssService {
+  constructor() {
+    this.setupParser();
+  }
+
+  /**
+   * Setup the XML parser
+   */
+  setupParser() {
+    this.parser = new XMLParser({
+      ignoreAttributes: false,
+      attributeNamePrefix: '@_',
+      // Keep HTML inside CDATA sections and entities as text
+      cdataPropName: false,
+      processEntities: true,
+      htmlEntities: true,
+      trimValues: true,
+      // Elements that may appear once or many times are always arrays
+      isArray: (name) => ['item', 'entry', 'category', 'enclosure', 'link', 'media:content'].includes(name)
+    });
+  }
+
+  /**
+   * Fetch items from a list of feed URLs
+   * @param {Array} feedUrls - List of RSS or Atom feed URLs
+   * @param {number} count - Number of items to keep per feed
+   * @returns {Array} Normalized items
+   */
+  async fetchItemsFromFeeds(feedUrls, count = 10) {
+    try {
+      const allItems = [];
+      let succeeded = 0;
+      let lastError = null;
+
+      for (const feedUrl of feedUrls) {
+        try {
+          const xml = await this.fetchFeed(feedUrl);
+          const normalizedItems = await this.normalizeFeed({ feedUrl, xml });
+          succeeded++;
+
+          // Feeds list their newest items first
+          allItems.push(...normalizedItems.slice(0, count));
+        } catch (feedError) {
+          logger.error(`Error fetching feed ${feedUrl}:`, feedError);
+          lastError = feedError;
+          // Continue with other feeds
+          continue;
+        }
+      }
+
+      // Every feed failing is recorded as a failed run rather than an empty one
+      if (lastError && succeeded === 0) {
+        throw lastError;
+      }
+
+      return allItems;
+    } catch (error) {
+      logger.error('Error fetching items from feeds:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch items that are still listed in their feeds
+   * @param {Array} items - Content documents with metadata.feedUrl
+   * @returns {Array} Normalized items
+   */
+  async fetchItemsByIds(items) {
+    try {
+      const allItems = [];
+      const feeds = new Map();
+      let succeeded = 0;
+      let lastError = null;
+
+      // Group the requested items by the feed they came from
+      items.forEach(item => {
+        const feedUrl = item.metadata?.feedUrl;
+        if (!feedUrl) return;
+
+        if (!feeds.has(feedUrl)) {
+          feeds.set(feedUrl, new Set());
+        }
+        feeds.get(feedUrl).add(item.sourceId);
+      });
+
+      for (const [feedUrl, sourceIds] of feeds) {
+        try {
+          const xml = await this.fetchFeed(feedUrl);
+          const normalizedItems = await this.normalizeFeed({ feedUrl, xml });
+          succeeded++;
+
+          allItems.push(...normalizedItems.filter(item => sourceIds.has(item.sourceId)));
+        } catch (feedError) {
+          logger.error(`Error fetching feed ${feedUrl}:`, feedError);
+          lastError = feedError;
+          // Continue with other feeds
+          continue;
+        }
+      }
+
+      if (lastError && succeeded === 0) {
+        throw lastError;
+      }
+
+      return allItems;
+    } catch (error) {
+      logger.error('Error fetching feed items by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Download a feed document
+   * @param {string} feedUrl - Feed URL
+   * @returns {string} Feed XML
+   * @private
+   */
+  async fetchFeed(feedUrl) {
+    const response = await fetch(feedUrl, {
+      headers: {
+        Accept: 'application/rss+xml, application/atom+xml, application/xml;q=0.9, text/xml;q=0.8'
+      },
+      signal: AbortSignal.timeout(FEED_REQUEST_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Feed request failed with status ${response.status}`);
+    }
+
+    return response.text();
+  }
+
+  /**
+   * Normalize an RSS 2.0, RSS 1.0 or Atom document to our content model
+   * @param {Object} payload - Feed URL and feed XML
+   * @returns {Array} Normalized content objects
+   */
+  async normalizeFeed(payload) {
+    try {
+      const { feedUrl, xml } = payload;
+      const document = this.parser.parse(xml);
+
+      if (document.feed) {
+        return this.normalizeAtomFeed(feedUrl, document.feed);
+      }
+
+      const channel = document.rss?.channel || document['rdf:RDF']?.channel;
+
+      if (!channel) {
+        throw new Error('Document is not an RSS or Atom feed');
+      }
+
+      // RSS 1.0 lists items next to the channel rather than inside it
+      const items = channel.item || document['rdf:RDF']?.item || [];
+
+      return this.normalizeRssFeed(feedUrl, channel, items);
+    } catch (error) {
+      logger.error('Error normalizing feed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Normalize RSS channel items
+   * @private
+   */
+  normalizeRssFeed(feedUrl, channel, items) {
+    const feed = {
+      feedUrl,
+      title: this.getText(channel.title),
+      image: this.getText(channel.image?.url)
+    };
+
+    return items.map(item => {
+      const link = this.getText(item.link?.[0]);
+      const html = this.getText(item['content:encoded']) || this.getText(item.description);
+
+      const enclosures = [
+        ...(item.enclosure || []).map(enclosure => ({
+          url: enclosure['@_url'],
+          type: enclosure['@_type']
+        })),
+        ...(item['media:content'] || []).map(media => ({
+          url: media['@_url'],
+          type: media['@_type'] || media['@_medium']
+        }))
+      ];
+
+      return this.buildContent(feed, {
+        id: this.getText(item.guid) || link,
+        link,
+        title: this.getText(item.title),
+        html,
+        enclosures,
+        categories: (item.category || []).map(category => this.getText(category)),
+        author: this.getText(item['dc:creator']) || this.getText(item.author),
+        publishedAt: this.getText(item.pubDate) || this.getText(item['dc:date'])
+      });
+    }).filter(Boolean);
+  }
+
+  /**
+   * Normalize Atom feed entries
+   * @private
+   */
+  normalizeAtomFeed(feedUrl, atomFeed) {
+    const feed = {
+      feedUrl,
+      title: this.getText(atomFeed.title),
+      image: this.getText(atomFeed.logo) || this.getText(atomFeed.icon)
+    };
+
+    return (atomFeed.entry || []).map(entry => {
+      const links = entry.link || [];
+      const alternate = links.find(link => !link['@_rel'] || link['@_rel'] === 'alternate');
+
+      return this.buildContent(feed, {
+        id: this.getText(entry.id) || alternate?.['@_href'],
+        link: alternate?.['@_href'],
+        title: this.getText(entry.title),
+        html: this.getText(entry.content) || this.getText(entry.summary),
+        enclosures: links
+          .filter(link => link['@_rel'] === 'enclosure')
+          .map(link => ({ url: link['@_href'], type: link['@_type'] })),
+        categories: (entry.category || []).map(category => category['@_term']),
+        author: this.getText(entry.author?.name),
+        publishedAt: this.getText(entry.published) || this.getText(entry.updated)
+      });
+    }).filter(Boolean);
+  }
+
+  /**
+   * Identify a feed item by its GUID or link, or by its title and date when the
+   * feed gives neither
+   * @param {Object} item - Parsed item fields
+   * @returns {string|null} Item ID, or null if nothing identifies the item
+   * @private
+   */
+  getItemId(item) {
+    if (item.id) {
+      return item.id;
+    }
+
+    if (!item.title && !item.publishedAt) {
+      return null;
+    }
+
+    return crypto.createHash('sha1').update(`${item.title || ''}\n${item.publishedAt || ''}`).digest('hex');
+  }
+
+  /**
+   * Build a content object from a parsed feed item
+   * @param {Object} feed - Feed URL, title and image
+   * @param {Object} item - Parsed item fields
+   * @returns {Object|null} Normalized content object, or null if the item cannot be identified
+   * @private
+   */
+  buildContent(feed, item) {
+    const id = this.getItemId(item);
+
+    // Items sharing an ID would all be stored as one document
+    if (!id) {
+      logger.warn(`Skipping item without a GUID, link, title or date in feed ${feed.feedUrl}`);
+      return null;
+    }
+
+    const hostname = new URL(feed.feedUrl).hostname.replace(/^www\./, '');
+
+    // Extract media URLs and types from enclosures
+    const mediaUrls = [];
+    const mediaTypes = [];
+
+    item.enclosures.forEach(enclosure => {
+      if (enclosure.url && !mediaUrls.includes(enclosure.url)) {
+        mediaUrls.push(enclosure.url);
+        mediaTypes.push((enclosure.type || 'other').split('/')[0]);
+      }
+    });
+
+    // GUIDs are only unique within their own feed unless they are URLs or URNs
+    const sourceId = /^[a-z][a-z0-9+.-]*:/i.test(id)
+      ? id
+      : `${feed.feedUrl}#${id}`;
+
+    const publishedAt = new Date(item.publishedAt);
+
+    return {
+      source: 'rss',
+      sourceId,
+      sourceUsername: hostname,
+      sourceName: feed.title || hostname,
+      sourceProfileImage: feed.image,
+      contentType: 'article',
+      title: item.title,
+      text: this.stripHtml(item.html),
+      htmlContent: item.html,
+      mediaUrls,
+      mediaTypes,
+      categories: item.categories.filter(Boolean),
+      url: item.link,
+      engagement: {
+        likes: 0,
+        comments: 0,
+        shares: 0, // Feeds don't carry engagement counts
+        totalEngagement: 0
+      },
+      contentCreatedAt: isNaN(publishedAt) ? new Date() : publishedAt,
+      cacheExpiration: new Date(Date.now() + 24 * 60 * 60 * 1000), // 24 hours
+      metadata: {
+        feedUrl: feed.feedUrl,
+        author: item.author,
+        linkUrl: item.link
+      }
+    };
+  }
+
+  /**
+   * Read the text of a parsed element, which may carry attributes
+   * @private
+   */
+  getText(value) {
+    if (value === undefined || value === null) return undefined;
+    if (typeof value === 'object') return this.getText(value['#text']);
+    return String(value);
+  }
+
+  /**
+   * Convert an HTML fragment to plain text
+   * @private
+   */
+  stripHtml(html = '') {
+    return html
+      .replace(/<(script|style)[\s\S]*?<\/\1>/gi, '')
+      .replace(/<[^>]+>/g, ' ')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&amp;/g, '&')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Save feed items to database
+   * @param {Array} items - Normalized feed items
+   * @returns {Object} Inserted, updated and failed counts
+   */
+  async saveItemsToDatabase(items) {
+    try {
+      const result = await Content.bulkUpsert(items);
+
+      if (result.failed > 0) {
+        logger.warn(`${result.failed} of ${items.length} feed items could not be saved`);
+      }
+
+      return result;
+    } catch (error) {
+      logger.error('Error saving feed items to database:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new RssService();
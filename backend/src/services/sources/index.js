@@ -0,0 +1,270 @@
+const fs = require('fs');
+const path = require('path');
+const CircuitBreakerService = require('../circuitBreaker.service');
+const logger = require('../../utils/logger');
+
+/**
+ * Registry of content source adapters.
+ *
+ * Every `*.source.js` module in this directory is registered on load. An
+ * adapter describes one external source and exposes the hooks the feed
+ * pipeline needs:
+ *
+ *   name              - Identifier stored in Content.source
+ *   label             - Human readable name shown in the dashboard
+ *   enabledByDefault  - Default value of the user's contentSources preference
+ *   watchlistTypes    - SourceWatchlist entry types the source can fetch
+ *   followTypes       - Entry types users may follow, defaults to watchlistTypes
+ *   defaultConfig     - Fetch options merged into every fetch configuration
+ *   fetch(config)     - Fetch new content and return normalized content objects
+ *   refetch(items)    - Re-fetch existing Content documents, returns normalized content objects
+ *   normalize(data)   - Convert a raw API payload into normalized content objects
+ *   save(items)       - Persist normalized content objects, returns { inserted, updated, failed }
+ *   validateWatchlistValue(type, value) - Optional, throws if a watched value is malformed
+ *
+ * Adapters must require their services on demand, since the Content and User
+ * models read the registered source names while they are being defined.
+ *
+ * Fetches and refetches go through a per-source circuit breaker, so a source
+ * that is down or misconfigured fails fast instead of being retried every run.
+ */
+class SourceRegistry {
+  constructor() {
+    this.adapters = new Map();
+    this.loadAdapters();
+  }
+
+  /**
+   * Register every adapter module found in this directory
+   * @private
+   */
+  loadAdapters() {
+    const files = fs.readdirSync(__dirname)
+      .filter(file => file.endsWith('.source.js'))
+      .sort();
+
+    for (const file of files) {
+      try {
+        this.register(require(path.join(__dirname, file)));
+      } catch (error) {
+        logger.error(`Error loading content source adapter ${file}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Register a content source adapter
+   * @param {Object} adapter - Source adapter
+   * @returns {Object} Registered adapter
+   */
+  register(adapter) {
+    if (!adapter || !adapter.name) {
+      throw new Error('Content source adapter must have a name');
+    }
+
+    ['fetch', 'refetch', 'normalize', 'save'].forEach(hook => {
+      if (typeof adapter[hook] !== 'function') {
+        throw new Error(`Content source adapter ${adapter.name} is missing the ${hook} hook`);
+      }
+    });
+
+    if (this.adapters.has(adapter.name)) {
+      throw new Error(`Content source adapter ${adapter.name} is already registered`);
+    }
+
+    this.adapters.set(adapter.name, {
+      label: adapter.name,
+      enabledByDefault: true,
+      watchlistTypes: [],
+      followTypes: adapter.watchlistTypes || [],
+      defaultConfig: {},
+      ...adapter
+    });
+
+    return this.adapters.get(adapter.name);
+  }
+
+  /**
+   * Get a registered adapter
+   * @param {string} name - Source name
+   * @returns {Object|null} Adapter
+   */
+  get(name) {
+    return this.adapters.get(name) || null;
+  }
+
+  /**
+   * Check whether a source is registered
+   * @param {string} name - Source name
+   * @returns {boolean} Whether the source exists
+   */
+  has(name) {
+    return this.adapters.has(name);
+  }
+
+  /**
+   * List all registered adapters
+   * @returns {Array} Adapters
+   */
+  list() {
+    return Array.from(this.adapters.values());
+  }
+
+  /**
+   * Get the names of all registered sources
+   * @returns {Array} Source names
+   */
+  getSourceNames() {
+    return Array.from(this.adapters.keys());
+  }
+
+  /**
+   * Get the names of sources enabled for new users
+   * @returns {Array} Source names
+   */
+  getDefaultSourceNames() {
+    return this.list()
+      .filter(adapter => adapter.enabledByDefault)
+      .map(adapter => adapter.name);
+  }
+
+  /**
+   * Get every watchlist entry type supported by a registered source
+   * @returns {Array} Watchlist entry types
+   */
+  getWatchlistTypes() {
+    return [...new Set(this.list().flatMap(adapter => adapter.watchlistTypes))];
+  }
+
+  /**
+   * Check that a source supports the given watchlist entry type
+   * @param {string} name - Source name
+   * @param {string} type - Watchlist entry type
+   * @param {string} value - Optional watched value to validate
+   */
+  validateWatchlistType(name, type, value) {
+    const adapter = this.get(name);
+
+    if (!adapter) {
+      throw new Error(`Unknown content source: ${name}`);
+    }
+
+    if (!adapter.watchlistTypes.includes(type)) {
+      throw new Error(`${adapter.label} does not support ${type} watchlist entries`);
+    }
+
+    if (value !== undefined && typeof adapter.validateWatchlistValue === 'function') {
+      adapter.validateWatchlistValue(type, value);
+    }
+  }
+
+  /**
+   * Check that users may follow the given entry type on a source
+   * @param {string} name - Source name
+   * @param {string} type - Follow entry type
+   */
+  validateFollowType(name, type) {
+    const adapter = this.get(name);
+
+    if (!adapter) {
+      throw new Error(`Unknown content source: ${name}`);
+    }
+
+    if (!adapter.followTypes.includes(type)) {
+      throw new Error(`${adapter.label} does not support following ${type} entries`);
+    }
+  }
+
+  /**
+   * Strip leading markers so "@MKBHD", "#ai" and "r/apple" match stored entries
+   * @param {string} value - Account, hashtag or subreddit
+   * @returns {string} Normalized value
+   */
+  normalizeWatchlistValue(value) {
+    return value.trim().replace(/^(@|#|\/?r\/)/i, '');
+  }
+
+  /**
+   * Build a fetch configuration from watchlist entries
+   * @param {string} name - Source name
+   * @param {Array} entries - SourceWatchlist entries for the source
+   * @returns {Object} Fetch configuration
+   */
+  buildConfig(name, entries = []) {
+    const adapter = this.get(name);
+
+    if (!adapter) {
+      throw new Error(`Unknown content source: ${name}`);
+    }
+
+    // Group entries by type, e.g. { account: [{ value, count }], hashtag: [...] }
+    const watchlist = {};
+
+    adapter.watchlistTypes.forEach(type => {
+      const seen = new Set();
+
+      watchlist[type] = entries
+        .filter(entry => entry.type === type)
+        .filter(entry => {
+          // The same account may be both watched by admins and followed by users
+          const key = entry.value.toLowerCase();
+          if (seen.has(key)) return false;
+          seen.add(key);
+          return true;
+        })
+        .map(entry => ({ value: entry.value, count: entry.fetchCount }));
+    });
+
+    return { watchlist };
+  }
+
+  /**
+   * Fetch and save new content for a source
+   * @param {string} name - Source name
+   * @param {Object} config - Fetch configuration, merged over the adapter's defaults
+   * @returns {Object} Fetching and saving results
+   */
+  async fetchAndSave(name, config = {}) {
+    const adapter = this.get(name);
+
+    if (!adapter) {
+      throw new Error(`Unknown content source: ${name}`);
+    }
+
+    const items = await CircuitBreakerService.execute(name, () =>
+      adapter.fetch({ ...adapter.defaultConfig, ...config })
+    );
+    const saveResult = await adapter.save(items);
+
+    return {
+      fetched: items.length,
+      saved: saveResult.inserted + saveResult.updated,
+      ...saveResult
+    };
+  }
+
+  /**
+   * Re-fetch and save existing content for a source
+   * @param {string} name - Source name
+   * @param {Array} items - Content documents to re-fetch
+   * @returns {Object} Fetching and saving results
+   */
+  async refetchAndSave(name, items) {
+    const adapter = this.get(name);
+
+    if (!adapter) {
+      throw new Error(`Unknown content source: ${name}`);
+    }
+
+    const refetched = await CircuitBreakerService.execute(name, () => adapter.refetch(items));
+    const saveResult = await adapter.save(refetched);
+
+    return {
+      fetched: refetched.length,
+      saved: saveResult.inserted + saveResult.updated,
+      ...saveResult
+    };
+  }
+}
+
+module.exports = new SourceRegistry();
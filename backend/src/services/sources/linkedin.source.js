@@ -0,0 +1,41 @@
+const { fetchByCount } = require('../../utils/helpers');
+
+/**
+ * LinkedIn content source adapter
+ *
+ * Account entries are company page vanity names, as in linkedin.com/company/<name>.
+ */
+module.exports = {
+  name: 'linkedin',
+  label: 'LinkedIn',
+  enabledByDefault: false,
+  watchlistTypes: ['account'],
+
+  defaultConfig: {
+    postsPerOrganization: 5
+  },
+
+  async fetch(config = {}) {
+    const LinkedInService = require('../linkedin.service');
+    const { account = [] } = config.watchlist || {};
+
+    return fetchByCount(account, config.postsPerOrganization, (vanityNames, count) =>
+      LinkedInService.fetchPostsFromOrganizations(vanityNames, count)
+    );
+  },
+
+  refetch(items) {
+    const LinkedInService = require('../linkedin.service');
+    return LinkedInService.fetchPostsByIds(items.map(item => item.sourceId));
+  },
+
+  normalize(payload) {
+    const LinkedInService = require('../linkedin.service');
+    return LinkedInService.normalizePosts(payload);
+  },
+
+  save(posts) {
+    const LinkedInService = require('../linkedin.service');
+    return LinkedInService.savePostsToDatabase(posts);
+  }
+};
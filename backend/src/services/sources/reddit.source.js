@@ -0,0 +1,100 @@
+const { groupByCount } = require('../../utils/helpers');
+
+/**
+ * Reddit content source adapter
+ */
+module.exports = {
+  name: 'reddit',
+  label: 'Reddit',
+  enabledByDefault: true,
+  watchlistTypes: ['subreddit'],
+
+  defaultConfig: {
+    postsPerSubreddit: 5,
+    includeTrending: true,
+    trendingLimit: 20,
+    // Top comments stored for each post with at least commentThreshold engagement
+    commentsPerPost: 5,
+    commentThreshold: 500
+  },
+
+  async fetch(config = {}) {
+    const RedditService = require('../reddit.service');
+    const { subreddit = [] } = config.watchlist || {};
+    const posts = [];
+
+    // Subreddits sharing a post count are fetched in one call
+    for (const [limit, subreddits] of groupByCount(subreddit, config.postsPerSubreddit)) {
+      posts.push(...await RedditService.fetchSubredditPosts(subreddits, {
+        limit,
+        sort: config.sort || 'hot',
+        time: config.time || 'day'
+      }));
+    }
+
+    if (config.includeTrending) {
+      posts.push(...await RedditService.fetchTrendingPosts({
+        limit: config.trendingLimit || 50,
+        excludedSubreddits: config.excludedSubreddits || []
+      }));
+    }
+
+    return [...posts, ...await this.fetchComments(posts, config)];
+  },
+
+  async refetch(items) {
+    const RedditService = require('../reddit.service');
+
+    // Comments are re-fetched through their posts
+    const commentParents = new Set(items
+      .filter(item => item.contentType === 'comment')
+      .map(item => item.parentSourceId));
+    const postIds = items
+      .filter(item => item.contentType !== 'comment')
+      .map(item => item.sourceId);
+
+    const posts = await RedditService.fetchPostsByIds([...new Set([...postIds, ...commentParents])]);
+    const comments = await this.fetchComments(posts, this.defaultConfig, commentParents);
+
+    return [...posts, ...comments];
+  },
+
+  /**
+   * Fetch the top comments of posts with enough engagement, and of any
+   * posts whose stored comments are being refreshed
+   * @private
+   */
+  async fetchComments(posts, config, parentIds = new Set()) {
+    const RedditService = require('../reddit.service');
+
+    if (!config.commentsPerPost) {
+      return [];
+    }
+
+    const eligiblePosts = posts.filter(post =>
+      parentIds.has(post.sourceId) ||
+      post.engagement.totalEngagement >= (config.commentThreshold || 0)
+    );
+
+    if (eligiblePosts.length === 0) {
+      return [];
+    }
+
+    // Posts are still saved when their comments can't be fetched
+    try {
+      return await RedditService.fetchTopComments(eligiblePosts, { limit: config.commentsPerPost });
+    } catch (error) {
+      return [];
+    }
+  },
+
+  normalize(posts) {
+    const RedditService = require('../reddit.service');
+    return RedditService.normalizePosts(posts);
+  },
+
+  save(posts) {
+    const RedditService = require('../reddit.service');
+    return RedditService.savePostsToDatabase(posts);
+  }
+};
@@ -0,0 +1,57 @@
+const { fetchByCount } = require('../../utils/helpers');
+
+/**
+ * RSS and Atom content source adapter
+ *
+ * Feed entries are feed URLs registered by admins. Users cannot follow feeds,
+ * since that would let them make the server fetch arbitrary URLs.
+ */
+module.exports = {
+  name: 'rss',
+  label: 'RSS',
+  enabledByDefault: true,
+  watchlistTypes: ['feed'],
+  followTypes: [],
+
+  defaultConfig: {
+    itemsPerFeed: 10
+  },
+
+  validateWatchlistValue(type, value) {
+    let url;
+
+    try {
+      url = new URL(value.trim());
+    } catch (error) {
+      throw new Error(`Invalid feed URL: ${value}`);
+    }
+
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw new Error('Feed URL must use http or https');
+    }
+  },
+
+  async fetch(config = {}) {
+    const RssService = require('../rss.service');
+    const { feed = [] } = config.watchlist || {};
+
+    return fetchByCount(feed, config.itemsPerFeed, (feedUrls, count) =>
+      RssService.fetchItemsFromFeeds(feedUrls, count)
+    );
+  },
+
+  refetch(items) {
+    const RssService = require('../rss.service');
+    return RssService.fetchItemsByIds(items);
+  },
+
+  normalize(payload) {
+    const RssService = require('../rss.service');
+    return RssService.normalizeFeed(payload);
+  },
+
+  save(items) {
+    const RssService = require('../rss.service');
+    return RssService.saveItemsToDatabase(items);
+  }
+};
@@ -0,0 +1,49 @@
+const { groupByCount } = require('../../utils/helpers');
+
+/**
+ * Twitter content source adapter
+ */
+module.exports = {
+  name: 'twitter',
+  label: 'Twitter',
+  enabledByDefault: true,
+  watchlistTypes: ['account', 'hashtag'],
+
+  defaultConfig: {
+    tweetsPerUser: 5,
+    tweetsPerHashtag: 10
+  },
+
+  async fetch(config = {}) {
+    const TwitterService = require('../twitter.service');
+    const { account = [], hashtag = [] } = config.watchlist || {};
+    const tweets = [];
+
+    // One call per distinct count, so the service can batch user lookups and
+    // defer whatever is left once a rate limit window runs out
+    for (const [count, handles] of groupByCount(account, config.tweetsPerUser)) {
+      tweets.push(...await TwitterService.fetchTweetsFromUsers(handles, count));
+    }
+
+    for (const [count, hashtags] of groupByCount(hashtag, config.tweetsPerHashtag)) {
+      tweets.push(...await TwitterService.fetchTweetsFromHashtags(hashtags, count));
+    }
+
+    return tweets;
+  },
+
+  refetch(items) {
+    const TwitterService = require('../twitter.service');
+    return TwitterService.fetchTweetsByIds(items.map(item => item.sourceId));
+  },
+
+  normalize(tweetsResponse) {
+    const TwitterService = require('../twitter.service');
+    return TwitterService.normalizeTweets(tweetsResponse);
+  },
+
+  save(tweets) {
+    const TwitterService = require('../twitter.service');
+    return TwitterService.saveTweetsToDatabase(tweets);
+  }
+};
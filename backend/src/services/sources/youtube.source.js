@@ -0,0 +1,41 @@
+const { fetchByCount } = require('../../utils/helpers');
+
+/**
+ * YouTube content source adapter
+ *
+ * Account entries are channel handles (e.g. "mkbhd") or channel IDs.
+ */
+module.exports = {
+  name: 'youtube',
+  label: 'YouTube',
+  enabledByDefault: true,
+  watchlistTypes: ['account'],
+
+  defaultConfig: {
+    videosPerChannel: 5
+  },
+
+  async fetch(config = {}) {
+    const YouTubeService = require('../youtube.service');
+    const { account = [] } = config.watchlist || {};
+
+    return fetchByCount(account, config.videosPerChannel, (channels, count) =>
+      YouTubeService.fetchVideosFromChannels(channels, count)
+    );
+  },
+
+  refetch(items) {
+    const YouTubeService = require('../youtube.service');
+    return YouTubeService.fetchVideosByIds(items.map(item => item.sourceId));
+  },
+
+  normalize(payload) {
+    const YouTubeService = require('../youtube.service');
+    return YouTubeService.normalizeVideos(payload);
+  },
+
+  save(videos) {
+    const YouTubeService = require('../youtube.service');
+    return YouTubeService.saveVideosToDatabase(videos);
+  }
+};
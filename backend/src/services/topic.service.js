@@ -0,0 +1,114 @@
+const CorpusTerm = require('../models/corpusTerm.model');
+const { splitTag, extractTerms, matchTopics } = require('../utils/topics');
+const logger = require('../utils/logger');
+
+// Number of TF-IDF keywords kept per content item
+const KEYWORD_LIMIT = 5;
+
+class TopicService {
+  /**
+   * Categorize normalized content from any source. Source tags (hashtags,
+   * subreddits, feed categories) are kept lowercased, taxonomy topics matched
+   * by the tags or text are added, and the top TF-IDF terms become tags.
+   * @param {Array} items - Normalized content
+   * @param {number} corpusSize - Number of documents already in the corpus
+   * @returns {Array} Content with categories and tags
+   */
+  async tagContent(items, corpusSize = 0) {
+    try {
+      const documents = items.map(item => ({
+        rawTags: (item.categories || []).filter(Boolean),
+        terms: this.getTerms(item)
+      }));
+
+      const vocabulary = new Set();
+      documents.forEach(({ terms }) => terms.forEach((count, term) => vocabulary.add(term)));
+
+      const documentCounts = await CorpusTerm.getDocumentCounts([...vocabulary]);
+
+      return items.map((item, index) => {
+        const { rawTags, terms } = documents[index];
+        const sourceTags = rawTags.map(tag => tag.toLowerCase().replace(/^#/, ''));
+
+        // Tags such as "MachineLearning" are split so they match the taxonomy
+        const tagTerms = rawTags.flatMap((tag, tagIndex) => {
+          const words = splitTag(tag);
+          return [sourceTags[tagIndex], words, ...extractTerms(words).keys()];
+        });
+
+        const topics = matchTopics([...tagTerms, ...terms.keys()]);
+
+        return {
+          ...item,
+          categories: [...new Set([...topics, ...sourceTags])],
+          tags: this.getKeywords(terms, documentCounts, corpusSize)
+        };
+      });
+    } catch (error) {
+      logger.error('Error tagging content topics:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add newly stored content to the corpus document frequencies
+   * @param {Array} items - Inserted content
+   * @returns {Promise} Write result
+   */
+  async recordDocuments(items) {
+    try {
+      return await CorpusTerm.recordDocuments(items.map(item => [...this.getTerms(item).keys()]));
+    } catch (error) {
+      logger.error('Error recording corpus terms:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count the terms of a content item's title and text
+   * @param {Object} item - Content
+   * @returns {Map} Term => number of occurrences
+   * @private
+   */
+  getTerms(item) {
+    return extractTerms([item.title, item.text].filter(Boolean).join('\n'));
+  }
+
+  /**
+   * Rank terms by TF-IDF against the corpus
+   * @param {Map} terms - Term => number of occurrences
+   * @param {Map} documentCounts - Term => number of documents containing it
+   * @param {number} corpusSize - Number of documents in the corpus
+   * @returns {Array} Top keywords
+   * @private
+   */
+  getKeywords(terms, documentCounts, corpusSize) {
+    const totalTerms = [...terms.values()].reduce((sum, count) => sum + count, 0);
+
+    const ranked = [...terms]
+      .filter(([term]) => term.includes(' ') || term.length > 2)
+      .map(([term, count]) => {
+        // Smoothed IDF, so terms unseen in the corpus still rank
+        const idf = Math.log((corpusSize + 1) / ((documentCounts.get(term) || 0) + 1)) + 1;
+        return { term, score: (count / totalTerms) * idf };
+      })
+      .sort((a, b) => b.score - a.score);
+
+    const keywords = [];
+
+    for (const { term } of ranked) {
+      if (keywords.length >= KEYWORD_LIMIT) break;
+
+      // Skip words already covered by a chosen phrase and vice versa
+      const overlaps = keywords.some(keyword => keyword.split(' ').includes(term) || term.split(' ').includes(keyword));
+
+      if (!overlaps) {
+        keywords.push(term);
+      }
+    }
+
+    return keywords;
+  }
+}
+
+module.exports = new TopicService();
@@ -1,10 +1,75 @@
-const { TwitterApi } = require('twitter-api-v2');
+const http = require('http');
+const { TwitterApi, ApiResponseError } = require('twitter-api-v2');
 const Content = require('../models/content.model');
+const CacheService = require('./cache.service');
+const RateLimitService = require('./rateLimit.service');
 const logger = require('../utils/logger');
 
+// Fields and expansions requested with every tweet lookup
+const TWEET_REQUEST_FIELDS = {
+  "tweet.fields": [
+    'created_at',
+    'public_metrics',
+    'entities',
+    'attachments',
+    'author_id',
+    'text',
+    'possibly_sensitive'
+  ],
+  expansions: [
+    'author_id',
+    'attachments.media_keys'
+  ],
+  "user.fields": [
+    'name',
+    'username',
+    'profile_image_url'
+  ],
+  "media.fields": [
+    'url',
+    'preview_image_url',
+    'type'
+  ]
+};
+
+// Rate-limited endpoints, each with its own budget per 15 minute window
+const ENDPOINTS = {
+  userLookup: 'users/by',
+  timeline: 'users/:id/tweets',
+  search: 'tweets/search/recent',
+  tweetLookup: 'tweets'
+};
+
+// Page sizes each endpoint accepts; smaller counts are requested at the minimum and trimmed
+const MAX_RESULTS_LIMITS = {
+  timeline: { min: 5, max: 100 },
+  search: { min: 10, max: 100 }
+};
+
+// Longest wait for an exhausted window to reset before requests are deferred to the next run
+const MAX_RATE_LIMIT_WAIT_MS = 30 * 1000;
+
+// Window assumed when a 429 response carries no rate limit headers
+const DEFAULT_RATE_LIMIT_WINDOW_MS = 15 * 60 * 1000;
+
+// How long handle => user ID mappings are cached; IDs never change, handles rarely do
+const USER_ID_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// How long unknown or suspended handles are remembered
+const MISSING_USER_TTL_SECONDS = 24 * 60 * 60;
+
+// Most usernames per user lookup request
+const USER_LOOKUP_BATCH_SIZE = 100;
+
 class TwitterService {
   constructor() {
     this.setupClient();
+
+    // Accounts and hashtags skipped because a window was exhausted, fetched first next run
+    this.deferred = {
+      accounts: new Set(),
+      hashtags: new Set()
+    };
   }
 
   /**
@@ -12,17 +77,29 @@ class TwitterService {
    */
   setupClient() {
     try {
-      // Create Twitter API client with app-only credentials for higher rate limits
-      this.client = new TwitterApi({
-        appKey: process.env.TWITTER_API_KEY,
-        appSecret: process.env.TWITTER_API_SECRET,
-        accessToken: process.env.TWITTER_ACCESS_TOKEN,
-        accessSecret: process.env.TWITTER_ACCESS_SECRET,
-        bearerToken: process.env.TWITTER_BEARER_TOKEN
-      });
+      const mockUrl = process.env.SOURCE_API_MOCK_URL;
+
+      // Create Twitter API client with app-only credentials for higher rate limits.
+      // The stub API accepts any token and serves plain HTTP, which the client
+      // only allows through an HTTP agent
+      this.client = mockUrl
+        ? new TwitterApi('mock-bearer-token', { httpAgent: new http.Agent({ keepAlive: true }) })
+        : new TwitterApi({
+            appKey: process.env.TWITTER_API_KEY,
+            appSecret: process.env.TWITTER_API_SECRET,
+            accessToken: process.env.TWITTER_ACCESS_TOKEN,
+            accessSecret: process.env.TWITTER_ACCESS_SECRET,
+            bearerToken: process.env.TWITTER_BEARER_TOKEN
+          });
 
       // Use read-only app client for higher rate limits
       this.readOnlyClient = this.client.readOnly;
+
+      if (mockUrl) {
+        this.readOnlyClient.v2.setPrefix(`${mockUrl}/twitter/2/`);
+        logger.info(`Twitter API client initialized against the stub API at ${mockUrl}`);
+        return;
+      }
       
       logger.info('Twitter API client initialized');
     } catch (error) {
@@ -40,58 +117,69 @@ class TwitterService {
   async fetchTweetsFromUsers(userHandles, count = 10) {
     try {
       const allTweets = [];
+      const handles = this.prioritizeDeferred(
+        userHandles.map(handle => handle.replace(/^@/, '')),
+        this.deferred.accounts
+      );
 
-      for (const handle of userHandles) {
-        try {
-          // First, get the user ID from handle
-          const user = await this.readOnlyClient.v2.userByUsername(handle);
-          
-          if (!user.data) {
-            logger.warn(`Twitter user not found: ${handle}`);
-            continue;
-          }
+      let succeeded = 0;
+      let lastError = null;
+
+      let userIds;
+      try {
+        userIds = await this.getUserIds(handles);
+      } catch (lookupError) {
+        if (!lookupError.deferred) throw lookupError;
+        this.deferRequests('accounts', handles, lookupError.resetAt);
+        return allTweets;
+      }
+
+      for (const [index, handle] of handles.entries()) {
+        const userId = userIds.get(handle.toLowerCase());
 
-          const userId = user.data.id;
+        if (!userId) {
+          logger.warn(`Twitter user not found: ${handle}`);
+          this.deferred.accounts.delete(handle.toLowerCase());
+          continue;
+        }
 
+        try {
           // Fetch tweets for this user
-          const tweets = await this.readOnlyClient.v2.userTimeline(userId, {
-            max_results: count,
-            "tweet.fields": [
-              'created_at',
-              'public_metrics',
-              'entities',
-              'attachments',
-              'author_id',
-              'text'
-            ],
-            expansions: [
-              'author_id',
-              'attachments.media_keys'
-            ],
-            "user.fields": [
-              'name',
-              'username',
-              'profile_image_url'
-            ],
-            "media.fields": [
-              'url',
-              'preview_image_url',
-              'type'
-            ]
-          });
+          const tweets = await this.requestWithBudget(ENDPOINTS.timeline, () =>
+            this.readOnlyClient.v2.userTimeline(userId, {
+              max_results: this.getMaxResults('timeline', count),
+              ...TWEET_REQUEST_FIELDS
+            })
+          );
 
-          if (tweets.data) {
-            // Normalize tweets and add to collection
-            const normalizedTweets = await this.normalizeTweets(tweets);
-            allTweets.push(...normalizedTweets);
+          this.deferred.accounts.delete(handle.toLowerCase());
+          succeeded++;
+
+          if (tweets.tweets.length > 0) {
+            // Normalize the raw response, which carries the included users and media
+            const normalizedTweets = await this.normalizeTweets(tweets.data);
+            allTweets.push(...normalizedTweets.slice(0, count));
           }
         } catch (userError) {
+          // Once the window is exhausted, every remaining handle waits for the next run
+          if (userError.deferred) {
+            const remaining = handles.slice(index).filter(h => userIds.get(h.toLowerCase()));
+            this.deferRequests('accounts', remaining, userError.resetAt);
+            break;
+          }
+
           logger.error(`Error fetching tweets for user ${handle}:`, userError);
+          lastError = userError;
           // Continue with other users
           continue;
         }
       }
 
+      // Every request failing points at an outage or bad credentials rather than bad handles
+      if (lastError && succeeded === 0) {
+        throw lastError;
+      }
+
       return allTweets;
     } catch (error) {
       logger.error('Error fetching tweets from users:', error);
@@ -108,50 +196,50 @@ class TwitterService {
   async fetchTweetsFromHashtags(hashtags, count = 20) {
     try {
       const allTweets = [];
+      const tags = this.prioritizeDeferred(
+        hashtags.map(hashtag => hashtag.replace(/^#/, '')),
+        this.deferred.hashtags
+      );
+
+      let succeeded = 0;
+      let lastError = null;
 
-      for (const hashtag of hashtags) {
+      for (const [index, hashtag] of tags.entries()) {
         try {
           // Search for tweets with this hashtag
-          const query = `#${hashtag.replace(/^#/, '')}`;
-          const tweets = await this.readOnlyClient.v2.search({
-            query,
-            max_results: count,
-            "tweet.fields": [
-              'created_at',
-              'public_metrics',
-              'entities',
-              'attachments',
-              'author_id',
-              'text'
-            ],
-            expansions: [
-              'author_id',
-              'attachments.media_keys'
-            ],
-            "user.fields": [
-              'name',
-              'username',
-              'profile_image_url'
-            ],
-            "media.fields": [
-              'url',
-              'preview_image_url',
-              'type'
-            ]
-          });
+          const tweets = await this.requestWithBudget(ENDPOINTS.search, () =>
+            this.readOnlyClient.v2.search({
+              query: `#${hashtag}`,
+              max_results: this.getMaxResults('search', count),
+              ...TWEET_REQUEST_FIELDS
+            })
+          );
+
+          this.deferred.hashtags.delete(hashtag.toLowerCase());
+          succeeded++;
 
-          if (tweets.data) {
-            // Normalize tweets and add to collection
-            const normalizedTweets = await this.normalizeTweets(tweets);
-            allTweets.push(...normalizedTweets);
+          if (tweets.tweets.length > 0) {
+            // Normalize the raw response, which carries the included users and media
+            const normalizedTweets = await this.normalizeTweets(tweets.data);
+            allTweets.push(...normalizedTweets.slice(0, count));
           }
         } catch (hashtagError) {
+          if (hashtagError.deferred) {
+            this.deferRequests('hashtags', tags.slice(index), hashtagError.resetAt);
+            break;
+          }
+
           logger.error(`Error fetching tweets for hashtag ${hashtag}:`, hashtagError);
+          lastError = hashtagError;
           // Continue with other hashtags
           continue;
         }
       }
 
+      if (lastError && succeeded === 0) {
+        throw lastError;
+      }
+
       return allTweets;
     } catch (error) {
       logger.error('Error fetching tweets from hashtags:', error);
@@ -159,6 +247,94 @@ class TwitterService {
     }
   }
 
+  /**
+   * Fetch tweets by ID
+   * @param {Array} tweetIds - List of tweet IDs
+   * @returns {Array} Normalized tweets
+   */
+  async fetchTweetsByIds(tweetIds) {
+    try {
+      const allTweets = [];
+
+      // The lookup endpoint accepts up to 100 IDs per request
+      for (let i = 0; i < tweetIds.length; i += 100) {
+        const response = await this.requestWithBudget(ENDPOINTS.tweetLookup, () =>
+          this.readOnlyClient.v2.get(
+            ENDPOINTS.tweetLookup,
+            { ids: tweetIds.slice(i, i + 100), ...TWEET_REQUEST_FIELDS },
+            { fullResponse: true }
+          )
+        );
+
+        if (response.data.data) {
+          const normalizedTweets = await this.normalizeTweets(response.data);
+          allTweets.push(...normalizedTweets);
+        }
+      }
+
+      return allTweets;
+    } catch (error) {
+      // Deferred refetches fail the run, so the content is retried rather than treated as gone
+      if (error.deferred) {
+        logger.warn(`Twitter tweet lookup deferred until ${error.resetAt.toISOString()}`);
+      } else {
+        logger.error('Error fetching tweets by ID:', error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve handles to user IDs, looking up uncached handles in batches
+   * @param {Array} handles - Twitter handles (without @)
+   * @returns {Map} Lowercase handle => user ID, or null when the user does not exist
+   */
+  async getUserIds(handles) {
+    try {
+      const userIds = new Map();
+      const uncached = [];
+
+      for (const handle of new Set(handles.map(h => h.toLowerCase()))) {
+        const cached = await CacheService.get('twitter:users', handle);
+
+        if (cached) {
+          userIds.set(handle, cached.id);
+        } else {
+          uncached.push(handle);
+        }
+      }
+
+      for (let i = 0; i < uncached.length; i += USER_LOOKUP_BATCH_SIZE) {
+        const batch = uncached.slice(i, i + USER_LOOKUP_BATCH_SIZE);
+
+        const response = await this.requestWithBudget(ENDPOINTS.userLookup, () =>
+          this.readOnlyClient.v2.get(ENDPOINTS.userLookup, { usernames: batch }, { fullResponse: true })
+        );
+
+        const found = new Map((response.data.data || []).map(user => [user.username.toLowerCase(), user.id]));
+
+        for (const handle of batch) {
+          const id = found.get(handle) || null;
+          userIds.set(handle, id);
+
+          await CacheService.set(
+            'twitter:users',
+            handle,
+            { id },
+            id ? USER_ID_TTL_SECONDS : MISSING_USER_TTL_SECONDS
+          );
+        }
+      }
+
+      return userIds;
+    } catch (error) {
+      if (!error.deferred) {
+        logger.error('Error looking up Twitter user IDs:', error);
+      }
+      throw error;
+    }
+  }
+
   /**
    * Normalize Twitter API response to our content model
    * @param {Object} tweetsResponse - Response from Twitter API
@@ -212,6 +388,11 @@ class TwitterService {
           // Extract hashtags for categories
           const hashtags = tweet.entities?.hashtags?.map(h => h.tag) || [];
 
+          // The first outside link the tweet shares, used to spot the same story elsewhere
+          const link = (tweet.entities?.urls || [])
+            .map(u => u.unwound_url || u.expanded_url)
+            .find(url => url && !/^https?:\/\/(www\.)?(twitter|x)\.com\//i.test(url));
+
           // Create content object
           const contentObj = {
             source: 'twitter',
@@ -239,7 +420,9 @@ class TwitterService {
             cacheExpiration: new Date(Date.now() + 24 * 60 * 60 * 1000), // 24 hours
             metadata: {
               quote_count: tweet.public_metrics?.quote_count || 0,
-              impression_count: tweet.public_metrics?.impression_count || 0
+              impression_count: tweet.public_metrics?.impression_count || 0,
+              possiblySensitive: tweet.possibly_sensitive || false,
+              linkUrl: link
             }
           };
 
@@ -257,46 +440,17 @@ class TwitterService {
   /**
    * Save tweets to database
    * @param {Array} tweets - Normalized tweet objects
-   * @returns {Array} Saved content documents
+   * @returns {Object} Inserted, updated and failed counts
    */
   async saveTweetsToDatabase(tweets) {
     try {
-      const savedTweets = [];
-
-      for (const tweet of tweets) {
-        try {
-          // Check if tweet already exists
-          let existingTweet = await Content.findOne({
-            source: 'twitter',
-            sourceId: tweet.sourceId
-          });
-
-          if (existingTweet) {
-            // Update engagement metrics if tweet exists
-            existingTweet = await existingTweet.updateEngagementMetrics(
-              tweet.engagement.likes,
-              tweet.engagement.comments,
-              tweet.engagement.shares
-            );
-            
-            // Refresh cache expiration
-            existingTweet = await existingTweet.refreshCache(24);
-            
-            savedTweets.push(existingTweet);
-          } else {
-            // Create new tweet document
-            const newTweet = new Content(tweet);
-            await newTweet.save();
-            savedTweets.push(newTweet);
-          }
-        } catch (tweetError) {
-          logger.error(`Error saving tweet ${tweet.sourceId}:`, tweetError);
-          // Continue with other tweets
-          continue;
-        }
+      const result = await Content.bulkUpsert(tweets);
+      
+      if (result.failed > 0) {
+        logger.warn(`${result.failed} of ${tweets.length} tweets could not be saved`);
       }
-
-      return savedTweets;
+      
+      return result;
     } catch (error) {
       logger.error('Error saving tweets to database:', error);
       throw error;
@@ -333,11 +487,12 @@ class TwitterService {
       }
       
       // Save to database
-      const savedTweets = await this.saveTweetsToDatabase(allTweets);
+      const saveResult = await this.saveTweetsToDatabase(allTweets);
       
       return {
         fetched: allTweets.length,
-        saved: savedTweets.length
+        saved: saveResult.inserted + saveResult.updated,
+        ...saveResult
       };
     } catch (error) {
       logger.error('Error in fetch and save tweets operation:', error);
@@ -346,23 +501,112 @@ class TwitterService {
   }
 
   /**
-   * Check Twitter API rate limits
-   * @returns {Object} Rate limit status
+   * Get the remaining rate limit budget of each endpoint
+   * @returns {Object} Budget per endpoint and the number of deferred accounts and hashtags
    */
-  async checkRateLimits() {
+  async getRateLimitStatus() {
     try {
-      const rateLimits = await this.readOnlyClient.v2.rateLimitStatus([
-        '/users/by/username/:username',
-        '/users/:id/tweets',
-        '/tweets/search/recent'
-      ]);
-      
-      return rateLimits;
+      const endpoints = await RateLimitService.getStatus('twitter', Object.values(ENDPOINTS));
+
+      return {
+        endpoints,
+        deferred: {
+          accounts: this.deferred.accounts.size,
+          hashtags: this.deferred.hashtags.size
+        }
+      };
     } catch (error) {
       logger.error('Error checking rate limits:', error);
       throw error;
     }
   }
+
+  /**
+   * Make a request against an endpoint's rate limit budget. Waits briefly for a
+   * window about to reset; otherwise fails with a deferred error
+   * @param {string} endpoint - Endpoint from ENDPOINTS
+   * @param {Function} request - Async function making the request, resolving to
+   * a paginator or full response carrying rateLimit
+   * @returns {Object} Response
+   * @private
+   */
+  async requestWithBudget(endpoint, request) {
+    if (!RateLimitService.hasBudget('twitter', endpoint)) {
+      const resetAt = RateLimitService.getResetTime('twitter', endpoint);
+      const waitMs = resetAt.getTime() - Date.now();
+
+      if (waitMs > MAX_RATE_LIMIT_WAIT_MS) {
+        throw this.createDeferredError(endpoint, resetAt);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, Math.max(0, waitMs)));
+    }
+
+    try {
+      const response = await request();
+      await RateLimitService.record('twitter', endpoint, response.rateLimit);
+      return response;
+    } catch (error) {
+      if (error instanceof ApiResponseError && error.rateLimitError) {
+        const reset = error.rateLimit?.reset ||
+          Math.ceil((Date.now() + DEFAULT_RATE_LIMIT_WINDOW_MS) / 1000);
+
+        await RateLimitService.record('twitter', endpoint, {
+          limit: error.rateLimit?.limit,
+          remaining: 0,
+          reset
+        });
+
+        throw this.createDeferredError(endpoint, new Date(reset * 1000));
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Create the error thrown for requests deferred until a window resets
+   * @private
+   */
+  createDeferredError(endpoint, resetAt) {
+    const error = new Error(`Twitter rate limit exhausted for ${endpoint}`);
+    error.statusCode = 429;
+    error.deferred = true;
+    error.resetAt = resetAt;
+    return error;
+  }
+
+  /**
+   * Queue accounts or hashtags for the next run
+   * @param {string} type - "accounts" or "hashtags"
+   * @param {Array} values - Handles or hashtags
+   * @param {Date} resetAt - When the exhausted window resets
+   * @private
+   */
+  deferRequests(type, values, resetAt) {
+    values.forEach(value => this.deferred[type].add(value.toLowerCase()));
+    logger.warn(`Twitter rate limit reached, deferred ${values.length} ${type} until ${resetAt.toISOString()}`);
+  }
+
+  /**
+   * Clamp a requested tweet count to the page sizes an endpoint accepts
+   * @param {string} endpoint - "timeline" or "search"
+   * @param {number} count - Requested number of tweets
+   * @returns {number} max_results to send
+   * @private
+   */
+  getMaxResults(endpoint, count) {
+    const { min, max } = MAX_RESULTS_LIMITS[endpoint];
+    return Math.min(max, Math.max(min, count));
+  }
+
+  /**
+   * Order values so those deferred by an earlier run come first
+   * @private
+   */
+  prioritizeDeferred(values, deferred) {
+    return [...values].sort((a, b) => deferred.has(b.toLowerCase()) - deferred.has(a.toLowerCase()));
+  }
 }
 
 module.exports = new TwitterService();
\ No newline at end of file
@@ -1,10 +1,18 @@
 const User = require('../models/user.model');
 const CreditService = require('./credit.service');
 const NotificationService = require('./notification.service');
+const SourceRegistry = require('./sources');
+const CacheService = require('./cache.service');
 const EmailService = require('../utils/email.service');
 const crypto = require('crypto');
 const logger = require('../utils/logger');
 
+// Maximum number of accounts, hashtags and subreddits a user can follow
+const MAX_FOLLOWS = 100;
+
+// Maximum number of active mute rules per user
+const MAX_MUTES = 200;
+
 class UserService {
   /**
    * Get user profile
@@ -93,6 +101,11 @@ class UserService {
       // Save user
       await user.save();
       
+      // Preferred sources and categories filter the feed
+      if (profileData.preferences) {
+        await CacheService.invalidate(`feed:${userId}`);
+      }
+      
       // Process profile completion rewards if completion percentage increased
       if (newPercentage > oldPercentage) {
         await CreditService.processProfileCompletionRewards(
@@ -316,6 +329,240 @@ class UserService {
     }
   }
 
+  /**
+   * Get accounts, hashtags and subreddits a user follows
+   * @param {string} userId - User ID
+   * @returns {Array} Follows
+   */
+  async getFollows(userId) {
+    try {
+      const user = await User.findById(userId).select('follows');
+      
+      if (!user) {
+        throw new Error('User not found');
+      }
+      
+      return user.follows;
+    } catch (error) {
+      logger.error('Error getting user follows:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Follow an account, hashtag or subreddit
+   * @param {string} userId - User ID
+   * @param {Object} followData - Source, type and value to follow
+   * @returns {Object} Created follow
+   */
+  async addFollow(userId, followData) {
+    try {
+      const { source, type } = followData;
+      const value = SourceRegistry.normalizeWatchlistValue(followData.value);
+      
+      SourceRegistry.validateFollowType(source, type);
+      
+      const user = await User.findById(userId);
+      
+      if (!user) {
+        throw new Error('User not found');
+      }
+      
+      // Check if user already follows this entry
+      const existingFollow = user.follows.find(follow =>
+        follow.source === source &&
+        follow.type === type &&
+        follow.value.toLowerCase() === value.toLowerCase()
+      );
+      
+      if (existingFollow) {
+        throw new Error(`You already follow this ${type}`);
+      }
+      
+      if (user.follows.length >= MAX_FOLLOWS) {
+        throw new Error(`You cannot follow more than ${MAX_FOLLOWS} accounts, hashtags and subreddits`);
+      }
+      
+      user.follows.push({ source, type, value });
+      await user.save();
+      await CacheService.invalidate(`feed:${userId}`);
+      
+      return user.follows[user.follows.length - 1];
+    } catch (error) {
+      logger.error('Error adding user follow:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Unfollow an account, hashtag or subreddit
+   * @param {string} userId - User ID
+   * @param {string} followId - Follow ID
+   * @returns {Object} Result
+   */
+  async removeFollow(userId, followId) {
+    try {
+      const user = await User.findById(userId);
+      
+      if (!user) {
+        throw new Error('User not found');
+      }
+      
+      const follow = user.follows.id(followId);
+      
+      if (!follow) {
+        throw new Error('Follow not found');
+      }
+      
+      follow.deleteOne();
+      await user.save();
+      await CacheService.invalidate(`feed:${userId}`);
+      
+      return {
+        message: `Unfollowed ${follow.type} ${follow.value}`
+      };
+    } catch (error) {
+      logger.error('Error removing user follow:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a user's active mute rules
+   * @param {string} userId - User ID
+   * @returns {Array} Mutes
+   */
+  async getMutes(userId) {
+    try {
+      const user = await User.findById(userId).select('mutes');
+      
+      if (!user) {
+        throw new Error('User not found');
+      }
+      
+      return user.getActiveMutes();
+    } catch (error) {
+      logger.error('Error getting user mutes:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mute a keyword, pattern, account, subreddit or domain
+   * @param {string} userId - User ID
+   * @param {Object} muteData - Type, value, optional source and expiry
+   * @returns {Object} Created mute
+   */
+  async addMute(userId, muteData) {
+    try {
+      const { type, value, source, expiresAt } = muteData;
+      
+      const user = await User.findById(userId);
+      
+      if (!user) {
+        throw new Error('User not found');
+      }
+      
+      // Drop expired mutes so they do not count towards the limit
+      user.mutes = user.getActiveMutes();
+      
+      const existingMute = user.mutes.find(mute =>
+        mute.type === type &&
+        (mute.source || null) === (source || null) &&
+        mute.value.toLowerCase() === value.trim().toLowerCase()
+      );
+      
+      if (existingMute) {
+        throw new Error(`You already muted this ${type}`);
+      }
+      
+      if (user.mutes.length >= MAX_MUTES) {
+        throw new Error(`You cannot have more than ${MAX_MUTES} mutes`);
+      }
+      
+      user.mutes.push({ type, value, source, expiresAt });
+      await user.save();
+      await CacheService.invalidate(`feed:${userId}`);
+      
+      return user.mutes[user.mutes.length - 1];
+    } catch (error) {
+      logger.error('Error adding user mute:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update the value or expiry of a mute
+   * @param {string} userId - User ID
+   * @param {string} muteId - Mute ID
+   * @param {Object} updates - Value and/or expiresAt (null removes the expiry)
+   * @returns {Object} Updated mute
+   */
+  async updateMute(userId, muteId, updates) {
+    try {
+      const user = await User.findById(userId);
+      
+      if (!user) {
+        throw new Error('User not found');
+      }
+      
+      const mute = user.mutes.id(muteId);
+      
+      if (!mute) {
+        throw new Error('Mute not found');
+      }
+      
+      if (updates.value !== undefined) {
+        mute.value = updates.value;
+      }
+      
+      if (updates.expiresAt !== undefined) {
+        mute.expiresAt = updates.expiresAt || undefined;
+      }
+      
+      await user.save();
+      await CacheService.invalidate(`feed:${userId}`);
+      
+      return mute;
+    } catch (error) {
+      logger.error('Error updating user mute:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a mute
+   * @param {string} userId - User ID
+   * @param {string} muteId - Mute ID
+   * @returns {Object} Result
+   */
+  async removeMute(userId, muteId) {
+    try {
+      const user = await User.findById(userId);
+      
+      if (!user) {
+        throw new Error('User not found');
+      }
+      
+      const mute = user.mutes.id(muteId);
+      
+      if (!mute) {
+        throw new Error('Mute not found');
+      }
+      
+      mute.deleteOne();
+      await user.save();
+      await CacheService.invalidate(`feed:${userId}`);
+      
+      return {
+        message: `Unmuted ${mute.type} ${mute.value}`
+      };
+    } catch (error) {
+      logger.error('Error removing user mute:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get all users (admin function)
    * @param {Object} options - Query options
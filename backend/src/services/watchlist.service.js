@@ -0,0 +1,149 @@
+const SourceWatchlist = require('../models/sourceWatchlist.model');
+const SourceRegistry = require('./sources');
+const logger = require('../utils/logger');
+const { escapeRegex } = require('../utils/helpers');
+
+class WatchlistService {
+  /**
+   * Get watchlist entries
+   * @param {Object} options - Query options (pagination, filtering)
+   * @returns {Object} Watchlist entries with pagination
+   */
+  async getWatchlists(options = {}) {
+    try {
+      const {
+        page = 1,
+        limit = 50,
+        source,
+        type,
+        isActive,
+        search
+      } = options;
+
+      const query = {};
+
+      if (source) query.source = source;
+      if (type) query.type = type;
+      if (typeof isActive === 'boolean') query.isActive = isActive;
+      if (search) query.value = { $regex: escapeRegex(search), $options: 'i' };
+
+      const entries = await SourceWatchlist.find(query)
+        .sort({ source: 1, type: 1, value: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate({
+          path: 'createdBy updatedBy',
+          select: 'email firstName lastName'
+        });
+
+      const total = await SourceWatchlist.countDocuments(query);
+
+      return {
+        entries,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting watchlist entries:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add an account, hashtag or subreddit to a source watchlist
+   * @param {Object} entryData - Watchlist entry data
+   * @param {string} adminId - Admin user ID
+   * @returns {Object} Created entry
+   */
+  async createEntry(entryData, adminId) {
+    try {
+      const { source, type, value, fetchCount, isActive, notes } = entryData;
+
+      SourceRegistry.validateWatchlistType(source, type, value);
+
+      const entry = new SourceWatchlist({
+        source,
+        type,
+        value,
+        fetchCount,
+        isActive,
+        notes,
+        createdBy: adminId,
+        updatedBy: adminId
+      });
+
+      await entry.save();
+
+      return entry;
+    } catch (error) {
+      logger.error('Error creating watchlist entry:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a watchlist entry
+   * @param {string} entryId - Watchlist entry ID
+   * @param {Object} updates - Fields to update
+   * @param {string} adminId - Admin user ID
+   * @returns {Object} Updated entry
+   */
+  async updateEntry(entryId, updates, adminId) {
+    try {
+      const entry = await SourceWatchlist.findById(entryId);
+
+      if (!entry) {
+        throw new Error('Watchlist entry not found');
+      }
+
+      if (updates.value !== undefined) {
+        SourceRegistry.validateWatchlistType(entry.source, entry.type, updates.value);
+      }
+
+      // Allowed fields to update
+      const allowedFields = ['value', 'fetchCount', 'isActive', 'notes'];
+
+      allowedFields.forEach(field => {
+        if (updates[field] !== undefined) {
+          entry[field] = updates[field];
+        }
+      });
+
+      entry.updatedBy = adminId;
+      await entry.save();
+
+      return entry;
+    } catch (error) {
+      logger.error('Error updating watchlist entry:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a watchlist entry
+   * @param {string} entryId - Watchlist entry ID
+   * @returns {Object} Result
+   */
+  async deleteEntry(entryId) {
+    try {
+      const entry = await SourceWatchlist.findByIdAndDelete(entryId);
+
+      if (!entry) {
+        throw new Error('Watchlist entry not found');
+      }
+
+      return {
+        message: `Stopped watching ${entry.type} ${entry.value} on ${entry.source}`
+      };
+    } catch (error) {
+      logger.error('Error deleting watchlist entry:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new WatchlistService();
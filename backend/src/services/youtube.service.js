@@ -0,0 +1,303 @@
+const Content = require('../models/content.model');
+const logger = require('../utils/logger');
+
+const YOUTUBE_API_URL = 'https://www.googleapis.com/youtube/v3';
+
+// Channel IDs look like UCxxxxxxxxxxxxxxxxxxxxxx, anything else is a handle
+const CHANNEL_ID_PATTERN = /^UC[\w-]{22}$/;
+
+class YouTubeService {
+  constructor() {
+    this.setupClient();
+  }
+
+  /**
+   * Setup YouTube Data API client
+   */
+  setupClient() {
+    this.apiKey = process.env.YOUTUBE_API_KEY;
+
+    // Cache channel lookups, the uploads playlist of a channel never changes
+    this.channels = new Map();
+
+    if (!this.apiKey) {
+      logger.warn('YouTube API key is not configured, YouTube content will not be fetched');
+      return;
+    }
+
+    logger.info('YouTube API client initialized');
+  }
+
+  /**
+   * Send a request to the YouTube Data API
+   * @param {string} path - Resource path, e.g. /videos
+   * @param {Object} params - Query parameters
+   * @returns {Object} Response body
+   * @private
+   */
+  async request(path, params = {}) {
+    if (!this.apiKey) {
+      throw new Error('YouTube API key is not configured');
+    }
+
+    const query = new URLSearchParams({ ...params, key: this.apiKey });
+    const response = await fetch(`${YOUTUBE_API_URL}${path}?${query}`);
+
+    if (!response.ok) {
+      const error = new Error(`YouTube API request failed with status ${response.status}`);
+      error.statusCode = response.status;
+      throw error;
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Look up a channel by handle or channel ID
+   * @param {string} channel - Channel handle (without @) or channel ID
+   * @returns {Object|null} Channel
+   */
+  async getChannel(channel) {
+    const key = channel.toLowerCase();
+
+    if (this.channels.has(key)) {
+      return this.channels.get(key);
+    }
+
+    const response = await this.request('/channels', {
+      part: 'snippet,contentDetails',
+      ...(CHANNEL_ID_PATTERN.test(channel) ? { id: channel } : { forHandle: `@${channel}` })
+    });
+
+    const channelData = response.items?.[0] || null;
+
+    if (channelData) {
+      this.channels.set(key, channelData);
+    }
+
+    return channelData;
+  }
+
+  /**
+   * Fetch the latest uploads from a list of channels
+   * @param {Array} channels - List of channel handles or IDs
+   * @param {number} count - Number of videos to fetch per channel
+   * @returns {Array} Normalized videos
+   */
+  async fetchVideosFromChannels(channels, count = 10) {
+    try {
+      const allVideos = [];
+      let succeeded = 0;
+      let lastError = null;
+
+      for (const channel of channels) {
+        try {
+          // First, get the uploads playlist of the channel
+          const channelData = await this.getChannel(channel);
+
+          if (!channelData) {
+            logger.warn(`YouTube channel not found: ${channel}`);
+            continue;
+          }
+
+          const uploads = await this.request('/playlistItems', {
+            part: 'contentDetails',
+            playlistId: channelData.contentDetails.relatedPlaylists.uploads,
+            maxResults: Math.min(count, 50)
+          });
+          succeeded++;
+
+          const videoIds = (uploads.items || []).map(item => item.contentDetails.videoId);
+
+          if (videoIds.length > 0) {
+            // Playlist items lack statistics, so look the videos up in full
+            const videos = await this.request('/videos', {
+              part: 'snippet,statistics,contentDetails',
+              id: videoIds.join(',')
+            });
+
+            const normalizedVideos = await this.normalizeVideos({
+              videos: videos.items || [],
+              channels: [channelData]
+            });
+            allVideos.push(...normalizedVideos);
+          }
+        } catch (channelError) {
+          logger.error(`Error fetching YouTube videos for channel ${channel}:`, channelError);
+          lastError = channelError;
+          // Continue with other channels
+          continue;
+        }
+      }
+
+      // Every request failing points at an outage or a missing API key rather than bad channels
+      if (lastError && succeeded === 0) {
+        throw lastError;
+      }
+
+      return allVideos;
+    } catch (error) {
+      logger.error('Error fetching YouTube videos from channels:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch videos by ID
+   * @param {Array} videoIds - List of YouTube video IDs
+   * @returns {Array} Normalized videos
+   */
+  async fetchVideosByIds(videoIds) {
+    try {
+      const allVideos = [];
+
+      // The videos endpoint accepts up to 50 IDs per request
+      for (let i = 0; i < videoIds.length; i += 50) {
+        const videos = await this.request('/videos', {
+          part: 'snippet,statistics,contentDetails',
+          id: videoIds.slice(i, i + 50).join(',')
+        });
+
+        const items = videos.items || [];
+
+        if (items.length === 0) {
+          continue;
+        }
+
+        // Look up the channels of this batch for their handles and avatars
+        const channelIds = [...new Set(items.map(video => video.snippet.channelId))];
+        const channels = await this.request('/channels', {
+          part: 'snippet',
+          id: channelIds.join(',')
+        });
+
+        const normalizedVideos = await this.normalizeVideos({
+          videos: items,
+          channels: channels.items || []
+        });
+        allVideos.push(...normalizedVideos);
+      }
+
+      return allVideos;
+    } catch (error) {
+      logger.error('Error fetching YouTube videos by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Normalize YouTube API responses to our content model
+   * @param {Object} payload - Videos and their channels
+   * @returns {Array} Normalized content objects
+   */
+  async normalizeVideos(payload) {
+    try {
+      const { videos = [], channels = [] } = payload;
+      const normalizedVideos = [];
+
+      // Helper function to get channel data
+      const getChannelData = (channelId) => {
+        return channels.find(c => c.id === channelId) || null;
+      };
+
+      for (const video of videos) {
+        const { snippet = {}, statistics = {}, contentDetails = {} } = video;
+
+        // Skip upcoming and live broadcasts, they have no final engagement yet
+        if (snippet.liveBroadcastContent && snippet.liveBroadcastContent !== 'none') {
+          continue;
+        }
+
+        // Get channel data
+        const channel = getChannelData(snippet.channelId);
+        const handle = channel?.snippet?.customUrl?.replace(/^@/, '') || snippet.channelId;
+
+        // Use the largest thumbnail available
+        const thumbnails = snippet.thumbnails || {};
+        const thumbnail = ['maxres', 'standard', 'high', 'medium', 'default']
+          .map(size => thumbnails[size])
+          .find(Boolean);
+
+        const likes = parseInt(statistics.likeCount) || 0;
+        const comments = parseInt(statistics.commentCount) || 0;
+
+        // Create content object
+        const contentObj = {
+          source: 'youtube',
+          sourceId: video.id,
+          sourceUsername: handle,
+          sourceName: snippet.channelTitle,
+          sourceProfileImage: channel?.snippet?.thumbnails?.default?.url,
+          contentType: 'video',
+          title: snippet.title,
+          text: snippet.description || '',
+          mediaUrls: thumbnail ? [thumbnail.url] : [],
+          mediaTypes: thumbnail ? ['image'] : [],
+          categories: snippet.tags || [],
+          url: `https://www.youtube.com/watch?v=${video.id}`,
+          engagement: {
+            likes,
+            comments,
+            shares: 0, // YouTube doesn't provide shares count
+            totalEngagement: likes + comments
+          },
+          contentCreatedAt: new Date(snippet.publishedAt),
+          cacheExpiration: new Date(Date.now() + 24 * 60 * 60 * 1000), // 24 hours
+          metadata: {
+            channelId: snippet.channelId,
+            views: parseInt(statistics.viewCount) || 0,
+            duration: contentDetails.duration,
+            durationSeconds: this.parseDuration(contentDetails.duration),
+            linkUrl: `https://www.youtube.com/watch?v=${video.id}`
+          }
+        };
+
+        normalizedVideos.push(contentObj);
+      }
+
+      return normalizedVideos;
+    } catch (error) {
+      logger.error('Error normalizing YouTube videos:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Convert an ISO 8601 duration such as PT1H2M3S to seconds
+   * @param {string} duration - ISO 8601 duration
+   * @returns {number|null} Duration in seconds
+   * @private
+   */
+  parseDuration(duration) {
+    const match = /^P(?:(\d+)D)?T?(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?$/.exec(duration || '');
+
+    if (!match) {
+      return null;
+    }
+
+    const [days, hours, minutes, seconds] = match.slice(1).map(value => parseInt(value) || 0);
+    return ((days * 24 + hours) * 60 + minutes) * 60 + seconds;
+  }
+
+  /**
+   * Save YouTube videos to database
+   * @param {Array} videos - Normalized video objects
+   * @returns {Object} Inserted, updated and failed counts
+   */
+  async saveVideosToDatabase(videos) {
+    try {
+      const result = await Content.bulkUpsert(videos);
+
+      if (result.failed > 0) {
+        logger.warn(`${result.failed} of ${videos.length} YouTube videos could not be saved`);
+      }
+
+      return result;
+    } catch (error) {
+      logger.error('Error saving YouTube videos to database:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new YouTubeService();
@@ -0,0 +1,218 @@
+const mongoose = require('mongoose');
+
+/**
+ * Opaque cursors for keyset pagination.
+ *
+ * A cursor stores the sort field names and the sort values of the last item
+ * on a page, so the next page starts strictly after it regardless of content
+ * inserted in the meantime. Sorts always end with _id to break ties.
+ *
+ * Sorts on values computed per request, such as a score decaying with age,
+ * also store the inputs they were computed from (the snapshot), so later pages
+ * compute the same values the cursor was built from.
+ */
+
+/**
+ * Parse a mongoose sort string such as "-savedAt folder" into a sort object
+ * @param {string|Object} sort - Sort string or object
+ * @returns {Object} Sort object ending with an _id tie breaker
+ */
+const normalizeSort = (sort) => {
+  let sortObj = sort;
+
+  if (typeof sort === 'string') {
+    sortObj = sort.split(/\s+/).filter(Boolean).reduce((result, field) => {
+      if (field.startsWith('-')) {
+        result[field.slice(1)] = -1;
+      } else {
+        result[field] = 1;
+      }
+      return result;
+    }, {});
+  }
+
+  if (sortObj._id === undefined) {
+    const lastDirection = Object.values(sortObj).pop() || -1;
+    sortObj = { ...sortObj, _id: lastDirection };
+  }
+
+  return sortObj;
+};
+
+/**
+ * Read a possibly nested field from a document or plain object
+ * @private
+ */
+const getValue = (item, path) => {
+  if (item && typeof item.get === 'function') {
+    return item.get(path);
+  }
+
+  return path.split('.').reduce((value, key) => (value == null ? value : value[key]), item);
+};
+
+/**
+ * Serialize a sort value, keeping the types JSON would lose
+ * @private
+ */
+const serializeValue = (value) => {
+  if (value instanceof Date) return { $d: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { $o: value.toString() };
+  if (value && value._id instanceof mongoose.Types.ObjectId) return { $o: value._id.toString() };
+  return value === undefined ? null : value;
+};
+
+/**
+ * Restore a serialized sort value
+ * @private
+ */
+const deserializeValue = (value) => {
+  if (value && value.$d) return new Date(value.$d);
+  if (value && value.$o) return new mongoose.Types.ObjectId(value.$o);
+  return value;
+};
+
+/**
+ * Encode a cursor pointing after an item
+ * @param {Object} item - Last item of the page
+ * @param {Object} sort - Normalized sort object
+ * @param {Object} snapshot - Optional values the sort was computed from
+ * @returns {string} Opaque cursor token
+ */
+const encodeCursor = (item, sort, snapshot = null) => {
+  const payload = {
+    k: Object.keys(sort),
+    v: Object.keys(sort).map(field => serializeValue(getValue(item, field)))
+  };
+
+  if (snapshot) {
+    payload.s = Object.fromEntries(Object.entries(snapshot).map(([key, value]) => [key, serializeValue(value)]));
+  }
+
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decode a cursor token for the given sort
+ * @param {string} token - Cursor token
+ * @param {Object} sort - Normalized sort object
+ * @returns {Array} Sort values of the item the cursor points after
+ */
+const decodeCursor = (token, sort) => {
+  try {
+    const payload = JSON.parse(Buffer.from(token, 'base64url').toString());
+
+    // A cursor is only valid for the sort order it was created with
+    if (payload.k.join(',') !== Object.keys(sort).join(',')) {
+      throw new Error('Cursor does not match sort order');
+    }
+
+    return payload.v.map(deserializeValue);
+  } catch (error) {
+    const cursorError = new Error('Invalid pagination cursor');
+    cursorError.statusCode = 400;
+    throw cursorError;
+  }
+};
+
+/**
+ * Read the snapshot stored in a cursor token
+ * @param {string} token - Cursor token
+ * @returns {Object|null} Snapshot values, or null if the cursor has none
+ */
+const decodeCursorSnapshot = (token) => {
+  try {
+    const { s: snapshot } = JSON.parse(Buffer.from(token, 'base64url').toString());
+
+    if (!snapshot) {
+      return null;
+    }
+
+    return Object.fromEntries(Object.entries(snapshot).map(([key, value]) => [key, deserializeValue(value)]));
+  } catch (error) {
+    const cursorError = new Error('Invalid pagination cursor');
+    cursorError.statusCode = 400;
+    throw cursorError;
+  }
+};
+
+/**
+ * Condition matching values sorted strictly after a value. MongoDB sorts null
+ * and missing values lowest, so they come last in descending order
+ * @private
+ */
+const getAfterCondition = (field, direction, value) => {
+  if (value === null) {
+    // Nothing sorts below null, and in ascending order every other value follows it
+    return direction === -1 ? null : { [field]: { $ne: null } };
+  }
+
+  if (direction === -1 && field !== '_id') {
+    return { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+  }
+
+  return { [field]: { [direction === -1 ? '$lt' : '$gt']: value } };
+};
+
+/**
+ * Restrict a query to items after a cursor
+ * @param {Object} query - Query conditions
+ * @param {Object} sort - Normalized sort object
+ * @param {string} after - Cursor token
+ * @returns {Object} Query conditions
+ */
+const applyCursor = (query, sort, after) => {
+  if (!after) {
+    return query;
+  }
+
+  const fields = Object.keys(sort);
+  const values = decodeCursor(after, sort);
+
+  // (a > x) OR (a = x AND b > y) OR (a = x AND b = y AND _id > z) ...
+  const conditions = fields.map((field, index) => {
+    const afterCondition = getAfterCondition(field, sort[field], values[index]);
+
+    if (!afterCondition) {
+      return null;
+    }
+
+    const condition = {};
+
+    fields.slice(0, index).forEach((previousField, previousIndex) => {
+      condition[previousField] = values[previousIndex];
+    });
+
+    return { ...condition, ...afterCondition };
+  }).filter(Boolean);
+
+  return { $and: [query, { $or: conditions }] };
+};
+
+/**
+ * Trim a result set fetched with limit + 1 and build the next cursor
+ * @param {Array} items - Items fetched with one extra item
+ * @param {number} limit - Page size
+ * @param {Object} sort - Normalized sort object
+ * @param {Object} snapshot - Optional values the sort was computed from
+ * @returns {Object} Page items and next cursor
+ */
+const paginateResults = (items, limit, sort, snapshot = null) => {
+  const hasMore = items.length > limit;
+  const pageItems = hasMore ? items.slice(0, limit) : items;
+
+  return {
+    items: pageItems,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(pageItems[pageItems.length - 1], sort, snapshot) : null
+  };
+};
+
+module.exports = {
+  normalizeSort,
+  encodeCursor,
+  decodeCursor,
+  decodeCursorSnapshot,
+  applyCursor,
+  paginateResults
+};
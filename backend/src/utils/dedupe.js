@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+
+/**
+ * Helpers for spotting the same story across sources.
+ *
+ * Links are compared by canonical URL. Text is compared with a 64-bit SimHash,
+ * where near-identical texts differ in only a few bits. The hash is split into
+ * bands so candidates can be found with an index: two hashes within
+ * MAX_HASH_DISTANCE bits of each other share at least one band.
+ */
+
+// Hashes differing in at most this many bits are treated as the same text
+const MAX_HASH_DISTANCE = 3;
+
+const HASH_BANDS = MAX_HASH_DISTANCE + 1;
+
+// Texts shorter than this many words are too generic to compare
+const MIN_HASH_WORDS = 8;
+
+// Query parameters that only track where a click came from
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|mc_cid|mc_eid|ref|ref_src|igshid|si)$/i;
+
+/**
+ * Reduce a URL to a canonical form shared by every copy of a link
+ * @param {string} url - URL
+ * @returns {string|null} Canonical URL
+ */
+const canonicalizeUrl = (url) => {
+  let parsed;
+
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return null;
+  }
+
+  let host = parsed.hostname.toLowerCase().replace(/^(www|m|mobile|amp)\./, '');
+  let pathname = parsed.pathname.replace(/\/amp\/?$/, '').replace(/\/+$/, '');
+
+  // Short links point at the same video as the full URL
+  if (host === 'youtu.be') {
+    parsed.searchParams.set('v', pathname.slice(1));
+    host = 'youtube.com';
+    pathname = '/watch';
+  }
+
+  const params = [...parsed.searchParams.entries()]
+    .filter(([key]) => !TRACKING_PARAMS.test(key))
+    .sort(([a], [b]) => a.localeCompare(b));
+
+  const query = new URLSearchParams(params).toString();
+
+  return `https://${host}${pathname}${query ? `?${query}` : ''}`;
+};
+
+/**
+ * Split text into lowercase words, ignoring links and punctuation
+ * @private
+ */
+const tokenize = (text) => {
+  return text
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+};
+
+/**
+ * Compute the SimHash of a text from its words
+ *
+ * Single words keep the hash stable when a copy adds or drops a word or two,
+ * which longer shingles would not.
+ * @param {string} text - Text
+ * @returns {string|null} 64-bit hash as 16 hex characters
+ */
+const simhash = (text = '') => {
+  const words = tokenize(text);
+
+  if (words.length < MIN_HASH_WORDS) {
+    return null;
+  }
+
+  const weights = new Array(64).fill(0);
+
+  for (const word of words) {
+    const digest = crypto.createHash('md5').update(word).digest();
+    const hash = digest.readBigUInt64BE(0);
+
+    for (let bit = 0; bit < 64; bit++) {
+      weights[bit] += (hash >> BigInt(bit)) & 1n ? 1 : -1;
+    }
+  }
+
+  const fingerprint = weights.reduce(
+    (result, weight, bit) => (weight > 0 ? result | (1n << BigInt(bit)) : result),
+    0n
+  );
+
+  return fingerprint.toString(16).padStart(16, '0');
+};
+
+/**
+ * Split a hash into indexable bands
+ * @param {string} hash - Hash from simhash()
+ * @returns {Array} Bands such as "0:1a2b"
+ */
+const getHashBands = (hash) => {
+  if (!hash) {
+    return [];
+  }
+
+  const size = hash.length / HASH_BANDS;
+
+  return Array.from({ length: HASH_BANDS }, (value, index) => {
+    return `${index}:${hash.slice(index * size, (index + 1) * size)}`;
+  });
+};
+
+/**
+ * Count the bits that differ between two hashes
+ * @param {string} a - Hash
+ * @param {string} b - Hash
+ * @returns {number} Hamming distance
+ */
+const hashDistance = (a, b) => {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let distance = 0;
+
+  while (diff > 0n) {
+    distance += Number(diff & 1n);
+    diff >>= 1n;
+  }
+
+  return distance;
+};
+
+/**
+ * Check whether two hashes belong to near-identical texts
+ * @param {string} a - Hash
+ * @param {string} b - Hash
+ * @returns {boolean} Whether the texts match
+ */
+const isNearDuplicate = (a, b) => {
+  return Boolean(a && b) && hashDistance(a, b) <= MAX_HASH_DISTANCE;
+};
+
+module.exports = {
+  canonicalizeUrl,
+  simhash,
+  getHashBands,
+  hashDistance,
+  isNearDuplicate
+};
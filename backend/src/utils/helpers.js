@@ -0,0 +1,139 @@
+const logger = require('./logger');
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} value - Raw string
+ * @returns {string} Escaped string
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Longest user-supplied pattern run against stored content
+const MAX_PATTERN_LENGTH = 100;
+
+/**
+ * Check a user-supplied regular expression before it runs against stored
+ * content. Backreferences and repeated groups that themselves repeat or
+ * alternate can backtrack exponentially, and several unbounded quantifiers
+ * polynomially (as in .*.*.*x), so they are rejected
+ * @param {string} pattern - Regular expression source
+ * @returns {string|null} Why the pattern is rejected, or null if it is safe
+ */
+const getUnsafePatternReason = (pattern) => {
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    return `Pattern cannot exceed ${MAX_PATTERN_LENGTH} characters`;
+  }
+
+  try {
+    new RegExp(pattern, 'i');
+  } catch (error) {
+    return 'Invalid regular expression';
+  }
+
+  // Whether each open group contains a quantifier or an alternation
+  const groups = [];
+  let lastGroupRepeats = false;
+  let unboundedQuantifiers = 0;
+  let inClass = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    const isQuantifier = '*+?{'.includes(char);
+
+    if (char === '\\') {
+      const next = pattern[i + 1];
+      if (/[1-9]/.test(next) || next === 'k') {
+        return 'Backreferences are not allowed';
+      }
+      i++;
+    } else if (inClass) {
+      inClass = char !== ']';
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push(false);
+    } else if (char === ')') {
+      lastGroupRepeats = groups.pop();
+      if (lastGroupRepeats && groups.length > 0) {
+        groups[groups.length - 1] = true;
+      }
+      continue;
+    } else if (char === '|' && groups.length > 0) {
+      groups[groups.length - 1] = true;
+    } else if (isQuantifier) {
+      // Group modifiers such as (?: and lazy markers after a quantifier are not quantifiers
+      if (char === '?' && '(*+?}'.includes(pattern[i - 1])) {
+        continue;
+      }
+      // An optional group matches at most once, whatever it contains
+      if (lastGroupRepeats && char !== '?') {
+        return 'Nested quantifiers are not allowed';
+      }
+      if ((char === '*' || char === '+' || /^\{\d+,\}/.test(pattern.slice(i))) && ++unboundedQuantifiers > 1) {
+        return 'Only one unbounded quantifier (*, + or {n,}) is allowed';
+      }
+      if (groups.length > 0) {
+        groups[groups.length - 1] = true;
+      }
+    }
+
+    lastGroupRepeats = false;
+  }
+
+  return null;
+};
+
+/**
+ * Group watchlist entries by the number of items to fetch, so sources can
+ * fetch every entry with the same count in one call
+ * @param {Array} entries - Watchlist entries ({ value, count })
+ * @param {number} defaultCount - Count of entries without their own
+ * @returns {Map} Count => watched values
+ */
+const groupByCount = (entries, defaultCount) => {
+  const groups = new Map();
+
+  entries.forEach(entry => {
+    const count = entry.count || defaultCount;
+    groups.set(count, [...(groups.get(count) || []), entry.value]);
+  });
+
+  return groups;
+};
+
+/**
+ * Fetch watchlist entries one count group at a time. A failing group is logged
+ * and skipped so the items of the other groups are kept; the fetch only fails
+ * when every group did
+ * @param {Array} entries - Watchlist entries ({ value, count })
+ * @param {number} defaultCount - Count of entries without their own
+ * @param {Function} fetchGroup - Fetches (values, count) and resolves to items
+ * @returns {Promise<Array>} Items fetched by the groups that succeeded
+ */
+const fetchByCount = async (entries, defaultCount, fetchGroup) => {
+  const items = [];
+  let succeeded = 0;
+  let lastError = null;
+
+  for (const [count, values] of groupByCount(entries, defaultCount)) {
+    try {
+      items.push(...await fetchGroup(values, count));
+      succeeded++;
+    } catch (error) {
+      logger.error(`Error fetching ${count} items each from ${values.join(', ')}:`, error);
+      lastError = error;
+    }
+  }
+
+  if (lastError && succeeded === 0) {
+    throw lastError;
+  }
+
+  return items;
+};
+
+module.exports = {
+  escapeRegex,
+  fetchByCount,
+  getUnsafePatternReason,
+  groupByCount
+};
@@ -0,0 +1,91 @@
+const { escapeRegex } = require('./helpers');
+
+// Characters of context shown around the first match in a snippet
+const SNIPPET_CONTEXT_BEFORE = 60;
+const SNIPPET_LENGTH = 200;
+
+/**
+ * Split a search query into terms, quoted phrases and negated terms,
+ * following MongoDB $text search syntax
+ * @param {string} query - Raw search query
+ * @returns {Object} Parsed query
+ */
+const parseSearchQuery = (query) => {
+  const phrases = [];
+  const terms = [];
+  const excluded = [];
+
+  const remainder = query.replace(/(-?)"([^"]+)"/g, (match, negated, phrase) => {
+    (negated ? excluded : phrases).push(phrase.trim());
+    return ' ';
+  });
+
+  remainder.split(/\s+/).filter(Boolean).forEach(token => {
+    if (token.startsWith('-') && token.length > 1) {
+      excluded.push(token.slice(1));
+    } else if (token !== '-') {
+      terms.push(token);
+    }
+  });
+
+  return { terms, phrases, excluded };
+};
+
+/**
+ * Build highlighted snippets for fields that match a parsed search query
+ * @param {Object} item - Content object
+ * @param {Object} parsedQuery - Result of parseSearchQuery
+ * @param {Array} fields - Fields to highlight
+ * @returns {Array} Highlights as { field, snippet, matches: [[start, end]] }
+ */
+const buildHighlights = (item, parsedQuery, fields = ['title', 'text']) => {
+  const patterns = [
+    ...parsedQuery.phrases.map(phrase => escapeRegex(phrase)),
+    // Text search matches word stems, so highlight words starting with each term
+    ...parsedQuery.terms.map(term => `\\b${escapeRegex(term)}\\w*`)
+  ];
+
+  if (patterns.length === 0) {
+    return [];
+  }
+
+  const matcher = new RegExp(patterns.join('|'), 'gi');
+  const highlights = [];
+
+  fields.forEach(field => {
+    const value = item[field];
+
+    if (!value || typeof value !== 'string') {
+      return;
+    }
+
+    const matches = Array.from(value.matchAll(matcher))
+      .map(match => [match.index, match.index + match[0].length]);
+
+    if (matches.length === 0) {
+      return;
+    }
+
+    // Cut a window around the first match, marking truncation with ellipses
+    const start = Math.max(0, matches[0][0] - SNIPPET_CONTEXT_BEFORE);
+    const end = Math.min(value.length, start + SNIPPET_LENGTH);
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < value.length ? '…' : '';
+    const offset = prefix.length - start;
+
+    highlights.push({
+      field,
+      snippet: `${prefix}${value.slice(start, end)}${suffix}`,
+      matches: matches
+        .filter(([matchStart, matchEnd]) => matchStart >= start && matchEnd <= end)
+        .map(([matchStart, matchEnd]) => [matchStart + offset, matchEnd + offset])
+    });
+  });
+
+  return highlights;
+};
+
+module.exports = {
+  parseSearchQuery,
+  buildHighlights
+};
@@ -0,0 +1,114 @@
+/**
+ * Offline, lexicon-based sentiment scoring.
+ *
+ * Words are scored from -5 (very negative) to +5 (very positive), in the style
+ * of the AFINN lexicon. A negation flips the next few words and an intensifier
+ * strengthens the next word. The total is divided by the number of words, so
+ * long texts with a single strong word stay close to neutral.
+ */
+
+const LEXICON = {
+  // Positive
+  amazing: 4, awesome: 4, beautiful: 3, best: 3, better: 2, brilliant: 4,
+  celebrate: 3, congrats: 3, congratulations: 3, cool: 1, delighted: 3,
+  easy: 1, effective: 2, enjoy: 2, excellent: 3, excited: 3, exciting: 3,
+  fantastic: 4, fast: 1, favorite: 2, fun: 2, glad: 2, good: 3, grateful: 3,
+  great: 3, happy: 3, helpful: 2, impressive: 3, improve: 2, improved: 2,
+  incredible: 4, inspiring: 3, interesting: 2, love: 3, loved: 3, lovely: 3,
+  nice: 3, perfect: 3, pleased: 3, proud: 2, recommend: 2, reliable: 2,
+  solid: 2, success: 2, successful: 3, superb: 5, thank: 2, thanks: 2,
+  thrilled: 5, useful: 2, win: 4, winner: 4, wins: 4, wonderful: 4, wow: 4,
+  // Negative
+  abuse: -3, angry: -3, annoying: -2, awful: -3, bad: -3, boring: -3,
+  broke: -1, broken: -1, bug: -2, bugs: -2, crash: -2, crashes: -2,
+  crisis: -3, disappointed: -2, disappointing: -2, disaster: -2, fail: -2,
+  failed: -2, failure: -2, fake: -3, fear: -2, fraud: -4, hate: -3,
+  hated: -3, horrible: -3, hurt: -2, kill: -3, killed: -3, lawsuit: -2,
+  lie: -2, lies: -2, lose: -3, loss: -3, lost: -3, outage: -2, pain: -2,
+  poor: -2, problem: -2, problems: -2, sad: -2, scam: -2, scandal: -3,
+  slow: -2, sucks: -3, terrible: -3, threat: -2, ugly: -3, unfair: -2,
+  useless: -2, waste: -1, worse: -3, worst: -3, wrong: -2
+};
+
+const NEGATIONS = new Set([
+  'not', 'no', 'never', 'none', 'nobody', 'nothing', 'neither', 'nor',
+  'cannot', 'cant', 'dont', 'doesnt', 'didnt', 'isnt', 'wasnt', 'wont',
+  'wouldnt', 'shouldnt', 'arent', 'aint', 'hardly'
+]);
+
+const INTENSIFIERS = {
+  very: 1.5, really: 1.5, so: 1.3, extremely: 2, super: 1.5, incredibly: 2,
+  totally: 1.5, absolutely: 1.5, quite: 1.2, pretty: 1.1
+};
+
+// Words after a negation that it still applies to
+const NEGATION_SCOPE = 3;
+
+// Comparative scores beyond these bounds are labeled positive or negative
+const POSITIVE_THRESHOLD = 0.05;
+const NEGATIVE_THRESHOLD = -0.05;
+
+/**
+ * Split text into lowercase words, dropping apostrophes so "don't" reads as "dont"
+ * @private
+ */
+const tokenize = (text) => {
+  return text
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/['’]/g, '')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+};
+
+/**
+ * Score the sentiment of a text
+ * @param {string} text - Text to score
+ * @returns {Object} Comparative score and sentiment label
+ */
+const scoreSentiment = (text = '') => {
+  const words = tokenize(text);
+
+  if (words.length === 0) {
+    return { score: 0, sentiment: 'unknown' };
+  }
+
+  let total = 0;
+  let negatedWords = 0;
+  let multiplier = 1;
+
+  for (const word of words) {
+    if (NEGATIONS.has(word)) {
+      negatedWords = NEGATION_SCOPE;
+      continue;
+    }
+
+    if (INTENSIFIERS[word]) {
+      multiplier = INTENSIFIERS[word];
+      continue;
+    }
+
+    if (LEXICON[word]) {
+      total += LEXICON[word] * multiplier * (negatedWords > 0 ? -1 : 1);
+    }
+
+    multiplier = 1;
+    negatedWords = Math.max(0, negatedWords - 1);
+  }
+
+  const score = Math.round((total / words.length) * 1000) / 1000;
+
+  let sentiment = 'neutral';
+  if (score >= POSITIVE_THRESHOLD) {
+    sentiment = 'positive';
+  } else if (score <= NEGATIVE_THRESHOLD) {
+    sentiment = 'negative';
+  }
+
+  return { score, sentiment };
+};
+
+module.exports = {
+  scoreSentiment
+};
@@ -0,0 +1,160 @@
+/**
+ * Term extraction and the topic taxonomy used to categorize content.
+ *
+ * Text is split into unigram and bigram terms with stopwords removed. Terms,
+ * hashtags and other tags supplied by sources are mapped onto the canonical
+ * topics below, so "ML", "#MachineLearning" and "neural network" all end up
+ * in the "ai" category.
+ */
+
+const STOPWORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'against', 'all', 'almost', 'also', 'am', 'an', 'and',
+  'announcing', 'any', 'anyone', 'anything', 'are', 'around', 'as', 'at', 'be', 'because', 'been',
+  'before', 'being', 'below', 'best', 'between', 'big', 'both', 'but', 'by', 'can', 'could', 'day',
+  'did', 'do', 'does', 'doing', 'done', 'down', 'during', 'each', 'even', 'ever', 'every', 'few',
+  'first', 'for', 'from', 'further', 'get', 'gets', 'getting', 'give', 'go', 'going', 'good', 'got',
+  'great', 'had', 'has', 'have', 'having', 'he', 'her', 'here', 'hers', 'herself', 'him', 'himself',
+  'his', 'how', 'i', 'if', 'im', 'in', 'into', 'is', 'it', 'its', 'itself', 'just', 'know', 'last',
+  'like', 'little', 'look', 'looking', 'lot', 'made', 'make', 'makes', 'making', 'many', 'may', 'me',
+  'might', 'more', 'most', 'much', 'must', 'my', 'myself', 'need', 'never', 'new', 'next', 'no',
+  'nor', 'not', 'now', 'of', 'off', 'on', 'once', 'one', 'only', 'or', 'other', 'our', 'ours',
+  'ourselves', 'out', 'over', 'own', 'people', 'post', 'really', 'right', 'said', 'same', 'say',
+  'says', 'see', 'she', 'should', 'since', 'so', 'some', 'someone', 'something', 'still', 'such',
+  'take', 'than', 'that', 'thats', 'the', 'their', 'theirs', 'them', 'themselves', 'then', 'there',
+  'these', 'they', 'thing', 'things', 'think', 'this', 'those', 'though', 'through', 'time', 'to',
+  'today', 'too', 'two', 'under', 'until', 'up', 'us', 'use', 'used', 'using', 'very', 'via', 'want',
+  'was', 'way', 'we', 'week', 'well', 'were', 'what', 'when', 'where', 'which', 'while', 'who',
+  'whom', 'why', 'will', 'with', 'without', 'would', 'year', 'years', 'yes', 'yet', 'you', 'your',
+  'yours', 'yourself', 'yourselves'
+]);
+
+// Canonical topic => terms that indicate it
+const TAXONOMY = {
+  ai: ['ai', 'artificial intelligence', 'machine learning', 'ml', 'deep learning', 'neural network', 'llm', 'llms', 'chatgpt', 'gpt', 'openai', 'generative ai', 'genai'],
+  programming: ['programming', 'coding', 'developer', 'developers', 'software engineering', 'javascript', 'typescript', 'python', 'rust', 'golang', 'java', 'github', 'open source', 'opensource'],
+  'web development': ['web development', 'webdev', 'frontend', 'backend', 'react', 'nextjs', 'nodejs', 'css', 'html'],
+  mobile: ['ios', 'android', 'iphone', 'mobile app', 'mobile apps', 'smartphone'],
+  cybersecurity: ['cybersecurity', 'security', 'infosec', 'malware', 'ransomware', 'vulnerability', 'data breach', 'phishing', 'hacker', 'hackers'],
+  cloud: ['cloud', 'aws', 'azure', 'gcp', 'kubernetes', 'docker', 'devops', 'serverless'],
+  'data science': ['data science', 'datascience', 'analytics', 'big data', 'data analysis', 'statistics', 'visualization'],
+  crypto: ['crypto', 'cryptocurrency', 'bitcoin', 'btc', 'ethereum', 'eth', 'blockchain', 'web3', 'nft', 'nfts', 'defi'],
+  startups: ['startup', 'startups', 'founder', 'founders', 'venture capital', 'vc', 'seed round', 'series a', 'entrepreneur', 'entrepreneurship'],
+  business: ['business', 'earnings', 'revenue', 'acquisition', 'merger', 'ceo', 'layoffs', 'company'],
+  finance: ['finance', 'stocks', 'stock market', 'investing', 'investment', 'inflation', 'interest rates', 'economy', 'fed'],
+  marketing: ['marketing', 'seo', 'advertising', 'branding', 'growth hacking', 'content marketing', 'social media marketing'],
+  'creator economy': ['creator', 'creators', 'creator economy', 'influencer', 'influencers', 'youtuber', 'newsletter', 'podcast', 'monetization'],
+  design: ['design', 'ux', 'ui', 'user experience', 'figma', 'typography', 'graphic design'],
+  gaming: ['gaming', 'video game', 'video games', 'playstation', 'xbox', 'nintendo', 'steam', 'esports', 'gamer'],
+  science: ['science', 'research', 'physics', 'biology', 'chemistry', 'study', 'scientists'],
+  space: ['space', 'nasa', 'spacex', 'rocket', 'mars', 'astronomy', 'satellite', 'telescope'],
+  health: ['health', 'fitness', 'nutrition', 'mental health', 'medicine', 'covid', 'vaccine', 'wellness'],
+  climate: ['climate', 'climate change', 'renewable energy', 'solar', 'emissions', 'sustainability', 'electric vehicle', 'electric vehicles', 'ev', 'evs'],
+  politics: ['politics', 'election', 'elections', 'government', 'congress', 'senate', 'policy', 'regulation'],
+  sports: ['sports', 'football', 'soccer', 'nba', 'nfl', 'basketball', 'baseball', 'tennis', 'olympics', 'cricket'],
+  music: ['music', 'album', 'song', 'songs', 'concert', 'spotify', 'musician'],
+  movies: ['movie', 'movies', 'film', 'films', 'netflix', 'tv show', 'series', 'trailer', 'box office'],
+  gadgets: ['gadgets', 'hardware', 'laptop', 'macbook', 'smartwatch', 'headphones', 'camera', 'tech review'],
+  careers: ['career', 'careers', 'hiring', 'job', 'jobs', 'interview', 'remote work', 'resume', 'salary'],
+  education: ['education', 'online learning', 'course', 'courses', 'tutorial', 'students', 'university']
+};
+
+// Reverse lookup from indicating term to canonical topic
+const TERM_TOPICS = Object.entries(TAXONOMY).reduce((lookup, [topic, terms]) => {
+  terms.forEach(term => {
+    lookup[term] = topic;
+  });
+  lookup[topic] = topic;
+  return lookup;
+}, {});
+
+/**
+ * Split a tag such as "MachineLearning" or "machine_learning" into words
+ * @param {string} tag - Hashtag, subreddit or feed category
+ * @returns {string} Lowercase words separated by spaces
+ */
+const splitTag = (tag) => {
+  return tag
+    .replace(/^[#@]/, '')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .replace(/[_-]+/g, ' ')
+    .toLowerCase()
+    .trim();
+};
+
+/**
+ * Split text into lowercase words, ignoring links and punctuation
+ * @private
+ */
+const tokenize = (text) => {
+  return text
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/['’]/g, '')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+};
+
+/**
+ * Check whether a word can be part of a term
+ * @private
+ */
+const isTermWord = (word) => {
+  return word.length > 1 && !STOPWORDS.has(word) && !/^\d+$/.test(word);
+};
+
+/**
+ * Count the unigram and bigram terms of a text
+ * @param {string} text - Text
+ * @returns {Map} Term => number of occurrences
+ */
+const extractTerms = (text = '') => {
+  const words = tokenize(text);
+  const terms = new Map();
+
+  const add = (term) => terms.set(term, (terms.get(term) || 0) + 1);
+
+  words.forEach((word, index) => {
+    if (!isTermWord(word)) return;
+
+    add(word);
+
+    const next = words[index + 1];
+    if (next && isTermWord(next)) {
+      add(`${word} ${next}`);
+    }
+  });
+
+  return terms;
+};
+
+/**
+ * Map terms onto canonical taxonomy topics
+ * @param {Iterable} terms - Terms or split tags
+ * @returns {Array} Canonical topics
+ */
+const matchTopics = (terms) => {
+  const topics = new Set();
+
+  for (const term of terms) {
+    if (TERM_TOPICS[term]) {
+      topics.add(TERM_TOPICS[term]);
+    }
+  }
+
+  return [...topics];
+};
+
+/**
+ * Get the canonical taxonomy topics
+ * @returns {Array} Topics
+ */
+const getTopics = () => Object.keys(TAXONOMY);
+
+module.exports = {
+  STOPWORDS,
+  splitTag,
+  extractTerms,
+  matchTopics,
+  getTopics
+};
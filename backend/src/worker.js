@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+const IngestionService = require('./services/ingestion.service');
+const CacheService = require('./services/cache.service');
+const logger = require('./utils/logger');
+
+// Connect to MongoDB and start the ingestion scheduler
+mongoose.connect(process.env.MONGODB_URI, {
+  useNewUrlParser: true,
+  useUnifiedTopology: true,
+})
+  .then(async () => {
+    logger.info('Ingestion worker connected to MongoDB');
+    
+    // Without Redis each process has its own cache, so the API keeps serving what it cached before a refresh
+    if (!process.env.REDIS_URI) {
+      logger.warn('REDIS_URI not set: ingestion will not invalidate the API server\'s cache until its entries expire. Set REDIS_URI for both processes or run the scheduler in the API server with RUN_INGESTION_SCHEDULER=true');
+    }
+    
+    // Connect to the shared cache before the first run, so it invalidates the API's cached responses
+    await CacheService.connect();
+    IngestionService.start();
+  })
+  .catch((err) => {
+    logger.error('MongoDB connection error:', err);
+    process.exit(1);
+  });
+
+// Stop scheduling new runs and close the connection on shutdown
+const shutdown = async (signal) => {
+  logger.info(`Ingestion worker received ${signal}, shutting down`);
+  IngestionService.stop();
+  await CacheService.disconnect();
+  await mongoose.connection.close();
+  process.exit(0);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+// Handle unhandled promise rejections
+process.on('unhandledRejection', (reason, promise) => {
+  logger.error('Unhandled Rejection at:', promise, 'reason:', reason);
+});
@@ -0,0 +1,67 @@
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { startSourceApiServer } = require('../src/mocks/sourceApi');
+const { useMemoryDatabase } = require('./support/memoryDatabase');
+
+describe('ingestion through to /api/feed', () => {
+  let server;
+  let app;
+  let collection;
+  let token;
+
+  beforeAll(async () => {
+    server = await startSourceApiServer(0);
+    process.env.SOURCE_API_MOCK_URL = `http://localhost:${server.address().port}`;
+    process.env.JWT_SECRET = 'test-secret';
+
+    app = require('../src/server');
+    collection = useMemoryDatabase();
+
+    const User = require('../src/models/user.model');
+    const user = await User.create({
+      email: 'reader@example.com',
+      password: 'not-used-by-this-suite',
+      isEmailVerified: true,
+      follows: [{ source: 'twitter', type: 'account', value: 'aiweekly' }]
+    });
+    token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET);
+  });
+
+  afterAll(async () => {
+    delete process.env.SOURCE_API_MOCK_URL;
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('serves the tweets of followed accounts after a refresh', async () => {
+    const refresh = await request(app)
+      .post('/api/feed/refresh')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ sources: ['twitter'] })
+      .expect(200);
+
+    expect(refresh.body.results.sources.twitter).toMatchObject({ status: 'completed', fetched: 2, saved: 2 });
+    expect(collection('IngestionRun').docs).toHaveLength(1);
+
+    const feed = await request(app)
+      .get('/api/feed')
+      .query({ sources: 'twitter', following: 'true' })
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(feed.body.feed.map(item => item.sourceId)).toEqual(['5004', '5005']);
+    expect(feed.body.feed.every(item => item.isFollowed)).toBe(true);
+    expect(feed.body.pagination).toMatchObject({ total: 2, hasMore: false });
+  });
+
+  it('ranks the ingested tweets in the personalized feed', async () => {
+    const feed = await request(app)
+      .get('/api/feed')
+      .query({ sources: 'twitter', sortBy: 'personalized', debug: 'true' })
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(feed.body.feed.map(item => item.sourceId).sort()).toEqual(['5004', '5005']);
+    expect(feed.body.feed.every(item => item.rankingScore > 0)).toBe(true);
+  });
+});
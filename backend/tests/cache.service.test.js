@@ -0,0 +1,145 @@
+const CacheService = require('../src/services/cache.service');
+
+// Load a fresh cache service, picking up the current environment
+const loadCacheService = () => {
+  let service;
+  jest.isolateModules(() => {
+    service = require('../src/services/cache.service');
+  });
+  return service;
+};
+
+// Stand-in for a connected Redis client
+const createRedisClient = (keys = []) => ({
+  isReady: true,
+  get: jest.fn().mockResolvedValue(null),
+  set: jest.fn().mockResolvedValue('OK'),
+  del: jest.fn(async (batch) => batch.length),
+  scanIterator: jest.fn(async function* () {
+    yield* keys;
+  })
+});
+
+describe('CacheService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    CacheService.redis = null;
+  });
+
+  describe('connect', () => {
+    afterEach(async () => {
+      delete process.env.REDIS_URI;
+      await CacheService.invalidate('feed');
+    });
+
+    it('falls back to the in-memory cache when Redis cannot be reached', async () => {
+      process.env.REDIS_URI = 'redis://127.0.0.1:1';
+
+      await CacheService.connect();
+
+      expect(CacheService.redis).toBeFalsy();
+      await CacheService.set('feed:user', 'page-1', { items: [] }, 60);
+      await expect(CacheService.get('feed:user', 'page-1')).resolves.toEqual({ items: [] });
+    });
+  });
+
+  describe('in-memory cache', () => {
+    afterEach(async () => {
+      await CacheService.invalidate('test');
+      delete process.env.CACHE_MAX_ENTRIES;
+    });
+
+    it('returns null on a miss', async () => {
+      await expect(CacheService.get('test', 'missing')).resolves.toBeNull();
+    });
+
+    it('expires entries after their time to live', async () => {
+      const now = Date.now();
+      const clock = jest.spyOn(Date, 'now').mockReturnValue(now);
+
+      await CacheService.set('test', 'key', 'value', 60);
+      clock.mockReturnValue(now + 59 * 1000);
+      await expect(CacheService.get('test', 'key')).resolves.toBe('value');
+
+      clock.mockReturnValue(now + 60 * 1000);
+      await expect(CacheService.get('test', 'key')).resolves.toBeNull();
+    });
+
+    it('evicts the least recently used entry beyond the size limit', async () => {
+      process.env.CACHE_MAX_ENTRIES = '2';
+      const cache = loadCacheService();
+
+      await cache.set('test', 'a', 1, 60);
+      await cache.set('test', 'b', 2, 60);
+      // Reading a makes b the least recently used
+      await cache.get('test', 'a');
+      await cache.set('test', 'c', 3, 60);
+
+      await expect(cache.get('test', 'a')).resolves.toBe(1);
+      await expect(cache.get('test', 'b')).resolves.toBeNull();
+      await expect(cache.get('test', 'c')).resolves.toBe(3);
+    });
+
+    it('invalidates a namespace and the namespaces nested in it', async () => {
+      await CacheService.set('test', 'page-1', 1, 60);
+      await CacheService.set('test:user', 'page-1', 2, 60);
+      await CacheService.set('testing', 'page-1', 3, 60);
+
+      await expect(CacheService.invalidate('test')).resolves.toBe(2);
+      await expect(CacheService.get('test:user', 'page-1')).resolves.toBeNull();
+      await expect(CacheService.get('testing', 'page-1')).resolves.toBe(3);
+
+      await CacheService.invalidate('testing');
+    });
+
+    it('computes and caches a value on a miss only', async () => {
+      const compute = jest.fn().mockResolvedValue({ createdAt: new Date(0) });
+
+      const computed = await CacheService.wrap('test', 'key', 60, compute);
+      const cached = await CacheService.wrap('test', 'key', 60, compute);
+
+      expect(compute).toHaveBeenCalledTimes(1);
+      expect(computed).toEqual({ createdAt: '1970-01-01T00:00:00.000Z' });
+      expect(cached).toEqual(computed);
+    });
+  });
+
+  describe('with Redis', () => {
+    it('reads and writes prefixed keys with a time to live', async () => {
+      CacheService.redis = createRedisClient();
+      CacheService.redis.get.mockResolvedValue('{"total":3}');
+
+      await CacheService.set('categories', 'all', ['ai'], 600);
+
+      expect(CacheService.redis.set).toHaveBeenCalledWith('creator-dashboard:categories:all', '["ai"]', { EX: 600 });
+      await expect(CacheService.get('categories', 'all')).resolves.toEqual({ total: 3 });
+    });
+
+    it('treats Redis errors as cache misses', async () => {
+      CacheService.redis = createRedisClient();
+      CacheService.redis.get.mockRejectedValue(new Error('connection lost'));
+
+      await expect(CacheService.get('categories', 'all')).resolves.toBeNull();
+    });
+
+    it('uses the in-memory cache while Redis is not ready', async () => {
+      CacheService.redis = { ...createRedisClient(), isReady: false };
+
+      await CacheService.set('test', 'key', 'value', 60);
+
+      expect(CacheService.redis.set).not.toHaveBeenCalled();
+      await expect(CacheService.get('test', 'key')).resolves.toBe('value');
+      await CacheService.invalidate('test');
+    });
+
+    it('deletes the keys of a namespace in batches', async () => {
+      const keys = Array.from({ length: 501 }, (value, index) => `creator-dashboard:feed:user:${index}`);
+      CacheService.redis = createRedisClient(keys);
+
+      await expect(CacheService.invalidate('feed')).resolves.toBe(501);
+
+      expect(CacheService.redis.scanIterator).toHaveBeenCalledWith({ MATCH: 'creator-dashboard:feed:*', COUNT: 500 });
+      expect(CacheService.redis.del.mock.calls.map(([batch]) => batch.length)).toEqual([500, 1]);
+    });
+  });
+});
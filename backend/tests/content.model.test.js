@@ -0,0 +1,77 @@
+const { aggregate } = require('mingo');
+const Content = require('../src/models/content.model');
+const CorpusTerm = require('../src/models/corpusTerm.model');
+const TopicService = require('../src/services/topic.service');
+
+describe('Content.bulkUpsert', () => {
+  const item = {
+    source: 'reddit',
+    sourceId: 'abc123',
+    sourceUsername: 'ml_engineer',
+    contentType: 'text',
+    title: 'Training smaller language models on better data',
+    text: 'Data quality beats scale for machine learning models.',
+    categories: ['MachineLearning'],
+    contentCreatedAt: new Date(),
+    cacheExpiration: new Date(Date.now() + 60 * 60 * 1000),
+    engagement: { likes: 10, comments: 2, shares: 0, totalEngagement: 12 }
+  };
+
+  let bulkWrite;
+  let afterWrite;
+
+  beforeEach(() => {
+    jest.spyOn(Content, 'estimatedDocumentCount').mockResolvedValue(100);
+    jest.spyOn(CorpusTerm, 'getDocumentCounts').mockResolvedValue(new Map());
+    bulkWrite = jest.spyOn(Content, 'bulkWrite').mockResolvedValue({
+      upsertedCount: 1,
+      matchedCount: 0,
+      upsertedIds: { 0: 'new-id' }
+    });
+    afterWrite = ['recordEngagementSnapshots', 'linkParents', 'assignStories']
+      .map(step => jest.spyOn(Content, step).mockResolvedValue());
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('finishes the post-write steps when corpus bookkeeping fails', async () => {
+    jest.spyOn(CorpusTerm, 'recordDocuments').mockRejectedValue(new Error('corpus write failed'));
+
+    const result = await Content.bulkUpsert([item]);
+
+    expect(result).toEqual({ inserted: 1, updated: 0, failed: 0 });
+    afterWrite.forEach(step => expect(step).toHaveBeenCalledWith([{ sourceId: 'abc123', source: 'reddit' }]));
+  });
+
+  it('refreshes the categories of existing content', async () => {
+    jest.spyOn(TopicService, 'recordDocuments').mockResolvedValue();
+
+    await Content.bulkUpsert([item]);
+
+    const { update } = bulkWrite.mock.calls[0][0][0].updateOne;
+    expect(update.$set.categories).toEqual(expect.arrayContaining(['machinelearning']));
+    expect(update.$setOnInsert.categories).toBeUndefined();
+  });
+});
+
+describe('Content.refreshTrendingScores', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('decays stored scores the way they are computed at ingest', async () => {
+    const updateMany = jest.spyOn(Content, 'updateMany').mockResolvedValue({ matchedCount: 2, modifiedCount: 2 });
+
+    const result = await Content.refreshTrendingScores('reddit');
+
+    const [filter, pipeline] = updateMany.mock.calls[0];
+    expect(filter).toEqual({ source: 'reddit', trendingScore: { $gte: 0.01 } });
+    expect(result).toEqual({ fetched: 2, saved: 2, updated: 2 });
+
+    const contentCreatedAt = new Date(Date.now() - 3 * 24 * 60 * 60 * 1000);
+    const [stale] = aggregate([{ engagement: { totalEngagement: 50000 }, contentCreatedAt, trendingScore: 50000 }], pipeline);
+    expect(stale.trendingScore).toBeCloseTo(Content.calculateTrendingScore(50000, contentCreatedAt), 4);
+  });
+});
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const { find } = require('mingo');
+const {
+  normalizeSort,
+  decodeCursor,
+  decodeCursorSnapshot,
+  applyCursor,
+  paginateResults
+} = require('../src/utils/cursor');
+const RankingService = require('../src/services/ranking.service');
+
+describe('cursor pagination', () => {
+  const sort = normalizeSort({ rankingScore: -1 });
+  const items = [0.9, 0.8, 0.7].map(rankingScore => ({ _id: new mongoose.Types.ObjectId(), rankingScore }));
+
+  it('points the next cursor after the last item of the page', () => {
+    const { items: page, hasMore, nextCursor } = paginateResults(items, 2, sort);
+
+    expect(page).toHaveLength(2);
+    expect(hasMore).toBe(true);
+    expect(decodeCursor(nextCursor, sort)).toEqual([0.8, items[1]._id]);
+    expect(decodeCursorSnapshot(nextCursor)).toBeNull();
+  });
+
+  it('keeps the snapshot the sort values were computed from', () => {
+    const scoredAt = new Date('2026-01-02T03:04:05.000Z');
+    const { nextCursor } = paginateResults(items, 2, sort, { scoredAt });
+
+    expect(decodeCursorSnapshot(nextCursor)).toEqual({ scoredAt });
+    expect(applyCursor({}, sort, nextCursor).$and[1].$or[0]).toEqual({
+      $or: [{ rankingScore: { $lt: 0.8 } }, { rankingScore: null }]
+    });
+  });
+
+  describe('sorting on an optional field', () => {
+    const docs = [3, null, 1, undefined, 2, null].map(folderRank => ({
+      _id: new mongoose.Types.ObjectId(),
+      ...(folderRank !== undefined && { folderRank })
+    }));
+
+    // Page through the documents the way the services do, with limit + 1
+    const pageThrough = (direction) => {
+      const optionalSort = normalizeSort({ folderRank: direction });
+      const seen = [];
+      let after = null;
+
+      do {
+        const results = find(docs, applyCursor({}, optionalSort, after)).sort(optionalSort).limit(3).all();
+        const page = paginateResults(results, 2, optionalSort);
+        seen.push(...page.items);
+        after = page.nextCursor;
+      } while (after);
+
+      return seen;
+    };
+
+    it.each([[-1], [1]])('visits every item once in direction %i', (direction) => {
+      const seen = pageThrough(direction);
+
+      expect(seen).toHaveLength(docs.length);
+      expect(new Set(seen.map(doc => doc._id.toString())).size).toBe(docs.length);
+    });
+
+    it('continues past null values in ascending order', () => {
+      const { nextCursor } = paginateResults([{ _id: docs[1]._id, folderRank: null }, docs[0]], 1, normalizeSort({ folderRank: 1 }));
+
+      expect(applyCursor({}, normalizeSort({ folderRank: 1 }), nextCursor).$and[1].$or).toEqual([
+        { folderRank: { $ne: null } },
+        { folderRank: null, _id: { $gt: docs[1]._id } }
+      ]);
+    });
+
+    it('only breaks ties after null values in descending order', () => {
+      const { nextCursor } = paginateResults([{ _id: docs[1]._id }, docs[0]], 1, normalizeSort({ folderRank: -1 }));
+
+      expect(applyCursor({}, normalizeSort({ folderRank: -1 }), nextCursor).$and[1].$or).toEqual([
+        { folderRank: null, _id: { $lt: docs[1]._id } }
+      ]);
+    });
+  });
+
+  it('rejects malformed cursors', () => {
+    expect(() => decodeCursorSnapshot('not-a-cursor')).toThrow('Invalid pagination cursor');
+  });
+});
+
+describe('RankingService.getScoreStages', () => {
+  it('measures recency at the given time rather than the time of the query', () => {
+    const scoredAt = new Date('2026-01-02T03:04:05.000Z');
+    const [{ $addFields: { scoreBreakdown } }] = RankingService.getScoreStages({ categories: [], accounts: [] }, scoredAt);
+
+    expect(JSON.stringify(scoreBreakdown.recency)).toContain(scoredAt.toISOString());
+    expect(JSON.stringify(scoreBreakdown.recency)).not.toContain('$$NOW');
+  });
+});
@@ -0,0 +1,151 @@
+const Content = require('../src/models/content.model');
+const { canonicalizeUrl, simhash, getHashBands, hashDistance, isNearDuplicate } = require('../src/utils/dedupe');
+const { useMemoryDatabase } = require('./support/memoryDatabase');
+
+const story = 'Researchers released an open source robot arm that learns new grasps from a single demonstration '
+  + 'and the team says the design files and training code are available for anyone to download today';
+
+// The same story reworded by another outlet
+const rewordedStory = story.replace('released', 'published');
+
+describe('dedupe', () => {
+  describe('canonicalizeUrl', () => {
+    it('drops tracking parameters, mobile hosts and trailing slashes', () => {
+      expect(canonicalizeUrl('http://m.Example.com/post/?utm_source=twitter&id=7&fbclid=abc'))
+        .toBe('https://example.com/post?id=7');
+    });
+
+    it('sorts the remaining query parameters', () => {
+      expect(canonicalizeUrl('https://example.com/search?q=robots&page=2'))
+        .toBe(canonicalizeUrl('https://www.example.com/search?page=2&q=robots'));
+    });
+
+    it('strips AMP paths', () => {
+      expect(canonicalizeUrl('https://amp.news.example/story/amp/')).toBe('https://news.example/story');
+    });
+
+    it('expands YouTube short links', () => {
+      expect(canonicalizeUrl('https://youtu.be/dQw4w9WgXcQ?si=share'))
+        .toBe(canonicalizeUrl('https://www.youtube.com/watch?v=dQw4w9WgXcQ'));
+    });
+
+    it('returns null for invalid and non-web URLs', () => {
+      expect(canonicalizeUrl(undefined)).toBeNull();
+      expect(canonicalizeUrl('not a url')).toBeNull();
+      expect(canonicalizeUrl('mailto:team@example.com')).toBeNull();
+    });
+  });
+
+  describe('simhash', () => {
+    it('returns a 64-bit hex hash', () => {
+      expect(simhash(story)).toMatch(/^[0-9a-f]{16}$/);
+    });
+
+    it('ignores case, punctuation and links', () => {
+      expect(simhash(`${story.toUpperCase()}! https://t.co/abc123`)).toBe(simhash(story));
+    });
+
+    it('keeps near-identical texts within the duplicate distance', () => {
+      expect(isNearDuplicate(simhash(story), simhash(rewordedStory))).toBe(true);
+    });
+
+    it('tells unrelated texts apart', () => {
+      const other = 'The city council approved a new budget for road repairs and public parks this spring';
+      expect(isNearDuplicate(simhash(story), simhash(other))).toBe(false);
+    });
+
+    it('skips texts too short to compare', () => {
+      expect(simhash('Big news today')).toBeNull();
+      expect(simhash()).toBeNull();
+    });
+  });
+
+  describe('getHashBands', () => {
+    it('splits a hash into indexed bands', () => {
+      expect(getHashBands('0123456789abcdef')).toEqual(['0:0123', '1:4567', '2:89ab', '3:cdef']);
+    });
+
+    it('returns no bands without a hash', () => {
+      expect(getHashBands(null)).toEqual([]);
+    });
+  });
+
+  describe('hashDistance and isNearDuplicate', () => {
+    it('counts differing bits', () => {
+      expect(hashDistance('0000000000000000', '0000000000000007')).toBe(3);
+      expect(hashDistance('ffffffffffffffff', 'ffffffffffffffff')).toBe(0);
+    });
+
+    it('allows at most three differing bits', () => {
+      expect(isNearDuplicate('0000000000000000', '0000000000000007')).toBe(true);
+      expect(isNearDuplicate('0000000000000000', '000000000000000f')).toBe(false);
+    });
+
+    it('never matches a missing hash', () => {
+      expect(isNearDuplicate(null, null)).toBe(false);
+      expect(isNearDuplicate('0000000000000000', undefined)).toBe(false);
+    });
+  });
+});
+
+describe('Content story grouping', () => {
+  let collection;
+
+  const item = (source, sourceId, fields) => ({
+    source,
+    sourceId,
+    sourceUsername: 'robotics_news',
+    contentType: 'text',
+    contentCreatedAt: new Date(),
+    cacheExpiration: new Date(Date.now() + 60 * 60 * 1000),
+    engagement: { likes: 1, comments: 0, shares: 0, totalEngagement: 1 },
+    ...fields
+  });
+
+  beforeAll(() => {
+    collection = useMemoryDatabase();
+  });
+
+  beforeEach(() => {
+    collection('Content').docs = [];
+  });
+
+  it('sets the canonical link and text hash of new content', () => {
+    const content = new Content(item('twitter', '1', {
+      text: story,
+      metadata: { linkUrl: 'https://www.robots.example/arm?utm_campaign=launch' }
+    }));
+    content.setStoryKeys();
+
+    expect(content.canonicalUrl).toBe('https://robots.example/arm');
+    expect(content.textHash).toBe(simhash(story));
+    expect(content.textHashBands).toEqual(getHashBands(simhash(story)));
+  });
+
+  it('groups copies that share a link or near-identical text', async () => {
+    await Content.bulkUpsert([
+      item('twitter', '1', { text: 'Look at this', metadata: { linkUrl: 'https://robots.example/arm' } }),
+      item('reddit', '2', { title: 'Open source arm', metadata: { linkUrl: 'https://www.robots.example/arm/?ref=reddit' } }),
+      item('linkedin', '3', { text: rewordedStory }),
+      item('rss', '4', { title: story })
+    ]);
+
+    const [tweet, post, update, article] = collection('Content').docs;
+
+    expect(post.storyId).toEqual(tweet.storyId);
+    expect(article.storyId).toEqual(update.storyId);
+    expect(update.storyId).not.toEqual(tweet.storyId);
+  });
+
+  it('keeps content without a link or comparable text on its own', async () => {
+    await Content.bulkUpsert([
+      item('twitter', '1', { text: 'Big news today' }),
+      item('twitter', '2', { text: 'Big news today' })
+    ]);
+
+    const [first, second] = collection('Content').docs;
+
+    expect(first.storyId).toEqual(first._id);
+    expect(second.storyId).toEqual(second._id);
+  });
+});
@@ -0,0 +1,63 @@
+const { startSourceApiServer } = require('../src/mocks/sourceApi');
+const logger = require('../src/utils/logger');
+
+describe('FeedService.refreshFeedContent', () => {
+  let server;
+  let FeedService;
+  let SourceRegistry;
+  let SourceWatchlist;
+  let User;
+
+  beforeAll(async () => {
+    server = await startSourceApiServer(0);
+    process.env.SOURCE_API_MOCK_URL = `http://localhost:${server.address().port}`;
+
+    FeedService = require('../src/services/feed.service');
+    SourceRegistry = require('../src/services/sources');
+    SourceWatchlist = require('../src/models/sourceWatchlist.model');
+    User = require('../src/models/user.model');
+  });
+
+  afterAll(async () => {
+    delete process.env.SOURCE_API_MOCK_URL;
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('ingests the accounts users follow', async () => {
+    jest.spyOn(SourceWatchlist, 'getActiveEntries').mockResolvedValue([]);
+    const aggregate = jest.spyOn(User, 'aggregate').mockResolvedValue([
+      { type: 'account', value: 'aiweekly' }
+    ]);
+    const save = jest.spyOn(SourceRegistry.get('twitter'), 'save')
+      .mockImplementation(async (items) => ({ inserted: items.length, updated: 0, failed: 0 }));
+
+    const results = await FeedService.refreshFeedContent(['twitter']);
+
+    expect(aggregate).toHaveBeenCalled();
+    expect(results.failedSources).toEqual([]);
+    expect(results.sources.twitter).toMatchObject({ fetched: 2, saved: 2 });
+
+    const saved = save.mock.calls[0][0];
+    expect(saved.map(tweet => tweet.sourceId).sort()).toEqual(['5004', '5005']);
+    expect(saved.every(tweet => tweet.sourceUsername === 'aiweekly')).toBe(true);
+  });
+
+  it('fetches nothing and warns when no entry is watched or followed', async () => {
+    jest.spyOn(SourceWatchlist, 'getActiveEntries').mockResolvedValue([]);
+    jest.spyOn(User, 'aggregate').mockResolvedValue([]);
+    const warn = jest.spyOn(logger, 'warn');
+    const save = jest.spyOn(SourceRegistry.get('twitter'), 'save')
+      .mockImplementation(async (items) => ({ inserted: items.length, updated: 0, failed: 0 }));
+
+    const results = await FeedService.refreshFeedContent(['twitter']);
+
+    expect(results.sources.twitter).toMatchObject({ fetched: 0, saved: 0 });
+    expect(save).toHaveBeenCalledWith([]);
+    expect(warn).toHaveBeenCalledWith('No twitter watchlist entries or follows, add some with POST /api/admin/watchlists');
+  });
+});
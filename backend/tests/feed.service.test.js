@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const Content = require('../src/models/content.model');
+const User = require('../src/models/user.model');
+const ContentFeedback = require('../src/models/contentFeedback.model');
+const ContentEngagementSnapshot = require('../src/models/contentEngagementSnapshot.model');
+const FeedService = require('../src/services/feed.service');
+const RankingService = require('../src/services/ranking.service');
+const CircuitBreakerService = require('../src/services/circuitBreaker.service');
+
+describe('FeedService.buildUserFeed', () => {
+  const userId = new mongoose.Types.ObjectId();
+  let aggregate;
+
+  beforeEach(() => {
+    jest.spyOn(User, 'findById').mockResolvedValue({ _id: userId, preferences: {}, follows: [] });
+    jest.spyOn(ContentFeedback, 'getDismissedContentIds').mockResolvedValue([]);
+    jest.spyOn(FeedService, 'applyMutes').mockImplementation(async (query) => ({ query, hidden: 0 }));
+    jest.spyOn(FeedService, 'getFeedbackPenaltyExpression').mockResolvedValue({ $literal: 0 });
+    jest.spyOn(FeedService, 'getUserSavedContentIds').mockResolvedValue([]);
+    jest.spyOn(RankingService, 'getUserAffinity').mockResolvedValue({ categories: [], accounts: [] });
+    jest.spyOn(CircuitBreakerService, 'getUnavailableSources').mockResolvedValue([]);
+    aggregate = jest.spyOn(Content, 'aggregate').mockImplementation(async (pipeline) =>
+      pipeline.some(stage => stage.$count) ? [{ total: 0 }] : []
+    );
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const getPipelines = () => {
+    const pipelines = aggregate.mock.calls.map(([pipeline]) => pipeline);
+    return {
+      countPipeline: pipelines.find(pipeline => pipeline.some(stage => stage.$count)),
+      feedPipeline: pipelines.find(pipeline => !pipeline.some(stage => stage.$count))
+    };
+  };
+
+  it('sorts by recency unless another sort is asked for', async () => {
+    await FeedService.buildUserFeed(userId);
+
+    const { feedPipeline } = getPipelines();
+    expect(feedPipeline).toContainEqual({ $sort: { followBoost: -1, feedbackPenalty: 1, contentCreatedAt: -1, _id: -1 } });
+    expect(feedPipeline.some(stage => stage.$limit === 1000)).toBe(false);
+  });
+
+  it('narrows a personalized feed to recent candidates before scoring it', async () => {
+    await FeedService.buildUserFeed(userId, { sortBy: 'personalized' });
+
+    const { feedPipeline } = getPipelines();
+    const candidates = feedPipeline.findIndex(stage => stage.$limit === 1000);
+    const scoring = feedPipeline.findIndex(stage => stage.$addFields?.scoreBreakdown);
+
+    expect(feedPipeline[candidates - 2].$match.contentCreatedAt).toEqual({
+      $gte: expect.any(Date),
+      $lte: expect.any(Date)
+    });
+    expect(candidates).toBeGreaterThan(0);
+    expect(candidates).toBeLessThan(scoring);
+  });
+
+  it('counts stories among the candidates without scoring them', async () => {
+    await FeedService.buildUserFeed(userId, { sortBy: 'personalized' });
+
+    const { countPipeline } = getPipelines();
+    expect(countPipeline.some(stage => stage.$limit === 1000)).toBe(true);
+    expect(countPipeline.some(stage => stage.$addFields || stage.$setWindowFields)).toBe(false);
+    expect(countPipeline).toContainEqual({ $group: { _id: { $ifNull: ['$storyId', '$_id'] } } });
+  });
+});
+
+describe('FeedService.getEngagementHistory', () => {
+  const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000);
+  const snapshot = (hours, totalEngagement) => ({ capturedAt: hoursAgo(hours), totalEngagement, likes: totalEngagement, comments: 0, shares: 0 });
+
+  const mockContent = (contentCreatedAt, totalEngagement) => {
+    jest.spyOn(Content, 'findById').mockReturnValue({
+      select: async () => ({ contentCreatedAt, engagement: { totalEngagement } })
+    });
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('measures each point against the one before it', async () => {
+    mockContent(hoursAgo(4), 400);
+    jest.spyOn(ContentEngagementSnapshot, 'getSeries').mockResolvedValue([snapshot(3, 100), snapshot(1, 300)]);
+
+    const { series, velocity } = await FeedService.getEngagementHistory('content-id');
+
+    expect(series.map(point => point.velocity)).toEqual([100, 100]);
+    expect(velocity).toEqual({ current: 100, average: 100 });
+  });
+
+  it('measures a truncated series against the snapshot before it', async () => {
+    mockContent(hoursAgo(100), 5000);
+    const getSeries = jest.spyOn(ContentEngagementSnapshot, 'getSeries')
+      .mockResolvedValue([snapshot(3, 4800), snapshot(2, 4900), snapshot(1, 5000)]);
+
+    const { series } = await FeedService.getEngagementHistory('content-id', { limit: 2 });
+
+    expect(getSeries).toHaveBeenCalledWith('content-id', 3);
+    expect(series.map(point => point.velocity)).toEqual([100, 100]);
+  });
+
+  it('leaves the first velocity unknown when earlier snapshots have expired', async () => {
+    mockContent(hoursAgo(100 * 24), 5000);
+    jest.spyOn(ContentEngagementSnapshot, 'getSeries').mockResolvedValue([snapshot(2, 4900), snapshot(1, 5000)]);
+
+    const { series } = await FeedService.getEngagementHistory('content-id');
+
+    expect(series.map(point => point.velocity)).toEqual([null, 100]);
+  });
+
+  it('stretches intervals shorter than the minimum', async () => {
+    mockContent(hoursAgo(0.05), 90);
+    jest.spyOn(ContentEngagementSnapshot, 'getSeries').mockResolvedValue([snapshot(0, 90)]);
+
+    const { series } = await FeedService.getEngagementHistory('content-id');
+
+    expect(series[0].velocity).toBe(360);
+  });
+});
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const { aggregate } = require('mingo');
+const ContentFeedback = require('../src/models/contentFeedback.model');
+const FeedService = require('../src/services/feed.service');
+const { useMemoryDatabase } = require('./support/memoryDatabase');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('not interested feedback', () => {
+  const userId = new mongoose.Types.ObjectId();
+  let collection;
+
+  // Store feedback directly so its age can be chosen
+  const addFeedback = (fields, ageDays = 1) => {
+    collection('ContentFeedback').docs.push({
+      _id: new mongoose.Types.ObjectId(),
+      user: userId,
+      content: new mongoose.Types.ObjectId(),
+      action: 'not_interested',
+      source: 'twitter',
+      categories: [],
+      createdAt: new Date(Date.now() - ageDays * DAY_MS),
+      ...fields
+    });
+  };
+
+  // Evaluate the penalty of a user for each content document
+  const getPenalties = async (contents) => {
+    const feedbackPenalty = await FeedService.getFeedbackPenaltyExpression(userId);
+    return aggregate(contents, [{ $project: { _id: 0, feedbackPenalty } }]).map(doc => doc.feedbackPenalty);
+  };
+
+  beforeAll(() => {
+    collection = useMemoryDatabase();
+  });
+
+  beforeEach(() => {
+    collection('ContentFeedback').docs = [];
+  });
+
+  describe('ContentFeedback.getNegativeSignals', () => {
+    it('counts not interested accounts and categories since a date', async () => {
+      addFeedback({ sourceUsername: 'HypeBot', categories: ['crypto'] });
+      addFeedback({ sourceUsername: 'hypebot', categories: ['crypto', 'nft'] });
+      addFeedback({ sourceUsername: 'oldnews', categories: ['crypto'] }, 120);
+      addFeedback({ sourceUsername: 'hidden', action: 'hide', categories: ['crypto'] });
+      addFeedback({ user: new mongoose.Types.ObjectId(), sourceUsername: 'someone', categories: ['crypto'] });
+
+      const signals = await ContentFeedback.getNegativeSignals(userId, new Date(Date.now() - 90 * DAY_MS));
+
+      expect(signals).toEqual({
+        accounts: [{ source: 'twitter', sourceUsername: 'hypebot', count: 2 }],
+        categories: [{ category: 'crypto', count: 2 }, { category: 'nft', count: 1 }]
+      });
+    });
+  });
+
+  describe('FeedService.getFeedbackPenaltyExpression', () => {
+    it('is zero without feedback', async () => {
+      expect(await FeedService.getFeedbackPenaltyExpression(userId)).toEqual({ $literal: 0 });
+    });
+
+    it('penalizes content from a dismissed account regardless of case', async () => {
+      addFeedback({ sourceUsername: 'HypeBot' });
+
+      expect(await getPenalties([
+        { source: 'twitter', sourceUsername: 'hypebot' },
+        { source: 'reddit', sourceUsername: 'hypebot' },
+        { source: 'twitter', sourceUsername: 'researcher' }
+      ])).toEqual([2, 0, 0]);
+    });
+
+    it('penalizes each category dismissed at least twice', async () => {
+      addFeedback({ categories: ['crypto', 'nft'] });
+      addFeedback({ categories: ['crypto', 'nft', 'gaming'] });
+
+      expect(await getPenalties([
+        { source: 'rss', categories: ['crypto', 'nft', 'gaming'] },
+        { source: 'rss', categories: ['gaming'] },
+        { source: 'rss' }
+      ])).toEqual([2, 0, 0]);
+    });
+
+    it('adds the account and category penalties', async () => {
+      addFeedback({ sourceUsername: 'hypebot', categories: ['crypto'] });
+      addFeedback({ sourceUsername: 'hypebot', categories: ['crypto'] });
+
+      expect(await getPenalties([{ source: 'twitter', sourceUsername: 'hypebot', categories: ['crypto'] }]))
+        .toEqual([3]);
+    });
+
+    it('forgets feedback older than the not interested window', async () => {
+      addFeedback({ sourceUsername: 'hypebot', categories: ['crypto'] }, 91);
+      addFeedback({ sourceUsername: 'hypebot', categories: ['crypto'] }, 91);
+
+      expect(await FeedService.getFeedbackPenaltyExpression(userId)).toEqual({ $literal: 0 });
+    });
+  });
+});
@@ -0,0 +1,36 @@
+const { fetchByCount, groupByCount } = require('../src/utils/helpers');
+
+describe('groupByCount', () => {
+  it('groups entries by their own count or the default', () => {
+    const groups = groupByCount([{ value: 'a' }, { value: 'b', count: 3 }, { value: 'c' }], 5);
+
+    expect([...groups]).toEqual([[5, ['a', 'c']], [3, ['b']]]);
+  });
+});
+
+describe('fetchByCount', () => {
+  const entries = [{ value: 'a' }, { value: 'b', count: 3 }];
+
+  it('keeps the items of other groups when one group fails', async () => {
+    const fetchGroup = jest.fn(async (values, count) => {
+      if (count === 3) throw new Error('Request failed');
+      return values.map(value => `${value}:${count}`);
+    });
+
+    await expect(fetchByCount(entries, 5, fetchGroup)).resolves.toEqual(['a:5']);
+    expect(fetchGroup).toHaveBeenCalledTimes(2);
+  });
+
+  it('throws when every group fails', async () => {
+    const fetchGroup = jest.fn().mockRejectedValue(new Error('Request failed'));
+
+    await expect(fetchByCount(entries, 5, fetchGroup)).rejects.toThrow('Request failed');
+  });
+
+  it('fetches nothing without entries', async () => {
+    const fetchGroup = jest.fn();
+
+    await expect(fetchByCount([], 5, fetchGroup)).resolves.toEqual([]);
+    expect(fetchGroup).not.toHaveBeenCalled();
+  });
+});
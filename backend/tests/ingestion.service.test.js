@@ -0,0 +1,51 @@
+const IngestionService = require('../src/services/ingestion.service');
+const FeedService = require('../src/services/feed.service');
+const { useMemoryDatabase } = require('./support/memoryDatabase');
+
+describe('IngestionService', () => {
+  let collection;
+
+  beforeAll(() => {
+    collection = useMemoryDatabase();
+  });
+
+  beforeEach(() => {
+    collection('IngestionRun').docs = [];
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('records a skipped run when the previous run for a source is still going', async () => {
+    let finish;
+    jest.spyOn(FeedService, 'refreshFeedContent')
+      .mockImplementationOnce(() => new Promise(resolve => {
+        finish = () => resolve({ sources: { twitter: { fetched: 2, saved: 2 } } });
+      }));
+
+    const first = IngestionService.runRefresh(['twitter'], 'schedule');
+    await new Promise(resolve => setImmediate(resolve));
+    const overlapping = await IngestionService.runRefresh(['twitter'], 'manual');
+    finish();
+    const completed = await first;
+
+    expect(overlapping.sources.twitter).toMatchObject({ status: 'skipped', fetched: 0, saved: 0 });
+    expect(completed.sources.twitter).toMatchObject({ status: 'completed', fetched: 2, saved: 2 });
+    expect(collection('IngestionRun').docs.map(run => [run.trigger, run.status]).sort()).toEqual([
+      ['manual', 'skipped'],
+      ['schedule', 'completed']
+    ]);
+  });
+
+  it('records the runs of feed refreshes', async () => {
+    jest.spyOn(FeedService, 'refreshFeedContent')
+      .mockResolvedValue({ sources: { reddit: { fetched: 3, saved: 1 } } });
+
+    await FeedService.waitForRefresh(['reddit']);
+
+    expect(collection('IngestionRun').docs).toEqual([
+      expect.objectContaining({ job: 'refresh', source: 'reddit', trigger: 'manual', status: 'completed', fetched: 3, saved: 1 })
+    ]);
+  });
+});
@@ -0,0 +1,174 @@
+process.env.LINKEDIN_ACCESS_TOKEN = 'test-token';
+
+const LinkedInService = require('../src/services/linkedin.service');
+const SourceRegistry = require('../src/services/sources');
+const organizations = require('./fixtures/linkedin/organizations.json');
+const posts = require('./fixtures/linkedin/posts.json');
+const socialMetadata = require('./fixtures/linkedin/socialMetadata.json');
+const images = require('./fixtures/linkedin/images.json');
+const videos = require('./fixtures/linkedin/videos.json');
+
+// Recorded responses keyed by REST resource
+const responses = {
+  '/rest/organizations': organizations,
+  '/rest/posts': posts,
+  '/rest/socialMetadata': socialMetadata,
+  '/rest/images': images,
+  '/rest/videos': videos
+};
+
+const respondWith = (status, body) => ({ ok: status < 400, status, json: async () => body });
+
+describe('LinkedInService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    LinkedInService.organizations.clear();
+    LinkedInService.accessToken = 'test-token';
+  });
+
+  describe('parseCommentary', () => {
+    it('turns hashtags into plain text and collects them', () => {
+      expect(LinkedInService.parseCommentary('Hiring! {hashtag|\\#|jobs} {hashtag|#|remote}')).toEqual({
+        text: 'Hiring! #jobs #remote',
+        hashtags: ['jobs', 'remote']
+      });
+    });
+
+    it('keeps the names of mentions', () => {
+      expect(LinkedInService.parseCommentary('Thanks @[Example Labs](urn:li:organization:99001)!').text)
+        .toBe('Thanks Example Labs!');
+    });
+
+    it('unescapes reserved characters', () => {
+      expect(LinkedInService.parseCommentary('Results \\(Q4\\) \\*final\\* \\@ HQ').text)
+        .toBe('Results (Q4) *final* @ HQ');
+    });
+  });
+
+  describe('normalizePosts', () => {
+    const normalize = () => LinkedInService.normalizePosts({
+      posts: posts.elements,
+      organizations: organizations.elements,
+      socialMetadata: socialMetadata.results,
+      media: { ...images.results, ...videos.results }
+    });
+
+    it('skips posts that are not published', async () => {
+      const normalized = await normalize();
+      expect(normalized.map(post => post.sourceId)).toEqual([
+        'urn:li:share:7151234567890123456',
+        'urn:li:ugcPost:7152345678901234567',
+        'urn:li:ugcPost:7153456789012345678'
+      ]);
+    });
+
+    it('normalizes a multi-image post', async () => {
+      const [post] = await normalize();
+
+      expect(post).toMatchObject({
+        source: 'linkedin',
+        sourceUsername: 'example-robotics',
+        sourceName: 'Example Robotics',
+        contentType: 'post',
+        text: "We're hiring robotics engineers in Berlin! Join Example Labs and build the next arm. #robotics #hiring",
+        categories: ['robotics', 'hiring'],
+        mediaTypes: ['image', 'image'],
+        url: 'https://www.linkedin.com/feed/update/urn:li:share:7151234567890123456/',
+        engagement: { likes: 250, comments: 18, shares: 0, totalEngagement: 268 },
+        metadata: { organizationId: 2414183 }
+      });
+      expect(post.mediaUrls[0]).toBe(images.results['urn:li:image:C4D22AQFirstImage'].downloadUrl);
+      expect(post.contentCreatedAt).toEqual(new Date(1704794400000));
+    });
+
+    it('normalizes an article share', async () => {
+      const [, article] = await normalize();
+
+      expect(article).toMatchObject({
+        contentType: 'article',
+        title: '10,000 hours of warehouse picking',
+        text: 'Read our field report: what 10,000 hours of warehouse picking taught us (and our robots)',
+        mediaTypes: ['image'],
+        engagement: { likes: 96, comments: 4, totalEngagement: 100 },
+        metadata: {
+          linkUrl: 'https://robotics.example/blog/field-report?utm_source=linkedin',
+          articleDescription: 'Lessons from a year of robots in production'
+        }
+      });
+    });
+
+    it('normalizes a video post without social metadata', async () => {
+      const [, , video] = await normalize();
+
+      expect(video).toMatchObject({
+        mediaUrls: [videos.results['urn:li:video:C5F10AQGripperDemo'].downloadUrl],
+        mediaTypes: ['video'],
+        categories: ['automation'],
+        engagement: { likes: 0, comments: 0, totalEngagement: 0 }
+      });
+    });
+
+    it('skips posts by organizations it was not given', async () => {
+      const normalized = await LinkedInService.normalizePosts({ posts: posts.elements, organizations: [] });
+      expect(normalized).toEqual([]);
+    });
+  });
+
+  describe('fetchPostsFromOrganizations', () => {
+    it('fetches and normalizes the posts of a company page', async () => {
+      const fetch = jest.spyOn(global, 'fetch').mockImplementation(async (url) =>
+        respondWith(200, responses[new URL(url).pathname]));
+
+      const normalized = await LinkedInService.fetchPostsFromOrganizations(['example-robotics'], 10);
+
+      expect(normalized).toHaveLength(3);
+      expect(fetch.mock.calls[0][0]).toContain('/organizations?q=vanityName&vanityName=example-robotics');
+      expect(fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer test-token');
+    });
+
+    it('throws when no organization could be fetched', async () => {
+      jest.spyOn(global, 'fetch').mockResolvedValue(respondWith(401, { status: 401, message: 'Invalid access token' }));
+
+      await expect(LinkedInService.fetchPostsFromOrganizations(['example-robotics', 'other-page']))
+        .rejects.toMatchObject({ statusCode: 401 });
+    });
+
+    it('throws when the access token is not configured', async () => {
+      LinkedInService.accessToken = undefined;
+
+      await expect(LinkedInService.fetchPostsFromOrganizations(['example-robotics']))
+        .rejects.toThrow('LinkedIn access token is not configured');
+    });
+
+    it('returns what it fetched when only some organizations fail', async () => {
+      jest.spyOn(global, 'fetch').mockImplementation(async (url) => {
+        const { pathname, searchParams } = new URL(url);
+        return searchParams.get('vanityName') === 'broken-page'
+          ? respondWith(500, {})
+          : respondWith(200, responses[pathname]);
+      });
+
+      const normalized = await LinkedInService.fetchPostsFromOrganizations(['broken-page', 'example-robotics']);
+
+      expect(normalized).toHaveLength(3);
+    });
+  });
+
+  describe('source adapter fetch', () => {
+    it('keeps the posts of other counts when one count fails', async () => {
+      const fetchPosts = jest.spyOn(LinkedInService, 'fetchPostsFromOrganizations')
+        .mockImplementation(async (vanityNames, count) => {
+          if (count === 10) throw new Error('Request failed');
+          return vanityNames.map(vanityName => ({ sourceId: vanityName }));
+        });
+
+      const fetched = await SourceRegistry.get('linkedin').fetch({
+        postsPerOrganization: 5,
+        watchlist: { account: [{ value: 'example-robotics' }, { value: 'broken-page', count: 10 }] }
+      });
+
+      expect(fetchPosts).toHaveBeenCalledTimes(2);
+      expect(fetched).toEqual([{ sourceId: 'example-robotics' }]);
+    });
+  });
+});
@@ -0,0 +1,178 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ModerationPipeline = require('../src/services/moderation');
+const nsfwRule = require('../src/services/moderation/nsfw.rule');
+const regexRule = require('../src/services/moderation/regex.rule');
+const spamRule = require('../src/services/moderation/spam.rule');
+const wordlistRule = require('../src/services/moderation/wordlist.rule');
+
+// Load a fresh pipeline and rules, picking up the current environment
+const loadPipeline = () => {
+  let pipeline;
+  jest.isolateModules(() => {
+    pipeline = require('../src/services/moderation');
+  });
+  return pipeline;
+};
+
+describe('moderation rules', () => {
+  describe('nsfw', () => {
+    it('trusts the Reddit NSFW mark', () => {
+      expect(nsfwRule.check({ metadata: { over18: true } })).toMatchObject({ reason: 'inappropriate', confidence: 0.95 });
+    });
+
+    it('weighs the Twitter sensitive mark lower', () => {
+      expect(nsfwRule.check({ metadata: { possiblySensitive: true } })).toMatchObject({ confidence: 0.5 });
+    });
+
+    it('ignores unmarked content', () => {
+      expect(nsfwRule.check({ metadata: {} })).toBeNull();
+      expect(nsfwRule.check({})).toBeNull();
+    });
+  });
+
+  describe('regex', () => {
+    it('reports the most confident matching rule', () => {
+      const flag = regexRule.check({ text: 'Huge ETH giveaway! Send 0.5 ETH and receive 5 ETH back' });
+
+      expect(flag).toMatchObject({ reason: 'spam', confidence: 0.9 });
+      expect(flag.detail).toBe('Matched crypto-giveaway, send-to-receive');
+    });
+
+    it('matches across the title and text', () => {
+      expect(regexRule.check({ title: 'Please verify your account', text: 'at https://login.example' }))
+        .toMatchObject({ confidence: 0.7, detail: 'Matched account-phishing' });
+    });
+
+    it('ignores content matching no rule', () => {
+      expect(regexRule.check({ text: 'We are giving a talk about Ethereum scaling' })).toBeNull();
+    });
+
+    it('adds rules from MODERATION_RULES_FILE and skips invalid ones', () => {
+      const file = path.join(os.tmpdir(), `moderation-rules-${process.pid}.json`);
+      fs.writeFileSync(file, JSON.stringify([
+        { name: 'bad-pattern', pattern: '(', reason: 'spam', confidence: 0.9 },
+        { name: 'fake-tickets', pattern: 'cheap tickets', reason: 'spam', confidence: 0.45 }
+      ]));
+      process.env.MODERATION_RULES_FILE = file;
+
+      try {
+        const rule = loadPipeline().rules.get('regex');
+        expect(rule.check({ text: 'CHEAP TICKETS for the final' })).toMatchObject({ detail: 'Matched fake-tickets' });
+      } finally {
+        delete process.env.MODERATION_RULES_FILE;
+        fs.unlinkSync(file);
+      }
+    });
+  });
+
+  describe('spam', () => {
+    it('adds up heuristic signals', () => {
+      const flag = spamRule.check({ text: 'Links https://a.example https://b.example https://c.example https://d.example' });
+
+      expect(flag).toEqual({ reason: 'spam', confidence: 0.3, detail: '4 links' });
+    });
+
+    it('counts every spam phrase', () => {
+      expect(spamRule.check({ text: 'DM me or check out my profile' }))
+        .toMatchObject({ confidence: 0.7, detail: '2 spam phrases' });
+    });
+
+    it('caps the confidence', () => {
+      const text = 'FOLLOW FOR FOLLOW F4F DM ME NOW!!!!!! #a #b #c #d #e #f #g #h #i';
+      expect(spamRule.check({ text }).confidence).toBe(0.95);
+    });
+
+    it('ignores short upper case posts and ordinary text', () => {
+      expect(spamRule.check({ text: 'BIG NEWS' })).toBeNull();
+      expect(spamRule.check({ title: 'Release notes', text: 'Version 2 ships with faster builds and fewer bugs.' })).toBeNull();
+    });
+  });
+
+  describe('wordlist', () => {
+    it('flags listed terms on word boundaries only', () => {
+      expect(wordlistRule.check({ text: 'NSFW gore warning' })).toMatchObject({ reason: 'offensive', confidence: 0.5 });
+      expect(wordlistRule.check({ text: 'Shirts in size XXXL and a gorge view' })).toBeNull();
+    });
+
+    it('grows more confident with each distinct term', () => {
+      expect(wordlistRule.check({ title: 'xxx', text: 'porn porn hentai' }))
+        .toMatchObject({ confidence: 0.95, detail: 'Matched xxx, porn, hentai' });
+    });
+  });
+});
+
+describe('ModerationPipeline', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.MODERATION_BLOCK_THRESHOLD;
+    delete process.env.MODERATION_REVIEW_THRESHOLD;
+  });
+
+  it('registers every rule in the directory', () => {
+    expect(ModerationPipeline.list().map(rule => rule.name)).toEqual(['nsfw', 'regex', 'spam', 'wordlist']);
+  });
+
+  it('passes clean content', () => {
+    expect(ModerationPipeline.screen({ title: 'Release notes', text: 'Version 2 ships today.' })).toEqual({
+      isInappropriate: false,
+      inappropriateReason: undefined,
+      moderation: { status: 'clean', confidence: 0, flags: [] }
+    });
+  });
+
+  it('queues content between the review and block thresholds', () => {
+    const result = ModerationPipeline.screen({ text: 'Photos from the event', metadata: { possiblySensitive: true } });
+
+    expect(result).toMatchObject({ isInappropriate: false, moderation: { status: 'pending', confidence: 0.5 } });
+  });
+
+  it('flags content at the block threshold with the reason of the strongest flag', () => {
+    const result = ModerationPipeline.screen({ text: 'Photos from the event', metadata: { over18: true } });
+
+    expect(result).toMatchObject({
+      isInappropriate: true,
+      inappropriateReason: 'inappropriate',
+      moderation: { status: 'flagged', confidence: 0.95 }
+    });
+  });
+
+  it('combines weak flags as independent signals', () => {
+    // 1 - (1 - 0.5) * (1 - 0.75)
+    const result = ModerationPipeline.screen({ text: 'porn and hentai', metadata: { possiblySensitive: true } });
+
+    expect(result.moderation.flags.map(flag => flag.rule)).toEqual(['nsfw', 'wordlist']);
+    expect(result).toMatchObject({
+      inappropriateReason: 'offensive',
+      moderation: { status: 'flagged', confidence: 0.875 }
+    });
+  });
+
+  it('keeps screening when a rule throws', () => {
+    jest.spyOn(nsfwRule, 'check').mockImplementation(() => {
+      throw new Error('rule failed');
+    });
+
+    expect(ModerationPipeline.screen({ text: 'kill yourself' }).moderation)
+      .toMatchObject({ status: 'pending', flags: [{ rule: 'wordlist' }] });
+  });
+
+  it('reads the thresholds from the environment', () => {
+    process.env.MODERATION_BLOCK_THRESHOLD = '0.5';
+    process.env.MODERATION_REVIEW_THRESHOLD = '0.2';
+
+    const pipeline = loadPipeline();
+
+    expect(pipeline.screen({ text: 'gore' }).moderation.status).toBe('flagged');
+    expect(pipeline.screen({ text: 'DM me' }).moderation.status).toBe('pending');
+  });
+
+  it('rejects invalid and duplicate rules', () => {
+    const pipeline = loadPipeline();
+
+    expect(() => pipeline.register({ check: () => null })).toThrow('Moderation rule must have a name');
+    expect(() => pipeline.register({ name: 'noop' })).toThrow('Moderation rule noop is missing the check hook');
+    expect(() => pipeline.register({ name: 'spam', check: () => null })).toThrow('Moderation rule spam is already registered');
+  });
+});
@@ -0,0 +1,52 @@
+const User = require('../src/models/user.model');
+const FeedService = require('../src/services/feed.service');
+const { getUnsafePatternReason } = require('../src/utils/helpers');
+
+describe('getUnsafePatternReason', () => {
+  it.each([
+    'crypto(currency)?',
+    '\\bai\\b',
+    '(?:breaking|live) news',
+    '[(]+ and [)]{1,5}',
+    'launch.*today'
+  ])('accepts %s', (pattern) => {
+    expect(getUnsafePatternReason(pattern)).toBeNull();
+  });
+
+  it.each([
+    ['(a+)+', 'Nested quantifiers are not allowed'],
+    ['(\\w+\\s?)*$', 'Nested quantifiers are not allowed'],
+    ['(a|aa)*', 'Nested quantifiers are not allowed'],
+    ['((ab)*c){2,}', 'Nested quantifiers are not allowed'],
+    ['.*.*.*.*.*x', 'Only one unbounded quantifier (*, + or {n,}) is allowed'],
+    ['\\d+ and \\w{2,}', 'Only one unbounded quantifier (*, + or {n,}) is allowed'],
+    ['[(]+ and [)]+', 'Only one unbounded quantifier (*, + or {n,}) is allowed'],
+    ['(x)\\1', 'Backreferences are not allowed'],
+    ['(?<word>a)\\k<word>', 'Backreferences are not allowed'],
+    ['(unclosed', 'Invalid regular expression'],
+    ['a'.repeat(101), 'Pattern cannot exceed 100 characters']
+  ])('rejects %s', (pattern, reason) => {
+    expect(getUnsafePatternReason(pattern)).toBe(reason);
+  });
+});
+
+describe('pattern mutes', () => {
+  const buildUser = (value) => new User({
+    email: 'reader@example.com',
+    password: 'secret',
+    mutes: [{ type: 'regex', value }]
+  });
+
+  it('rejects unsafe patterns when saved', async () => {
+    const error = await buildUser('(a+)+$').validate().catch(validationError => validationError);
+    expect(error.errors['mutes.0.value'].message).toBe('Nested quantifiers are not allowed');
+  });
+
+  it('accepts safe patterns when saved', async () => {
+    await expect(buildUser('crypto(currency)?').validate()).resolves.toBeUndefined();
+  });
+
+  it('matches nothing for unsafe patterns saved earlier', () => {
+    expect(FeedService.getMuteCondition({ type: 'regex', value: '(a+)+$' })).toEqual({ _id: { $in: [] } });
+  });
+});
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const Notification = require('../src/models/notification.model');
+const NotificationService = require('../src/services/notification.service');
+
+const mockFind = (docs) => {
+  const calls = {};
+  const query = {
+    sort: (sort) => { calls.sort = sort; return query; },
+    skip: (skip) => { calls.skip = skip; return query; },
+    limit: async (limit) => { calls.limit = limit; return docs.slice(0, limit); }
+  };
+  const find = jest.spyOn(Notification, 'find').mockReturnValue(query);
+  return { find, calls };
+};
+
+describe('NotificationService.getUserNotifications', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const createdAt = new Date('2024-01-01T00:00:00Z');
+  const docs = [3, 2, 1].map(() => ({ _id: new mongoose.Types.ObjectId(), createdAt }));
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('pages by offset with a tie-breaking sort and a cursor for the next page', async () => {
+    const { find, calls } = mockFind(docs);
+    jest.spyOn(Notification, 'countDocuments').mockResolvedValue(3);
+
+    const { notifications, pagination } = await NotificationService.getUserNotifications(userId, { page: 1, limit: 2 });
+
+    expect(find.mock.calls[0][0]).toEqual({ user: userId });
+    expect(calls).toEqual({ sort: { createdAt: -1, _id: -1 }, skip: 0, limit: 3 });
+    expect(notifications).toEqual(docs.slice(0, 2));
+    expect(pagination).toMatchObject({ page: 1, limit: 2, total: 3, pages: 2, hasMore: true });
+    expect(pagination.nextCursor).toEqual(expect.any(String));
+  });
+
+  it('continues after the cursor on the same sort without counting', async () => {
+    mockFind(docs);
+    jest.spyOn(Notification, 'countDocuments').mockResolvedValue(3);
+    const { pagination: { nextCursor } } = await NotificationService.getUserNotifications(userId, { limit: 2 });
+    jest.restoreAllMocks();
+
+    const { find, calls } = mockFind(docs.slice(2));
+    const count = jest.spyOn(Notification, 'countDocuments');
+
+    const { notifications, pagination } = await NotificationService.getUserNotifications(userId, { limit: 2, after: nextCursor });
+
+    const { $and } = find.mock.calls[0][0];
+    expect($and[0]).toEqual({ user: userId });
+    expect($and[1].$or).toEqual([
+      { $or: [{ createdAt: { $lt: createdAt } }, { createdAt: null }] },
+      { createdAt, _id: { $lt: docs[1]._id } }
+    ]);
+    expect(calls).toEqual({ sort: { createdAt: -1, _id: -1 }, skip: 0, limit: 3 });
+    expect(notifications).toEqual(docs.slice(2));
+    expect(pagination).toEqual({ limit: 2, hasMore: false, nextCursor: null });
+    expect(count).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,148 @@
+process.env.SOURCE_API_MOCK_URL = 'http://localhost:0';
+
+const Content = require('../src/models/content.model');
+const FeedService = require('../src/services/feed.service');
+const RedditService = require('../src/services/reddit.service');
+const { useMemoryDatabase } = require('./support/memoryDatabase');
+
+const post = {
+  source: 'reddit',
+  sourceId: 'abc123',
+  sourceUsername: 'ml_engineer',
+  contentType: 'text',
+  title: 'Training smaller language models on better data',
+  text: 'What worked for us',
+  categories: ['MachineLearning'],
+  url: 'https://www.reddit.com/r/MachineLearning/comments/abc123/',
+  contentCreatedAt: new Date(Date.now() - 60 * 60 * 1000),
+  cacheExpiration: new Date(Date.now() + 60 * 60 * 1000),
+  engagement: { likes: 120, comments: 3, shares: 0, totalEngagement: 123 },
+  metadata: { subreddit: 'MachineLearning', over18: false }
+};
+
+const comment = (name, author, body, score) => ({
+  name,
+  author: { name: author },
+  body,
+  body_html: `<p>${body}</p>`,
+  score,
+  permalink: `/r/MachineLearning/comments/abc123/_/${name.slice(3)}/`,
+  created_utc: Math.floor(Date.now() / 1000) - 60
+});
+
+describe('Reddit comments', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    delete process.env.SOURCE_API_MOCK_URL;
+  });
+
+  describe('RedditService.normalizeComments', () => {
+    it('links comments to their post by its source ID', () => {
+      const [normalized] = RedditService.normalizeComments([comment('t1_c1', 'ml_engineer', 'Thanks all', 12)], post);
+
+      expect(normalized).toMatchObject({
+        source: 'reddit',
+        sourceId: 't1_c1',
+        sourceUsername: 'ml_engineer',
+        contentType: 'comment',
+        text: 'Thanks all',
+        htmlContent: '<p>Thanks all</p>',
+        categories: ['MachineLearning'],
+        url: 'https://www.reddit.com/r/MachineLearning/comments/abc123/_/c1/',
+        parentSourceId: 'abc123',
+        engagement: { likes: 12, comments: 0, shares: 0, totalEngagement: 12 },
+        metadata: { subreddit: 'MachineLearning', score: 12, isSubmitter: true, over18: false }
+      });
+    });
+
+    it('keeps the raw score but counts no negative engagement', () => {
+      const [normalized] = RedditService.normalizeComments([comment('t1_c2', 'critic', 'Disagree', -4)], post);
+
+      expect(normalized.engagement.likes).toBe(0);
+      expect(normalized.metadata).toMatchObject({ score: -4, isSubmitter: false });
+    });
+  });
+
+  describe('RedditService.fetchTopComments', () => {
+    it('fetches top-level comments of the most engaging posts, skipping removed and pinned ones', async () => {
+      const quietPost = { ...post, sourceId: 'quiet', engagement: { ...post.engagement, comments: 0 } };
+      const request = jest.spyOn(RedditService.client, 'oauthRequest').mockResolvedValue({
+        comments: [
+          comment('t1_c1', 'moderator', 'Read the rules', 50),
+          comment('t1_c2', 'someone', '[removed]', 3),
+          comment('t1_c3', '[deleted]', 'Gone', 2),
+          comment('t1_c4', 'researcher', 'Great write-up', 9),
+          comment('t1_c5', 'student', 'Which dataset?', 4)
+        ].map((entry, index) => ({ ...entry, stickied: index === 0 }))
+      });
+
+      const comments = await RedditService.fetchTopComments([quietPost, post], { limit: 1 });
+
+      expect(request).toHaveBeenCalledTimes(1);
+      expect(request).toHaveBeenCalledWith({ uri: 'comments/abc123', qs: { sort: 'top', limit: 1, depth: 1 } });
+      expect(comments.map(entry => entry.sourceId)).toEqual(['t1_c4']);
+    });
+
+    it('throws when no post could be fetched', async () => {
+      jest.spyOn(RedditService.client, 'oauthRequest').mockRejectedValue(new Error('Request failed'));
+
+      await expect(RedditService.fetchTopComments([post])).rejects.toThrow('Request failed');
+    });
+  });
+
+  describe('storing and serving comments', () => {
+    let collection;
+
+    beforeAll(() => {
+      collection = useMemoryDatabase();
+    });
+
+    beforeEach(() => {
+      collection('Content').docs = [];
+    });
+
+    const comments = () => RedditService.normalizeComments([
+      comment('t1_c1', 'researcher', 'Great write-up', 9),
+      comment('t1_c2', 'ml_engineer', 'Thanks all', 12)
+    ], post);
+
+    const findContent = (sourceId) => collection('Content').docs.find(doc => doc.sourceId === sourceId);
+
+    it('links comments saved with their post', async () => {
+      await Content.bulkUpsert([post, ...comments()]);
+
+      expect(findContent('t1_c1').parentContent).toEqual(findContent('abc123')._id);
+      expect(findContent('t1_c2').parentContent).toEqual(findContent('abc123')._id);
+    });
+
+    it('links comments saved before their post on a later write', async () => {
+      await Content.bulkUpsert(comments());
+      expect(findContent('t1_c1').parentContent).toBeUndefined();
+
+      await Content.bulkUpsert([post, ...comments()]);
+
+      expect(findContent('t1_c1').parentContent).toEqual(findContent('abc123')._id);
+    });
+
+    it('keeps comments out of story grouping', async () => {
+      await Content.bulkUpsert([post, ...comments()]);
+
+      expect(findContent('t1_c1').storyId).toBeUndefined();
+    });
+
+    it('serves the linked comments of a post, highest scored first', async () => {
+      await Content.bulkUpsert([post, ...comments()]);
+
+      const result = await FeedService.getContentComments(findContent('abc123')._id, { limit: 5 });
+
+      expect(result.totalComments).toBe(3);
+      expect(result.comments).toEqual([
+        expect.objectContaining({ sourceId: 't1_c2', author: 'ml_engineer', score: 12, isSubmitter: true }),
+        expect.objectContaining({ sourceId: 't1_c1', author: 'researcher', score: 9, isSubmitter: false })
+      ]);
+    });
+  });
+});
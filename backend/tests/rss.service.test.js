@@ -0,0 +1,188 @@
+const fs = require('fs');
+const path = require('path');
+const RssService = require('../src/services/rss.service');
+const SourceRegistry = require('../src/services/sources');
+
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures/rss', name), 'utf8');
+
+const respondWith = (status, body) => ({ ok: status < 400, status, text: async () => body });
+
+describe('RssService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('normalizeFeed', () => {
+    it('normalizes RSS 2.0 items', async () => {
+      const feedUrl = 'https://www.blog.example.com/feed.xml';
+      const [article, episode] = await RssService.normalizeFeed({ feedUrl, xml: readFixture('rss2.xml') });
+
+      expect(article).toMatchObject({
+        source: 'rss',
+        sourceId: 'https://blog.example.com/posts/scaling-queues',
+        sourceUsername: 'blog.example.com',
+        sourceName: 'Example Engineering Blog',
+        sourceProfileImage: 'https://blog.example.com/logo.png',
+        contentType: 'article',
+        title: 'Scaling our queue to a million jobs a minute',
+        text: 'We moved to partitioned queues & cut latency.',
+        mediaUrls: ['https://blog.example.com/images/queues.png'],
+        mediaTypes: ['image'],
+        categories: ['Infrastructure', 'Queues'],
+        url: 'https://blog.example.com/posts/scaling-queues',
+        metadata: {
+          feedUrl,
+          author: 'Ada Example',
+          linkUrl: 'https://blog.example.com/posts/scaling-queues'
+        }
+      });
+      expect(article.htmlContent).toContain('<strong>partitioned</strong>');
+      expect(article.contentCreatedAt).toEqual(new Date('2024-01-09T10:00:00Z'));
+
+      // GUIDs that aren't URLs are scoped to their feed
+      expect(episode).toMatchObject({
+        sourceId: `${feedUrl}#episode-42`,
+        text: 'How we rotate on-call.',
+        mediaUrls: ['https://cdn.example.com/podcast/42.mp3'],
+        mediaTypes: ['audio'],
+        categories: []
+      });
+    });
+
+    it('normalizes RSS 1.0 (RDF) items listed beside the channel', async () => {
+      const items = await RssService.normalizeFeed({
+        feedUrl: 'https://science.example.org/rss',
+        xml: readFixture('rss1.xml')
+      });
+
+      expect(items).toHaveLength(2);
+      expect(items[0]).toMatchObject({
+        sourceId: 'https://science.example.org/articles/1001',
+        sourceName: 'Example Science Journal',
+        title: 'Coral reefs recover faster than expected',
+        text: 'A ten year survey of reef recovery.',
+        url: 'https://science.example.org/articles/1001',
+        metadata: { author: 'M. Example' }
+      });
+      expect(items[0].contentCreatedAt).toEqual(new Date('2024-01-10T12:00:00Z'));
+    });
+
+    it('normalizes Atom entries', async () => {
+      const feedUrl = 'https://releases.example.net/atom.xml';
+      const [release, patch] = await RssService.normalizeFeed({ feedUrl, xml: readFixture('atom.xml') });
+
+      expect(release).toMatchObject({
+        sourceId: 'tag:releases.example.net,2024:v3.0',
+        sourceName: 'Example Release Notes',
+        sourceProfileImage: 'https://releases.example.net/logo.svg',
+        title: 'Version 3.0 released',
+        text: 'Version 3.0 drops legacy APIs.',
+        url: 'https://releases.example.net/v3.0',
+        mediaUrls: ['https://releases.example.net/downloads/v3.0.zip'],
+        mediaTypes: ['application'],
+        categories: ['release', 'major'],
+        metadata: { author: 'Release Bot' }
+      });
+      expect(release.contentCreatedAt).toEqual(new Date('2024-01-11T09:00:00Z'));
+
+      // Entries without a published date fall back to their update date
+      expect(patch).toMatchObject({
+        sourceId: `${feedUrl}#v2.9.1`,
+        url: 'https://releases.example.net/v2.9.1',
+        text: 'Fixes a crash on startup.'
+      });
+      expect(patch.contentCreatedAt).toEqual(new Date('2024-01-05T15:00:00Z'));
+    });
+
+    it('identifies items without a GUID or link by their title and date', async () => {
+      const feedUrl = 'https://notes.example.com/rss';
+      const xml = `<?xml version="1.0"?>
+        <rss version="2.0"><channel><title>Notes</title>
+          <item><title>First note</title><pubDate>Tue, 09 Jan 2024 10:00:00 GMT</pubDate></item>
+          <item><title>Second note</title><pubDate>Wed, 10 Jan 2024 10:00:00 GMT</pubDate></item>
+          <item><description>Nothing to tell this one apart</description></item>
+        </channel></rss>`;
+
+      const items = await RssService.normalizeFeed({ feedUrl, xml });
+      const again = await RssService.normalizeFeed({ feedUrl, xml });
+
+      expect(items.map(item => item.title)).toEqual(['First note', 'Second note']);
+      expect(items[0].sourceId).toMatch(new RegExp(`^${feedUrl}#[0-9a-f]{40}$`));
+      expect(items[0].sourceId).not.toBe(items[1].sourceId);
+      expect(again.map(item => item.sourceId)).toEqual(items.map(item => item.sourceId));
+    });
+
+    it('rejects documents that are not feeds', async () => {
+      await expect(RssService.normalizeFeed({ feedUrl: 'https://example.com/', xml: '<html><body>Hi</body></html>' }))
+        .rejects.toThrow('Document is not an RSS or Atom feed');
+    });
+  });
+
+  describe('fetchItemsFromFeeds', () => {
+    it('keeps the newest items of each feed', async () => {
+      jest.spyOn(global, 'fetch').mockResolvedValue(respondWith(200, readFixture('rss1.xml')));
+
+      const items = await RssService.fetchItemsFromFeeds(['https://science.example.org/rss'], 1);
+
+      expect(items.map(item => item.title)).toEqual(['Coral reefs recover faster than expected']);
+    });
+
+    it('returns the items of the feeds that worked when some fail', async () => {
+      jest.spyOn(global, 'fetch').mockImplementation(async (url) => url.includes('broken')
+        ? respondWith(500, '')
+        : respondWith(200, readFixture('atom.xml')));
+
+      const items = await RssService.fetchItemsFromFeeds(['https://broken.example/feed', 'https://releases.example.net/atom.xml']);
+
+      expect(items).toHaveLength(2);
+    });
+
+    it('throws when every feed fails', async () => {
+      jest.spyOn(global, 'fetch').mockResolvedValue(respondWith(503, ''));
+
+      await expect(RssService.fetchItemsFromFeeds(['https://a.example/feed', 'https://b.example/feed']))
+        .rejects.toThrow('Feed request failed with status 503');
+    });
+  });
+
+  describe('source adapter fetch', () => {
+    it('keeps the items of other counts when one count fails', async () => {
+      jest.spyOn(global, 'fetch').mockImplementation(async (url) => url.includes('broken')
+        ? respondWith(500, '')
+        : respondWith(200, readFixture('atom.xml')));
+
+      const items = await SourceRegistry.get('rss').fetch({
+        itemsPerFeed: 10,
+        watchlist: {
+          feed: [
+            { value: 'https://releases.example.net/atom.xml' },
+            { value: 'https://broken.example/feed', count: 3 }
+          ]
+        }
+      });
+
+      expect(items).toHaveLength(2);
+    });
+  });
+});
+
+describe('rss source feed URL validation', () => {
+  const validate = (value) => SourceRegistry.validateWatchlistType('rss', 'feed', value);
+
+  it.each([
+    'https://blog.example.com/feed.xml',
+    'http://example.org/rss',
+    '  https://example.org/atom.xml  '
+  ])('accepts %s', (value) => {
+    expect(() => validate(value)).not.toThrow();
+  });
+
+  it.each([
+    ['not a url', 'Invalid feed URL: not a url'],
+    ['ftp://example.org/feed.xml', 'Feed URL must use http or https'],
+    ['file:///etc/passwd', 'Feed URL must use http or https'],
+    ['javascript:alert(1)', 'Feed URL must use http or https']
+  ])('rejects %s', (value, message) => {
+    expect(() => validate(value)).toThrow(message);
+  });
+});
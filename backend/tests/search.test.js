@@ -0,0 +1,48 @@
+const { parseSearchQuery, buildHighlights } = require('../src/utils/search');
+
+describe('parseSearchQuery', () => {
+  it('splits terms, quoted phrases and negated terms', () => {
+    expect(parseSearchQuery('rust "memory safety" -python -"garbage collection" async')).toEqual({
+      terms: ['rust', 'async'],
+      phrases: ['memory safety'],
+      excluded: ['garbage collection', 'python']
+    });
+  });
+
+  it('ignores stray dashes and extra whitespace', () => {
+    expect(parseSearchQuery('  ai  -  news ')).toEqual({ terms: ['ai', 'news'], phrases: [], excluded: [] });
+  });
+});
+
+describe('buildHighlights', () => {
+  it('marks phrases and words starting with each term', () => {
+    const item = { title: 'Training language models', text: 'A model trained on curated data' };
+
+    expect(buildHighlights(item, parseSearchQuery('model "curated data"'))).toEqual([
+      { field: 'title', snippet: 'Training language models', matches: [[18, 24]] },
+      { field: 'text', snippet: 'A model trained on curated data', matches: [[2, 7], [19, 31]] }
+    ]);
+  });
+
+  it('cuts a window around the first match of long fields', () => {
+    const text = `${'lorem '.repeat(20)}kubernetes${' ipsum'.repeat(40)}`;
+
+    const [highlight] = buildHighlights({ text }, parseSearchQuery('kubernetes'));
+
+    expect(highlight.snippet.startsWith('…')).toBe(true);
+    expect(highlight.snippet.endsWith('…')).toBe(true);
+    expect(highlight.snippet.length).toBe(202);
+    const [[start, end]] = highlight.matches;
+    expect(highlight.snippet.slice(start, end)).toBe('kubernetes');
+  });
+
+  it('treats regular expression characters in the query literally', () => {
+    expect(buildHighlights({ title: 'What is C++ good for?' }, parseSearchQuery('"C++" for?'))).toEqual([
+      { field: 'title', snippet: 'What is C++ good for?', matches: [[8, 11], [17, 21]] }
+    ]);
+  });
+
+  it('returns nothing for queries with only negated terms', () => {
+    expect(buildHighlights({ title: 'Anything' }, parseSearchQuery('-anything'))).toEqual([]);
+  });
+});
@@ -0,0 +1,54 @@
+const Content = require('../src/models/content.model');
+const { scoreSentiment } = require('../src/utils/sentiment');
+
+describe('scoreSentiment', () => {
+  it('scores positive and negative words per word of text', () => {
+    expect(scoreSentiment('Great release')).toEqual({ score: 1.5, sentiment: 'positive' });
+    expect(scoreSentiment('Another outage today')).toEqual({ score: -0.667, sentiment: 'negative' });
+  });
+
+  it('labels text without lexicon words neutral', () => {
+    expect(scoreSentiment('Version 2 ships on Tuesday')).toEqual({ score: 0, sentiment: 'neutral' });
+  });
+
+  it('returns unknown for text without words', () => {
+    expect(scoreSentiment('')).toEqual({ score: 0, sentiment: 'unknown' });
+    expect(scoreSentiment()).toEqual({ score: 0, sentiment: 'unknown' });
+    expect(scoreSentiment('https://example.com/good?best=1 !!!')).toEqual({ score: 0, sentiment: 'unknown' });
+  });
+
+  it('ignores case, punctuation and apostrophes', () => {
+    expect(scoreSentiment("GREAT!!! Don't miss it")).toEqual(scoreSentiment('great dont miss it'));
+  });
+
+  it('flips the words after a negation', () => {
+    expect(scoreSentiment('not good')).toEqual({ score: -1.5, sentiment: 'negative' });
+    expect(scoreSentiment("I don't hate it")).toEqual({ score: 0.75, sentiment: 'positive' });
+  });
+
+  it('limits a negation to the next three words', () => {
+    expect(scoreSentiment('no one says good').score).toBe(-0.75);
+    expect(scoreSentiment('no one ever says good').score).toBe(0.6);
+  });
+
+  it('strengthens the word after an intensifier', () => {
+    expect(scoreSentiment('very good').score).toBe(2.25);
+    expect(scoreSentiment('not very good').score).toBe(-1.5);
+    expect(scoreSentiment('very much good').score).toBe(1);
+  });
+
+  it('keeps long texts with a single strong word neutral', () => {
+    const text = `Good ${'filler '.repeat(60)}`;
+    expect(scoreSentiment(text)).toEqual({ score: 0.049, sentiment: 'neutral' });
+  });
+});
+
+describe('Content#setSentiment', () => {
+  it('scores the title and text together', () => {
+    const content = new Content({ title: 'Terrible news', text: 'The launch failed' });
+    content.setSentiment();
+
+    expect(content.sentiment).toBe('negative');
+    expect(content.sentimentScore).toBe(-1);
+  });
+});
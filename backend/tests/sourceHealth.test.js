@@ -0,0 +1,66 @@
+delete process.env.YOUTUBE_API_KEY;
+
+const SourceRegistry = require('../src/services/sources');
+const CircuitBreakerService = require('../src/services/circuitBreaker.service');
+const YouTubeService = require('../src/services/youtube.service');
+const RssService = require('../src/services/rss.service');
+
+describe('source failures', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    YouTubeService.apiKey = undefined;
+  });
+
+  it('opens the YouTube circuit when the API key is missing', async () => {
+    const config = SourceRegistry.buildConfig('youtube', [
+      { type: 'account', value: 'mkbhd' },
+      { type: 'account', value: 'veritasium' }
+    ]);
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+      await expect(SourceRegistry.fetchAndSave('youtube', config)).rejects.toThrow('YouTube API key is not configured');
+    }
+
+    await expect(SourceRegistry.fetchAndSave('youtube', config)).rejects.toMatchObject({ circuitOpen: true, statusCode: 503 });
+
+    const status = await CircuitBreakerService.getStatus(['youtube']);
+    expect(status.youtube).toMatchObject({ state: 'open', failures: 3, lastError: 'YouTube API key is not configured' });
+  });
+
+  it('throws when every channel lookup fails, even if others were not found', async () => {
+    YouTubeService.apiKey = 'test-key';
+    jest.spyOn(YouTubeService, 'getChannel').mockImplementation(async (channel) => {
+      if (channel === 'broken') {
+        throw new Error('YouTube API request failed with status 500');
+      }
+      return null;
+    });
+
+    await expect(YouTubeService.fetchVideosFromChannels(['broken', 'missing'])).rejects.toThrow('status 500');
+  });
+
+  it('keeps the videos of other counts when one count fails', async () => {
+    const fetchVideos = jest.spyOn(YouTubeService, 'fetchVideosFromChannels')
+      .mockImplementation(async (channels, count) => {
+        if (count === 10) throw new Error('YouTube API request failed with status 500');
+        return channels.map(channel => ({ channel }));
+      });
+
+    const videos = await SourceRegistry.get('youtube').fetch({
+      videosPerChannel: 5,
+      watchlist: { account: [{ value: 'mkbhd' }, { value: 'broken', count: 10 }] }
+    });
+
+    expect(fetchVideos).toHaveBeenCalledTimes(2);
+    expect(videos).toEqual([{ channel: 'mkbhd' }]);
+  });
+
+  it('throws when no feed of the refetched items could be read', async () => {
+    jest.spyOn(global, 'fetch').mockResolvedValue({ ok: false, status: 404, text: async () => '' });
+
+    await expect(RssService.fetchItemsByIds([
+      { sourceId: 'https://a.example/1', metadata: { feedUrl: 'https://a.example/feed' } },
+      { sourceId: 'https://b.example/1', metadata: { feedUrl: 'https://b.example/feed' } }
+    ])).rejects.toThrow('Feed request failed with status 404');
+  });
+});
@@ -0,0 +1,191 @@
+const mongoose = require('mongoose');
+const { Aggregator, Query, update } = require('mingo');
+
+/**
+ * In-memory stand-in for the MongoDB driver collections behind the models,
+ * so suites can run queries and aggregation pipelines without a database.
+ * Queries and pipelines are evaluated by mingo
+ */
+
+// Copy a document without turning ObjectIds and dates into plain objects
+const copy = (value) => {
+  if (Array.isArray(value)) return value.map(copy);
+  if (value instanceof Date) return new Date(value);
+  if (value instanceof mongoose.Types.ObjectId) return value;
+  if (value && typeof value === 'object' && value.constructor === Object) {
+    return Object.fromEntries(Object.entries(value).map(([key, field]) => [key, copy(field)]));
+  }
+  return value;
+};
+
+const toCursor = (docs) => ({
+  toArray: async () => docs,
+  async *[Symbol.asyncIterator]() {
+    yield* docs;
+  }
+});
+
+// Fields an upsert copies from equality conditions of its filter
+const getInsertFields = (filter) => Object.fromEntries(
+  Object.entries(filter).filter(([key, value]) =>
+    !key.startsWith('$') && (value === null || typeof value !== 'object' || value instanceof Date || value instanceof mongoose.Types.ObjectId)
+  )
+);
+
+class MemoryCollection {
+  constructor(name) {
+    this.collectionName = name;
+    this.docs = [];
+  }
+
+  match(filter = {}) {
+    const query = new Query(filter);
+    return this.docs.filter(doc => query.test(doc));
+  }
+
+  find(filter = {}, options = {}) {
+    let cursor = new Query(filter).find(this.docs, options.projection);
+    if (options.sort) cursor = cursor.sort(options.sort instanceof Map ? Object.fromEntries(options.sort) : options.sort);
+    if (options.skip) cursor = cursor.skip(options.skip);
+    if (options.limit) cursor = cursor.limit(options.limit);
+    return toCursor(cursor.all().map(copy));
+  }
+
+  async findOne(filter = {}, options = {}) {
+    const [doc] = await this.find(filter, { ...options, limit: 1 }).toArray();
+    return doc || null;
+  }
+
+  aggregate(pipeline) {
+    return toCursor(new Aggregator(pipeline).run(this.docs.map(copy)));
+  }
+
+  async countDocuments(filter = {}) {
+    return this.match(filter).length;
+  }
+
+  async estimatedDocumentCount() {
+    return this.docs.length;
+  }
+
+  async insertOne(doc) {
+    const stored = copy({ _id: new mongoose.Types.ObjectId(), ...doc });
+    this.docs.push(stored);
+    return { acknowledged: true, insertedId: stored._id };
+  }
+
+  async insertMany(docs) {
+    const insertedIds = {};
+    for (const [index, doc] of docs.entries()) {
+      insertedIds[index] = (await this.insertOne(doc)).insertedId;
+    }
+    return { acknowledged: true, insertedCount: docs.length, insertedIds };
+  }
+
+  apply(doc, { $setOnInsert, ...changes }, isInsert) {
+    if (isInsert && $setOnInsert) {
+      update(doc, { $set: copy($setOnInsert) });
+    }
+    if (Object.keys(changes).length > 0) {
+      update(doc, copy(changes));
+    }
+  }
+
+  upsert(filter, { $setOnInsert: { _id = new mongoose.Types.ObjectId(), ...insertFields } = {}, ...changes }) {
+    const doc = { _id, ...copy(getInsertFields(filter)) };
+    this.apply(doc, { $setOnInsert: insertFields, ...changes }, true);
+    this.docs.push(doc);
+    return doc;
+  }
+
+  async updateOne(filter, changes, options = {}) {
+    const [doc] = this.match(filter);
+    if (doc) {
+      this.apply(doc, changes, false);
+      return { acknowledged: true, matchedCount: 1, modifiedCount: 1, upsertedCount: 0, upsertedId: null };
+    }
+    if (options.upsert) {
+      const { _id } = this.upsert(filter, changes);
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: _id };
+    }
+    return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedId: null };
+  }
+
+  async updateMany(filter, changes) {
+    const docs = this.match(filter);
+    docs.forEach(doc => this.apply(doc, changes, false));
+    return { acknowledged: true, matchedCount: docs.length, modifiedCount: docs.length, upsertedCount: 0, upsertedId: null };
+  }
+
+  async findOneAndUpdate(filter, changes, options = {}) {
+    let [doc] = this.match(filter);
+    const before = doc ? copy(doc) : null;
+
+    if (doc) {
+      this.apply(doc, changes, false);
+    } else if (options.upsert) {
+      doc = this.upsert(filter, changes);
+    }
+
+    const value = options.returnDocument === 'after' ? (doc ? copy(doc) : null) : before;
+    return options.includeResultMetadata === false ? value : { ok: 1, value };
+  }
+
+  async deleteOne(filter = {}) {
+    const [doc] = this.match(filter);
+    this.docs = this.docs.filter(stored => stored !== doc);
+    return { acknowledged: true, deletedCount: doc ? 1 : 0 };
+  }
+
+  async deleteMany(filter = {}) {
+    const docs = this.match(filter);
+    this.docs = this.docs.filter(stored => !docs.includes(stored));
+    return { acknowledged: true, deletedCount: docs.length };
+  }
+
+  async bulkWrite(operations) {
+    const result = { insertedCount: 0, matchedCount: 0, modifiedCount: 0, deletedCount: 0, upsertedCount: 0, upsertedIds: {}, insertedIds: {} };
+
+    for (const [index, operation] of operations.entries()) {
+      if (operation.insertOne) {
+        result.insertedIds[index] = (await this.insertOne(operation.insertOne.document)).insertedId;
+        result.insertedCount++;
+      } else if (operation.updateOne || operation.updateMany) {
+        const { filter, update: changes, upsert } = operation.updateOne || operation.updateMany;
+        const written = operation.updateOne
+          ? await this.updateOne(filter, changes, { upsert })
+          : await this.updateMany(filter, changes);
+        result.matchedCount += written.matchedCount;
+        result.modifiedCount += written.modifiedCount;
+        if (written.upsertedId) {
+          result.upsertedIds[index] = written.upsertedId;
+          result.upsertedCount++;
+        }
+      } else if (operation.deleteOne || operation.deleteMany) {
+        const { filter } = operation.deleteOne || operation.deleteMany;
+        const deleted = operation.deleteOne ? await this.deleteOne(filter) : await this.deleteMany(filter);
+        result.deletedCount += deleted.deletedCount;
+      }
+    }
+
+    return result;
+  }
+}
+
+/**
+ * Back every registered model with an empty in-memory collection
+ * @returns {Function} Collection lookup by model name
+ */
+const useMemoryDatabase = () => {
+  mongoose.set('bufferCommands', false);
+
+  const collections = {};
+  Object.values(mongoose.models).forEach(model => {
+    collections[model.modelName] = new MemoryCollection(model.collection.name);
+    model.collection.collection = collections[model.modelName];
+  });
+
+  return (modelName) => collections[modelName];
+};
+
+module.exports = { useMemoryDatabase };
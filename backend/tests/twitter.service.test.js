@@ -0,0 +1,40 @@
+const { startSourceApiServer } = require('../src/mocks/sourceApi');
+
+describe('TwitterService', () => {
+  let server;
+  let TwitterService;
+
+  beforeAll(async () => {
+    server = await startSourceApiServer(0);
+    process.env.SOURCE_API_MOCK_URL = `http://localhost:${server.address().port}`;
+
+    TwitterService = require('../src/services/twitter.service');
+  });
+
+  afterAll(async () => {
+    delete process.env.SOURCE_API_MOCK_URL;
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  describe('counts below the smallest page Twitter accepts', () => {
+    it('fetches the requested number of tweets per account', async () => {
+      const tweets = await TwitterService.fetchTweetsFromUsers(['devdaily', 'aiweekly'], 1);
+
+      expect(tweets.map(tweet => tweet.sourceId)).toEqual(['5001', '5004']);
+    });
+
+    it('fetches the requested number of tweets per hashtag', async () => {
+      const tweets = await TwitterService.fetchTweetsFromHashtags(['ai'], 2);
+
+      expect(tweets.map(tweet => tweet.sourceId)).toEqual(['5004', '5008']);
+    });
+  });
+
+  it('clamps counts to the page sizes of each endpoint', () => {
+    expect(TwitterService.getMaxResults('timeline', 1)).toBe(5);
+    expect(TwitterService.getMaxResults('search', 5)).toBe(10);
+    expect(TwitterService.getMaxResults('search', 250)).toBe(100);
+    expect(TwitterService.getMaxResults('timeline', 20)).toBe(20);
+  });
+});
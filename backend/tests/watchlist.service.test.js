@@ -0,0 +1,25 @@
+const SourceWatchlist = require('../src/models/sourceWatchlist.model');
+const WatchlistService = require('../src/services/watchlist.service');
+
+describe('WatchlistService.getWatchlists', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('matches the search text literally', async () => {
+    const query = {
+      sort: () => query,
+      skip: () => query,
+      limit: () => query,
+      populate: async () => []
+    };
+    const find = jest.spyOn(SourceWatchlist, 'find').mockReturnValue(query);
+    jest.spyOn(SourceWatchlist, 'countDocuments').mockResolvedValue(0);
+
+    await WatchlistService.getWatchlists({ search: '(a+)+$' });
+
+    const { value } = find.mock.calls[0][0];
+    expect(value).toEqual({ $regex: '\\(a\\+\\)\\+\\$', $options: 'i' });
+    expect(new RegExp(value.$regex, value.$options).test('(a+)+$')).toBe(true);
+  });
+});
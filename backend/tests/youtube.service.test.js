@@ -0,0 +1,148 @@
+process.env.YOUTUBE_API_KEY = 'test-key';
+
+const YouTubeService = require('../src/services/youtube.service');
+
+const channel = {
+  id: 'UCabcdefghijklmnopqrstuv',
+  snippet: {
+    customUrl: '@examplelabs',
+    thumbnails: { default: { url: 'https://yt3.example/avatar.jpg' } }
+  },
+  contentDetails: { relatedPlaylists: { uploads: 'UUabcdefghijklmnopqrstuv' } }
+};
+
+const video = {
+  id: 'dQw4w9WgXcQ',
+  snippet: {
+    channelId: channel.id,
+    channelTitle: 'Example Labs',
+    title: 'Building a robot arm',
+    description: 'Part one of the series',
+    tags: ['robotics'],
+    publishedAt: '2024-01-09T10:00:00Z',
+    liveBroadcastContent: 'none',
+    thumbnails: {
+      default: { url: 'https://i.ytimg.example/default.jpg' },
+      high: { url: 'https://i.ytimg.example/high.jpg' }
+    }
+  },
+  statistics: { viewCount: '1200', likeCount: '85', commentCount: '15' },
+  contentDetails: { duration: 'PT1H2M3S' }
+};
+
+const respondWith = (status, body) => ({ ok: status < 400, status, json: async () => body });
+
+describe('YouTubeService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    YouTubeService.channels.clear();
+    YouTubeService.apiKey = 'test-key';
+  });
+
+  describe('parseDuration', () => {
+    it.each([
+      ['PT1H2M3S', 3723],
+      ['PT45S', 45],
+      ['PT10M', 600],
+      ['P1DT2H', 93600],
+      ['P0D', 0]
+    ])('converts %s to %i seconds', (duration, seconds) => {
+      expect(YouTubeService.parseDuration(duration)).toBe(seconds);
+    });
+
+    it('returns null for missing or malformed durations', () => {
+      expect(YouTubeService.parseDuration(undefined)).toBeNull();
+      expect(YouTubeService.parseDuration('1:02:03')).toBeNull();
+    });
+  });
+
+  describe('normalizeVideos', () => {
+    it('normalizes a video with its channel', async () => {
+      const [normalized] = await YouTubeService.normalizeVideos({ videos: [video], channels: [channel] });
+
+      expect(normalized).toMatchObject({
+        source: 'youtube',
+        sourceId: 'dQw4w9WgXcQ',
+        sourceUsername: 'examplelabs',
+        sourceName: 'Example Labs',
+        sourceProfileImage: 'https://yt3.example/avatar.jpg',
+        contentType: 'video',
+        title: 'Building a robot arm',
+        text: 'Part one of the series',
+        mediaUrls: ['https://i.ytimg.example/high.jpg'],
+        mediaTypes: ['image'],
+        categories: ['robotics'],
+        url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+        engagement: { likes: 85, comments: 15, shares: 0, totalEngagement: 100 },
+        metadata: { channelId: channel.id, views: 1200, duration: 'PT1H2M3S', durationSeconds: 3723 }
+      });
+      expect(normalized.contentCreatedAt).toEqual(new Date('2024-01-09T10:00:00Z'));
+    });
+
+    it('falls back to the channel ID without channel data', async () => {
+      const [normalized] = await YouTubeService.normalizeVideos({ videos: [video] });
+
+      expect(normalized.sourceUsername).toBe(channel.id);
+      expect(normalized.sourceProfileImage).toBeUndefined();
+    });
+
+    it('skips upcoming and live broadcasts', async () => {
+      const live = { ...video, snippet: { ...video.snippet, liveBroadcastContent: 'live' } };
+      const upcoming = { ...video, snippet: { ...video.snippet, liveBroadcastContent: 'upcoming' } };
+
+      expect(await YouTubeService.normalizeVideos({ videos: [live, upcoming], channels: [channel] })).toEqual([]);
+    });
+
+    it('defaults missing statistics and thumbnails', async () => {
+      const bare = { id: 'bare', snippet: { channelId: channel.id, publishedAt: '2024-01-09T10:00:00Z' } };
+      const [normalized] = await YouTubeService.normalizeVideos({ videos: [bare], channels: [channel] });
+
+      expect(normalized).toMatchObject({
+        text: '',
+        mediaUrls: [],
+        mediaTypes: [],
+        engagement: { likes: 0, comments: 0, totalEngagement: 0 },
+        metadata: { views: 0, durationSeconds: null }
+      });
+    });
+  });
+
+  describe('fetchVideosFromChannels', () => {
+    it('looks up the uploads of a channel handle', async () => {
+      const fetch = jest.spyOn(global, 'fetch').mockImplementation(async (url) => {
+        const { pathname } = new URL(url);
+        if (pathname.endsWith('/channels')) return respondWith(200, { items: [channel] });
+        if (pathname.endsWith('/playlistItems')) return respondWith(200, { items: [{ contentDetails: { videoId: video.id } }] });
+        return respondWith(200, { items: [video] });
+      });
+
+      const normalized = await YouTubeService.fetchVideosFromChannels(['examplelabs'], 5);
+
+      expect(normalized.map(item => item.sourceId)).toEqual(['dQw4w9WgXcQ']);
+      expect(new URL(fetch.mock.calls[0][0]).searchParams.get('forHandle')).toBe('@examplelabs');
+      expect(new URL(fetch.mock.calls[1][0]).searchParams.get('playlistId')).toBe('UUabcdefghijklmnopqrstuv');
+    });
+
+    it('looks channel IDs up by ID', async () => {
+      const fetch = jest.spyOn(global, 'fetch').mockResolvedValue(respondWith(200, { items: [] }));
+
+      await YouTubeService.fetchVideosFromChannels([channel.id]);
+
+      expect(new URL(fetch.mock.calls[0][0]).searchParams.get('id')).toBe(channel.id);
+    });
+
+    it('throws when no channel could be fetched', async () => {
+      jest.spyOn(global, 'fetch').mockResolvedValue(respondWith(403, {}));
+
+      await expect(YouTubeService.fetchVideosFromChannels(['examplelabs', 'other']))
+        .rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('throws when the API key is not configured', async () => {
+      YouTubeService.apiKey = undefined;
+
+      await expect(YouTubeService.fetchVideosFromChannels(['examplelabs']))
+        .rejects.toThrow('YouTube API key is not configured');
+    });
+  });
+});
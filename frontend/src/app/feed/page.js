@@ -13,10 +13,28 @@ export default function FeedPage() {
     contentType: 'all',
     dateRange: 'all'
   });
+  const [sources, setSources] = useState([]);
 
   const { content, loading, error, fetchMore } = useContent();
   const { loadMoreRef } = useInfiniteScroll(fetchMore);
 
+  useEffect(() => {
+    // Load the available content sources for the source filter
+    const fetchSources = async () => {
+      try {
+        const response = await fetch('/api/feed/sources');
+        if (response.ok) {
+          const data = await response.json();
+          setSources(data.sources);
+        }
+      } catch (error) {
+        console.error('Failed to load feed sources:', error);
+      }
+    };
+
+    fetchSources();
+  }, []);
+
   return (
     <div className="container mx-auto px-4 py-8">
       <div className="flex justify-between items-center mb-6">
@@ -37,7 +55,7 @@ export default function FeedPage() {
         </div>
       </div>
 
-      <FilterControls filters={filters} setFilters={setFilters} />
+      <FilterControls filters={filters} setFilters={setFilters} sources={sources} />
 
       <div className={`mt-6 ${viewMode === 'grid' ? 'grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6' : 'space-y-6'}`}>
         {content.map((item) => (
@@ -1,11 +1,35 @@
 'use client';
 
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import Image from 'next/image';
 
 export default function ContentCard({ content, viewMode }) {
   const [isExpanded, setIsExpanded] = useState(false);
   const [isSaved, setIsSaved] = useState(false);
+  const [isDismissed, setIsDismissed] = useState(false);
+  const [comments, setComments] = useState(null);
+
+  // Load discussion highlights the first time a Reddit post is expanded
+  useEffect(() => {
+    if (!isExpanded || comments || content.source !== 'reddit') {
+      return;
+    }
+
+    const loadComments = async () => {
+      try {
+        const response = await fetch(`/api/feed/content/${content.id}/comments?limit=3`);
+
+        if (response.ok) {
+          const data = await response.json();
+          setComments(data.comments);
+        }
+      } catch (error) {
+        console.error('Failed to load comments:', error);
+      }
+    };
+
+    loadComments();
+  }, [isExpanded, comments, content.id, content.source]);
 
   const handleSave = () => {
     setIsSaved(!isSaved);
@@ -20,6 +44,27 @@ export default function ContentCard({ content, viewMode }) {
     // TODO: Implement report functionality
   };
 
+  // Hide the item, or mark it as not interesting so similar items rank lower
+  const handleDismiss = async (action) => {
+    try {
+      const response = await fetch(`/api/feed/${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ contentId: content.id })
+      });
+
+      if (response.ok) {
+        setIsDismissed(true);
+      }
+    } catch (error) {
+      console.error('Failed to dismiss content:', error);
+    }
+  };
+
+  if (isDismissed) {
+    return null;
+  }
+
   return (
     <div className={`bg-white rounded-lg shadow-md overflow-hidden ${
       viewMode === 'list' ? 'flex' : ''
@@ -47,7 +92,39 @@ export default function ContentCard({ content, viewMode }) {
         <p className={`text-gray-600 mb-4 ${!isExpanded ? 'line-clamp-3' : ''}`}>
           {content.description}
         </p>
-        
+
+        {isExpanded && comments?.length > 0 && (
+          <div className="mb-4 border-l-2 border-gray-200 pl-3 space-y-2">
+            {comments.map((comment) => (
+              <div key={comment.id} className="text-sm">
+                <div className="flex items-center gap-2 text-gray-500">
+                  <span className="font-medium">{comment.author}</span>
+                  {comment.isSubmitter && <span className="text-blue-500">OP</span>}
+                  <span>•</span>
+                  <span>{comment.score} points</span>
+                </div>
+                <p className="text-gray-600 line-clamp-3">{comment.text}</p>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {content.story?.alsoOn?.length > 0 && (
+          <div className="flex flex-wrap gap-2 mb-4 text-sm text-gray-500">
+            {content.story.alsoOn.map((group) => (
+              <a
+                key={group.source}
+                href={group.items[0]?.url}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="text-blue-500 hover:text-blue-700"
+              >
+                Also on {group.label} ({group.count})
+              </a>
+            ))}
+          </div>
+        )}
+
         <div className="flex justify-between items-center">
           <div className="flex gap-2">
             <button
@@ -100,6 +177,21 @@ export default function ContentCard({ content, viewMode }) {
               </svg>
             </button>
           </div>
+
+          <div className="flex gap-3 text-sm">
+            <button
+              onClick={() => handleDismiss('hide')}
+              className="text-gray-500 hover:text-gray-700"
+            >
+              Hide
+            </button>
+            <button
+              onClick={() => handleDismiss('not-interested')}
+              className="text-gray-500 hover:text-gray-700"
+            >
+              Not interested
+            </button>
+          </div>
           
           <button
             onClick={() => setIsExpanded(!isExpanded)}
@@ -1,6 +1,6 @@
 'use client';
 
-export default function FilterControls({ filters, setFilters }) {
+export default function FilterControls({ filters, setFilters, sources = [] }) {
   const handleFilterChange = (key, value) => {
     setFilters(prev => ({
       ...prev,
@@ -21,9 +21,11 @@ export default function FilterControls({ filters, setFilters }) {
             className="w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
           >
             <option value="all">All Sources</option>
-            <option value="twitter">Twitter</option>
-            <option value="reddit">Reddit</option>
-            <option value="linkedin">LinkedIn</option>
+            {sources.map((source) => (
+              <option key={source.source} value={source.source}>
+                {source.label}
+              </option>
+            ))}
           </select>
         </div>
 